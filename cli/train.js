@@ -0,0 +1,421 @@
+/**
+ * NeuroEvolution Bird - Headless Command-Line Trainer
+ *
+ * Runs the same GameEngine (inside the same IslandModel) the browser uses, but without any DOM or
+ * rendering, as fast as Node.js can step it. Intended for long trainings
+ * and batch experiments on build machines.
+ *
+ * Usage:
+ *   node cli/train.js --generations 500 --challenge --pipe-speed 4 --seed 42 --out champ.json
+ *   node cli/train.js --islands 4 --migration-topology full --island-settings islands.json
+ *   node cli/train.js --course zigzag.json --generations 200
+ *   node cli/train.js --benchmark --population-size 500
+ *   node cli/train.js --benchmark-suite champion.json
+ *
+ * Outputs:
+ * - Per-generation progress on stdout
+ * - The best champion genome (a population file importable in the browser)
+ * - Run statistics (one row per island and generation) as JSON and CSV,
+ *   in the same format as the statistics export of the browser
+ *
+ * With --benchmark nothing is trained or written: the engine is stepped a
+ * fixed number of updates once per inference mode, and the throughput of
+ * each mode is printed.
+ *
+ * With --benchmark-suite nothing is trained either: the first genome of a
+ * genome file flies the benchmark suite (services/BenchmarkSuite.js) with
+ * the settings stored in the file (engine setting flags override them);
+ * the results are printed as a table and written as a JSON report.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { GameEngine } from '../services/GameEngine.js';
+import { IslandModel, validateIslandSettings } from '../services/IslandModel.js';
+import { serializePopulation, parsePopulation } from '../services/PopulationFile.js';
+import {
+  SETTING_DEFINITIONS, DEFAULT_SETTINGS, createSettings, parseSettingValue, formatSettingValue, networkLayout
+} from '../services/Settings.js';
+import { FITNESS_PRESETS, presetSettings } from '../services/Fitness.js';
+import { serializeRunStats, runStatsToCSV } from '../services/RunStats.js';
+import { parseCourse } from '../services/Course.js';
+import { runBenchmarkSuite } from '../services/BenchmarkSuite.js';
+
+// =============================================
+// COMMAND-LINE OPTIONS
+// =============================================
+
+// Flag column of the engine settings usage, e.g. "--hidden-layers <n,...>"
+const settingUsage = (def) => `${def.flag} <${def.options ? 'name' : 'n'}${def.list ? ',...' : ''}>`;
+const settingColumn = Math.max(...SETTING_DEFINITIONS.map(def => settingUsage(def).length)) + 2;
+
+const USAGE = `Usage: node cli/train.js [options]
+
+Options:
+  --generations <n>   Number of generations to train (default: 100)
+  --seed <seed>       Random seed for a reproducible run (default: random)
+  --challenge         Enable challenge mode (moving pipes; ignored with --curriculum on)
+  --pipe-speed <n>    Pipe vertical speed in challenge mode, 1-8 (default: 1)
+  --max-frames <n>    End a generation after this many frames (default: 20000)
+  --course <file>     Fly an authored course file instead of random pipes
+  --fitness <preset>  Fitness preset: ${Object.keys(FITNESS_PRESETS).join(', ')}
+                      (default: survival; --fitness-* flags override single weights)
+  --benchmark         Compare engine updates per second of all inference modes
+  --benchmark-updates <n>
+                      Engine updates per benchmark mode (default: 20000)
+  --benchmark-suite <file>
+                      Evaluate the first genome of a genome file on fixed pipe
+                      sequences (flights end after --max-frames frames)
+  --report <file>     Benchmark suite report (default: <file>.benchmark.json)
+  --island-settings <file>
+                      JSON array with setting overrides per island, e.g.
+                      [{"mutationRate": 0.05}, {"mutationRate": 0.3}]
+  --out <file>        Champion genome file (default: champion.json)
+  --stats <file>      Run statistics file (default: <out>.stats.json)
+  --stats-csv <file>  Run statistics as CSV (default: <out>.stats.csv)
+  --quiet             Only print the final summary
+  --help              Show this message
+
+Engine settings:
+${SETTING_DEFINITIONS.map(def =>
+  `  ${settingUsage(def).padEnd(settingColumn)}${def.label} ` +
+  `(${def.options ? def.options.join(', ') : `${def.min} to ${def.max}`}, ` +
+  `default: ${formatSettingValue(def, DEFAULT_SETTINGS[def.key]).replace(/ /g, '')})`
+).join('\n')}`;
+
+/**
+ * Parse Args - Converts argv into an options object
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options with defaults applied
+ */
+const parseArgs = (argv) => {
+  const options = {
+    generations: 100,
+    seed: undefined,
+    challenge: false,
+    pipeSpeed: 1,
+    maxFrames: 20000,
+    out: 'champion.json',
+    stats: undefined,
+    statsCsv: undefined,
+    quiet: false,
+    help: false,
+    fitnessPreset: undefined,
+    benchmark: false,
+    benchmarkUpdates: 20000,
+    suiteFile: undefined,
+    report: undefined,
+    genome: null,
+    islandSettingsFile: undefined,
+    islandSettings: [],
+    courseFile: undefined,
+    course: null,
+    settings: {}
+  };
+
+  // Reads the value that follows a flag, failing loudly if it is missing
+  const value = (flag, i) => {
+    if (i >= argv.length || argv[i].startsWith('--')) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return argv[i];
+  };
+
+  // Reads a positive integer flag value
+  const integer = (flag, i) => {
+    const n = Number(value(flag, i));
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`${flag} expects a positive integer`);
+    }
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '--generations': options.generations = integer(flag, ++i); break;
+      case '--seed': options.seed = value(flag, ++i); break;
+      case '--challenge': options.challenge = true; break;
+      case '--pipe-speed': options.pipeSpeed = integer(flag, ++i); break;
+      case '--max-frames': options.maxFrames = integer(flag, ++i); break;
+      case '--out': options.out = value(flag, ++i); break;
+      case '--stats': options.stats = value(flag, ++i); break;
+      case '--stats-csv': options.statsCsv = value(flag, ++i); break;
+      case '--quiet': options.quiet = true; break;
+      case '--help': options.help = true; break;
+      case '--fitness': options.fitnessPreset = value(flag, ++i); break;
+      case '--benchmark': options.benchmark = true; break;
+      case '--benchmark-updates': options.benchmarkUpdates = integer(flag, ++i); break;
+      case '--benchmark-suite': options.suiteFile = value(flag, ++i); break;
+      case '--report': options.report = value(flag, ++i); break;
+      case '--island-settings': options.islandSettingsFile = value(flag, ++i); break;
+      case '--course': options.courseFile = value(flag, ++i); break;
+      default: {
+        const def = SETTING_DEFINITIONS.find(d => d.flag === flag);
+        if (!def) throw new Error(`Unknown option ${flag}`);
+        const raw = value(flag, ++i);
+        options.settings[def.key] = parseSettingValue(def, raw);
+      }
+    }
+  }
+
+  // A fitness preset sets all term weights; explicit --fitness-* flags win
+  const preset = options.fitnessPreset === undefined ? {} : presetSettings(options.fitnessPreset);
+
+  // A benchmarked genome keeps the settings it was evolved with (its
+  // topology above all); the flags only override single settings
+  let suiteText;
+  let evolvedSettings = {};
+  if (options.suiteFile !== undefined) {
+    suiteText = readFileSync(options.suiteFile, 'utf8');
+    try {
+      evolvedSettings = JSON.parse(suiteText).settings || {};
+    } catch (err) {
+      // parsePopulation() below reports the broken file
+    }
+  }
+
+  // Validates the engine settings up front with the same rules as the UI
+  options.settings = createSettings({ ...evolvedSettings, ...preset, ...options.settings });
+
+  if (suiteText !== undefined) {
+    options.genome = parsePopulation(suiteText, options.settings).genomes[0];
+    if (options.report === undefined) options.report = `${options.suiteFile.replace(/\.json$/i, '')}.benchmark.json`;
+  }
+
+  // Per-island overrides hold typed JSON values, checked like the flags
+  if (options.islandSettingsFile !== undefined) {
+    options.islandSettings = JSON.parse(readFileSync(options.islandSettingsFile, 'utf8'));
+    if (!Array.isArray(options.islandSettings)) {
+      throw new Error('--island-settings expects a JSON array with one settings object per island');
+    }
+    const errors = validateIslandSettings(options.settings, options.islandSettings);
+    if (errors.length > 0) throw new Error(errors.join(' '));
+  }
+
+  if (options.courseFile !== undefined) {
+    options.course = parseCourse(readFileSync(options.courseFile, 'utf8'));
+  }
+
+  const base = options.out.replace(/\.json$/i, '');
+  if (options.stats === undefined) options.stats = `${base}.stats.json`;
+  if (options.statsCsv === undefined) options.statsCsv = `${base}.stats.csv`;
+  return options;
+};
+
+// =============================================
+// TRAINING LOOP
+// =============================================
+
+/**
+ * Generation Summary - Statistics of the generation all islands just finished
+ *
+ * @param {IslandModel} model - Islands after nextGeneration()
+ * @returns {Object} - The island's summary for a single island; with
+ *   several islands the best values over all islands (mean fitness
+ *   averaged), the per-island summaries and the migrant count
+ */
+const generationSummary = (model) => {
+  const islands = model.islands.map(engine => ({ ...engine.lastGeneration, highScore: engine.highScore }));
+  if (islands.length === 1) return islands[0];
+
+  const best = (key) => Math.max(...islands.map(island => island[key]));
+  return {
+    generation: islands[0].generation,
+    bestFitness: best('bestFitness'),
+    meanFitness: islands.reduce((sum, island) => sum + island.meanFitness, 0) / islands.length,
+    score: best('score'),
+    frames: best('frames'),
+    highScore: best('highScore'),
+    curriculumStage: islands[0].curriculumStage === null ? null : best('curriculumStage'), // Most advanced island
+    migrants: model.lastMigration?.generation === islands[0].generation ? model.lastMigration.migrants : 0,
+    islands
+  };
+};
+
+/**
+ * Train - Evolves the islands for the requested number of generations
+ *
+ * @param {Object} options - Parsed command-line options
+ * @returns {Object} - {model, history} after training
+ *
+ * Generations that reach maxFrames are ended early so that a
+ * near-perfect population cannot stall the run forever.
+ */
+const train = (options) => {
+  const model = new IslandModel(options.seed, options.settings, options.islandSettings); // Random seed when undefined
+  model.setChallengeMode(options.challenge, options.pipeSpeed);
+  model.setCourse(options.course);
+  model.maxFrames = options.maxFrames;
+
+  const history = [];
+  while (history.length < options.generations) {
+    const generation = model.generation;
+
+    // Step the simulation until the islands evolve the next generation
+    while (model.generation === generation) {
+      model.update();
+    }
+
+    const summary = generationSummary(model);
+    history.push(summary);
+
+    if (!options.quiet) {
+      console.log(
+        `gen ${String(summary.generation).padStart(4)} | ` +
+        `best fitness ${String(summary.bestFitness).padStart(6)} | ` +
+        `mean ${summary.meanFitness.toFixed(1).padStart(8)} | ` +
+        `score ${String(summary.score).padStart(4)} | ` +
+        `high ${summary.highScore}` +
+        (summary.curriculumStage ? ` | stage ${summary.curriculumStage}` : '') +
+        (summary.species !== undefined ? ` | species ${summary.species}` : '') +
+        (summary.migrants ? ` | migrants ${summary.migrants}` : '')
+      );
+    }
+  }
+
+  return { model, history };
+};
+
+// =============================================
+// BENCHMARK
+// =============================================
+
+/**
+ * Benchmark - Measures engine throughput of every inference mode
+ *
+ * @param {Object} options - Parsed command-line options
+ * @returns {Array<Object>} - {inference, updates, birdUpdates, generations, ms} per mode
+ *
+ * Every mode starts from the same seed and settings. Float32 rounding
+ * can make the runs drift apart, so besides engine updates per second
+ * the number of alive birds evaluated per second is reported as well;
+ * it compares the modes even when their birds survive differently long.
+ */
+const benchmark = (options) => {
+  const modes = SETTING_DEFINITIONS.find(def => def.key === 'inference').options;
+
+  return modes.map(inference => {
+    const engine = new GameEngine(options.seed ?? 1, { ...options.settings, inference });
+    engine.setChallengeMode(options.challenge, options.pipeSpeed);
+    engine.setCourse(options.course);
+
+    let birdUpdates = 0;
+    const startGeneration = engine.generation;
+    const start = performance.now();
+    for (let i = 0; i < options.benchmarkUpdates; i++) {
+      if (engine.frameCount >= options.maxFrames) engine.nextGeneration();
+      birdUpdates += engine.birds.reduce((alive, b) => alive + (b.entity.alive ? 1 : 0), 0);
+      engine.update();
+    }
+    const ms = performance.now() - start;
+
+    return { inference, updates: options.benchmarkUpdates, birdUpdates, generations: engine.generation - startGeneration, ms };
+  });
+};
+
+/**
+ * Print Benchmark - Writes the benchmark results as a table
+ *
+ * @param {Array<Object>} results - Result of benchmark()
+ * @param {Object} settings - Engine settings of the benchmark
+ */
+const printBenchmark = (results, settings) => {
+  const perSecond = (count, ms) => Math.round((count * 1000) / ms);
+  const { layers } = networkLayout(settings);
+  console.log(
+    `Benchmark: ${results[0].updates} engine updates per mode, population ${settings.populationSize}, ` +
+    `network ${settings.genomeType === 'neat' ? 'NEAT' : layers.join('-')}`
+  );
+  console.log('inference | updates/s | bird updates/s | generations | time');
+  results.forEach(r => {
+    console.log(
+      `${r.inference.padEnd(9)} | ${String(perSecond(r.updates, r.ms)).padStart(9)} | ` +
+      `${String(perSecond(r.birdUpdates, r.ms)).padStart(14)} | ${String(r.generations).padStart(11)} | ` +
+      `${(r.ms / 1000).toFixed(2)}s`
+    );
+  });
+
+  const [batched, perBird] = ['batched', 'per-bird'].map(mode => results.find(r => r.inference === mode));
+  if (settings.genomeType === 'neat') {
+    console.log('NEAT genomes are always evaluated per bird, so both modes run the same code.');
+  } else {
+    const speedup = perSecond(batched.birdUpdates, batched.ms) / perSecond(perBird.birdUpdates, perBird.ms);
+    console.log(`Batched inference: ${speedup.toFixed(2)}x bird updates per second`);
+  }
+};
+
+// =============================================
+// BENCHMARK SUITE
+// =============================================
+
+/**
+ * Print Benchmark Suite - Writes a benchmark suite report as a table
+ *
+ * @param {Object} report - Result of runBenchmarkSuite()
+ */
+const printBenchmarkSuite = (report) => {
+  const row = (name, speed, { mean, min, max, ends }) =>
+    `${name.padEnd(13)} | ${String(speed).padStart(6)} | ${mean.toFixed(1).padStart(6)} | ${String(min).padStart(4)} | ` +
+    `${String(max).padStart(4)} | ${String(ends.ground).padStart(6)} | ${String(ends.ceiling).padStart(7)} | ` +
+    `${String(ends.pipe).padStart(4)} | ${String(ends.survived).padStart(8)}`;
+
+  console.log(`Benchmark suite: ${report.label}, ${report.seeds.length} seeds per case, up to ${report.maxFrames} frames per flight`);
+  console.log('mode          | scroll |   mean |  min |  max | ground | ceiling | pipe | survived');
+  report.cases.forEach(c => {
+    console.log(row(c.mode === 'challenge' ? `challenge (${c.pipeVerticalSpeed})` : 'normal', c.pipeSpeed, c));
+  });
+  console.log(row('all cases', '', report.overall));
+};
+
+// =============================================
+// ENTRY POINT
+// =============================================
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.benchmark) {
+    printBenchmark(benchmark(options), options.settings);
+    return;
+  }
+  if (options.genome) {
+    const report = runBenchmarkSuite(options.genome, options.settings, { maxFrames: options.maxFrames, label: options.suiteFile });
+    printBenchmarkSuite(report);
+    writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${options.report} (${(report.durationMs / 1000).toFixed(1)}s)`);
+    return;
+  }
+
+  const startTime = Date.now();
+  const { model, history } = train(options);
+  const durationMs = Date.now() - startTime;
+
+  // The fittest champion of all generations and islands, taken from the Halls of Fame
+  const { island, entry: champion } = model.bestChampion();
+  const engine = model.islands[island];
+  const championNet = engine.networkFromJSON(champion.genome);
+  writeFileSync(options.out, JSON.stringify({
+    ...serializePopulation(engine, [championNet]),
+    hallOfFame: [champion]
+  }, null, 2));
+
+  const stats = serializeRunStats(model, { maxFrames: options.maxFrames, durationMs, championIsland: island + 1 });
+  writeFileSync(options.stats, JSON.stringify(stats, null, 2));
+  writeFileSync(options.statsCsv, runStatsToCSV(stats));
+
+  console.log(`Trained ${history.length} generations in ${(durationMs / 1000).toFixed(1)}s (seed ${model.seed}, high score ${stats.highScore})`);
+  console.log(`Champion written to ${options.out}, statistics to ${options.stats} and ${options.statsCsv}`);
+};
+
+main();
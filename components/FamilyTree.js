@@ -0,0 +1,251 @@
+/**
+ * NeuroEvolution Bird - Family Tree
+ *
+ * Draws the ancestry of the last finished generation's champion (see
+ * services/Lineage.js) on a canvas:
+ * - One column per birth generation, oldest ancestors on the left, the
+ *   champion on the right; lines connect parents with their children
+ * - Circles are individuals colored by the best fitness they reached
+ *   (blue: least fit of the tree, yellow: fittest); squares are
+ *   individuals that survived at least one generation as an elite
+ * - The champion is ringed white, the selected individual cyan
+ * - Hovering shows an individual's ID and fitness; clicking selects it
+ *
+ * What a click does is up to the owner (the application loads the
+ * network of the selected ancestor into the network visualization).
+ */
+
+import { fitnessColor } from './GenomeProjection.js';
+import { placeTooltip } from './StatsChart.js';
+
+// =============================================
+// FAMILY TREE CLASS
+// =============================================
+
+export class FamilyTree {
+  /**
+   * Constructor - Creates the tree canvas and its tooltip
+   *
+   * @param {Function} onSelect - Called with the ID of a clicked individual
+   */
+  constructor(onSelect) {
+    this.onSelect = onSelect;
+    this.tree = null; // {generation, champion, nodes} (see Simulation.familyTree())
+    this.positions = new Map(); // Bird ID -> {x, y} (see layout())
+    this.columns = []; // {born, x} per birth generation
+    this.selected = null; // ID of the selected individual
+    this.hover = null; // ID of the hovered individual
+    this.dirty = true; // Redraw on the next animation frame
+    this.padding = { left: 24, right: 24, top: 20, bottom: 28 };
+    this.radius = 6; // Node radius (pixels)
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 760;
+    this.canvas.height = 240;
+    this.canvas.className = 'stats-chart-canvas';
+    this.ctx = this.canvas.getContext('2d');
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'stats-chart-tooltip hidden';
+
+    this.container = document.createElement('div');
+    this.container.className = 'stats-chart';
+    this.container.append(this.canvas, this.tooltip);
+    this.element = this.container; // DOM element reference
+
+    this.canvas.addEventListener('mousemove', (e) => this.setHover(this.nodeAt(e), e));
+    this.canvas.addEventListener('mouseleave', () => this.setHover(null));
+    this.canvas.addEventListener('click', (e) => {
+      const id = this.nodeAt(e);
+      if (id !== null) this.onSelect(id);
+    });
+
+    const render = () => {
+      if (this.dirty) {
+        this.dirty = false;
+        this.render();
+      }
+      requestAnimationFrame(render);
+    };
+    render();
+  }
+
+  /**
+   * Set Tree - Replaces the family tree shown
+   *
+   * @param {Object|null} tree - Family tree, or null to clear the view
+   *
+   * The selection survives as long as the individual is still in the tree.
+   */
+  setTree(tree) {
+    this.tree = tree;
+    if (!tree || !tree.nodes.some(node => node.id === this.selected)) this.selected = null;
+    this.setHover(null);
+    this.layout();
+    this.dirty = true;
+  }
+
+  /**
+   * Set Selected - Highlights an individual
+   *
+   * @param {string|null} id - Bird ID, or null to clear the selection
+   */
+  setSelected(id) {
+    this.selected = id;
+    this.dirty = true;
+  }
+
+  // =============================================
+  // LAYOUT
+  // =============================================
+
+  /**
+   * Layout - Places every individual of the tree
+   *
+   * Columns are the distinct birth generations (evenly spaced, so long
+   * gaps between generations take no room); individuals of a column are
+   * spread evenly from top to bottom.
+   */
+  layout() {
+    this.positions = new Map();
+    if (!this.tree) return;
+
+    const { left, right, top, bottom } = this.padding;
+    const generations = [...new Set(this.tree.nodes.map(node => node.born))].sort((a, b) => a - b);
+    const plotWidth = this.canvas.width - left - right;
+    const plotHeight = this.canvas.height - top - bottom;
+
+    this.columns = generations.map((born, column) => {
+      const x = generations.length > 1 ? left + (column / (generations.length - 1)) * plotWidth : left + plotWidth / 2;
+      const members = this.tree.nodes.filter(node => node.born === born);
+      members.forEach((node, row) => {
+        this.positions.set(node.id, { x, y: top + ((row + 1) / (members.length + 1)) * plotHeight });
+      });
+      return { born, x };
+    });
+  }
+
+  /**
+   * Node At - Individual under the pointer
+   *
+   * @param {MouseEvent} e - Mouse event on the canvas
+   * @returns {string|null} - Bird ID, or null if no node is near
+   */
+  nodeAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * this.canvas.width;
+    const y = ((e.clientY - rect.top) / rect.height) * this.canvas.height;
+
+    let nearest = null, nearestDistance = (this.radius * 2) ** 2;
+    this.positions.forEach((position, id) => {
+      const d = (position.x - x) ** 2 + (position.y - y) ** 2;
+      if (d < nearestDistance) {
+        nearest = id;
+        nearestDistance = d;
+      }
+    });
+    return nearest;
+  }
+
+  // =============================================
+  // INTERACTION
+  // =============================================
+
+  /**
+   * Set Hover - Shows or hides the tooltip of an individual
+   *
+   * @param {string|null} id - Bird ID, or null to hide
+   * @param {MouseEvent} e - Pointer position for the tooltip
+   */
+  setHover(id, e) {
+    if (id !== this.hover) {
+      this.hover = id;
+      this.dirty = true;
+    }
+    this.canvas.style.cursor = id === null ? '' : 'pointer';
+    if (id === null) {
+      this.tooltip.classList.add('hidden');
+      return;
+    }
+
+    const node = this.tree.nodes.find(n => n.id === id);
+    this.tooltip.innerHTML = `<div class="text-slate-400">${node.id} · gen ${node.born}</div>` +
+      `<div>Fitness: ${node.fitness ?? '-'}</div>` +
+      (node.elite ? '<div>Elite</div>' : '');
+    this.tooltip.classList.remove('hidden');
+    placeTooltip(this.tooltip, this.container, e);
+  }
+
+  // =============================================
+  // RENDERING
+  // =============================================
+
+  /**
+   * Render - Draws the generation axis, family links and individuals
+   */
+  render() {
+    const { ctx, canvas, radius } = this;
+
+    ctx.fillStyle = '#0f172a'; // slate-900
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px monospace';
+
+    if (!this.tree || this.tree.nodes.length === 0) {
+      ctx.fillStyle = '#64748b'; // slate-500
+      ctx.textAlign = 'center';
+      ctx.fillText('The champion\'s ancestry appears when the first generation ends.', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    // ===== GENERATION LABELS =====
+    // Thinned out so that labels never overlap
+    ctx.fillStyle = '#94a3b8'; // slate-400
+    ctx.textAlign = 'center';
+    const every = Math.ceil((this.columns.length * 48) / canvas.width);
+    this.columns.forEach(({ born, x }, column) => {
+      if (column % every === 0 || column === this.columns.length - 1) ctx.fillText(`gen ${born}`, x, canvas.height - 8);
+    });
+
+    // ===== LINKS =====
+    ctx.strokeStyle = '#475569'; // slate-600
+    ctx.lineWidth = 1;
+    this.tree.nodes.forEach(node => {
+      const child = this.positions.get(node.id);
+      node.parents.forEach(parent => {
+        const from = this.positions.get(parent);
+        if (!from) return; // Ancestor beyond the shown part of the tree
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(child.x, child.y);
+        ctx.stroke();
+      });
+    });
+
+    // ===== INDIVIDUALS =====
+    const fitness = this.tree.nodes.map(node => node.fitness ?? 0);
+    const min = Math.min(...fitness);
+    const max = Math.max(...fitness);
+    this.tree.nodes.forEach((node, i) => {
+      const { x, y } = this.positions.get(node.id);
+      ctx.fillStyle = fitnessColor(max > min ? (fitness[i] - min) / (max - min) : 1);
+      ctx.beginPath();
+      if (node.elite) {
+        ctx.rect(x - radius, y - radius, radius * 2, radius * 2);
+      } else {
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+      }
+      ctx.fill();
+    });
+
+    // Champion, selected and hovered individuals are ringed
+    ctx.lineWidth = 2;
+    [[this.tree.champion, '#f8fafc'], [this.selected, '#22d3ee'], [this.hover, '#94a3b8']].forEach(([id, color]) => { // slate-50, cyan-400, slate-400
+      const position = id !== null && this.positions.get(id);
+      if (!position) return;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(position.x, position.y, radius + 4, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  }
+}
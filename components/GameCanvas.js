@@ -5,22 +5,27 @@
  * - Game world (background, grid)
  * - Pipes (static and dynamic)
  * - Birds (population and highlighted best bird)
+ * - Vision rays of the highlighted bird (raycast perception)
+ * - The human-controlled bird (human play)
+ * - Playback banner and progress bar while a recorded generation is replayed
  * - Ground
  *
  * Uses HTML5 Canvas API for efficient 2D rendering.
  * Implements animation loop with requestAnimationFrame.
+ *
+ * The simulation runs in a Web Worker, so the canvas never reads the
+ * engine: it draws the latest render snapshot the worker sent (see
+ * services/Simulation.js).
  */
 
-import { GAME_WIDTH, GAME_HEIGHT, PIPE_WIDTH, PIPE_GAP } from '../constants.js';
+import { GAME_WIDTH, GAME_HEIGHT, PIPE_WIDTH } from '../constants.js';
 
 export class GameCanvas {
   /**
    * Constructor - Sets up canvas and starts rendering
-   *
-   * @param {GameEngine} engine - Reference to game engine
    */
-  constructor(engine) {
-    this.engine = engine;
+  constructor() {
+    this.snapshot = null; // Latest render snapshot (nothing but the world until the first one)
 
     // Create canvas element
     this.canvas = document.createElement('canvas');
@@ -36,6 +41,15 @@ export class GameCanvas {
     this.startRendering(); // Begin animation loop
   }
 
+  /**
+   * Update - Stores the snapshot to draw on the next animation frame
+   *
+   * @param {Object} snapshot - Render snapshot from the simulation worker
+   */
+  update(snapshot) {
+    this.snapshot = snapshot;
+  }
+
   /**
    * Start Rendering - Begins the animation loop
    *
@@ -44,6 +58,8 @@ export class GameCanvas {
    */
   startRendering() {
     const render = () => {
+      const snapshot = this.snapshot || { pipes: [], birds: [], best: null };
+
       // ===== BACKGROUND =====
       // Clear canvas with dark background
       this.ctx.fillStyle = '#0f172a'; // slate-900
@@ -76,8 +92,8 @@ export class GameCanvas {
       this.ctx.strokeStyle = '#14532d'; // green-900
       this.ctx.lineWidth = 2;
 
-      this.engine.pipes.forEach(pipe => {
-        const currentGap = pipe.gapSize || PIPE_GAP;
+      snapshot.pipes.forEach(pipe => {
+        const currentGap = pipe.gapSize || snapshot.pipeGap;
 
         // Top Pipe Segment
         this.ctx.fillRect(pipe.x, 0, PIPE_WIDTH, pipe.topHeight);
@@ -89,19 +105,31 @@ export class GameCanvas {
         this.ctx.strokeRect(pipe.x, bottomY, PIPE_WIDTH, GAME_HEIGHT - bottomY);
       });
 
+      // ===== FINISH LINE =====
+      // End of a course that does not loop (checkered band)
+      if (snapshot.finishX !== null && snapshot.finishX !== undefined && snapshot.finishX < GAME_WIDTH) {
+        const square = 10;
+        for (let y = 0; y < GAME_HEIGHT; y += square) {
+          for (let column = 0; column < 2; column++) {
+            this.ctx.fillStyle = (y / square + column) % 2 === 0 ? '#f8fafc' : '#0f172a'; // slate-50, slate-900
+            this.ctx.fillRect(snapshot.finishX + column * square, y, square, square);
+          }
+        }
+      }
+
       // ===== BIRDS =====
       // Draw regular birds (semi-transparent)
-      this.engine.birds.forEach(bird => {
-        if (!bird.entity.alive) return;
+      snapshot.birds.forEach(bird => {
+        if (!bird.alive) return;
 
         // Save current canvas state
         this.ctx.save();
 
         // Position at bird center (50, bird.y) with 24px size
-        this.ctx.translate(50 + 12, bird.entity.y + 12);
+        this.ctx.translate(50 + 12, bird.y + 12);
 
         // Apply rotation based on velocity (visual feedback)
-        const rotation = Math.min(Math.PI / 4, Math.max(-Math.PI / 4, (bird.entity.velocity * 0.1)));
+        const rotation = Math.min(Math.PI / 4, Math.max(-Math.PI / 4, (bird.velocity * 0.1)));
         this.ctx.rotate(rotation);
 
         // Draw bird as white circle
@@ -116,13 +144,15 @@ export class GameCanvas {
 
       // ===== BEST BIRD (HIGHLIGHTED) =====
       // Draw the champion bird with special styling
-      const bestBird = this.engine.getBestBird();
-      if (bestBird && bestBird.entity.alive) {
+      const bestBird = snapshot.best;
+      if (bestBird && bestBird.alive) {
+        if (bestBird.rays) this.drawRays(bestBird, snapshot.rayLength);
+
         this.ctx.save();
-        this.ctx.translate(50 + 12, bestBird.entity.y + 12);
+        this.ctx.translate(50 + 12, bestBird.y + 12);
 
         // Apply velocity-based rotation
-        const rotation = Math.min(Math.PI / 4, Math.max(-Math.PI / 4, (bestBird.entity.velocity * 0.1)));
+        const rotation = Math.min(Math.PI / 4, Math.max(-Math.PI / 4, (bestBird.velocity * 0.1)));
         this.ctx.rotate(rotation);
 
         // Draw larger yellow bird
@@ -145,11 +175,18 @@ export class GameCanvas {
         this.ctx.restore();
       }
 
+      // ===== HUMAN BIRD =====
+      // Drawn last so it is never hidden behind the population
+      if (snapshot.human && snapshot.human.alive) this.drawHuman(snapshot.human);
+
       // ===== GROUND =====
       // Draw ground at bottom of screen
       this.ctx.fillStyle = '#334155'; // slate-700
       this.ctx.fillRect(0, GAME_HEIGHT - 10, GAME_WIDTH, 10);
 
+      // ===== PLAYBACK MODE =====
+      if (snapshot.replay) this.drawReplayOverlay(snapshot.replay);
+
       // Schedule next frame
       this.animationId = requestAnimationFrame(render);
     };
@@ -158,6 +195,105 @@ export class GameCanvas {
     render();
   }
 
+  /**
+   * Draw Rays - Shows what a bird with raycast perception sees
+   *
+   * @param {Object} bird - Snapshot of a bird with the rays of its last frame
+   * @param {number} rayLength - How far rays see (the rayLength setting)
+   *
+   * Rays that hit something end in a dot; the closer the hit, the
+   * more opaque the ray.
+   */
+  drawRays(bird, rayLength) {
+    const originX = 50 + 12;
+    const originY = bird.y + 12;
+
+    this.ctx.lineWidth = 1;
+    bird.rays.forEach(ray => {
+      const endX = originX + Math.cos(ray.angle) * ray.distance;
+      const endY = originY + Math.sin(ray.angle) * ray.distance;
+      const alpha = 0.25 + 0.6 * (1 - ray.distance / rayLength);
+
+      this.ctx.strokeStyle = `rgba(250, 204, 21, ${alpha})`; // yellow-400
+      this.ctx.beginPath();
+      this.ctx.moveTo(originX, originY);
+      this.ctx.lineTo(endX, endY);
+      this.ctx.stroke();
+
+      if (ray.hit) {
+        this.ctx.fillStyle = `rgba(248, 113, 113, ${alpha})`; // red-400
+        this.ctx.beginPath();
+        this.ctx.arc(endX, endY, 3, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+    });
+  }
+
+  /**
+   * Draw Human - Shows the human-controlled bird
+   *
+   * @param {Object} human - Snapshot of the human bird {y, velocity, score}
+   *
+   * Same size and rotation as the highlighted AI bird, but orange with a
+   * "YOU" label and the human's score above it.
+   */
+  drawHuman(human) {
+    this.ctx.save();
+    this.ctx.translate(50 + 12, human.y + 12);
+
+    // Label stays upright
+    this.ctx.fillStyle = '#fdba74'; // orange-300
+    this.ctx.font = 'bold 12px monospace';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(`YOU ${human.score}`, 0, -22);
+
+    const rotation = Math.min(Math.PI / 4, Math.max(-Math.PI / 4, (human.velocity * 0.1)));
+    this.ctx.rotate(rotation);
+
+    this.ctx.fillStyle = '#f97316'; // orange-500
+    this.ctx.beginPath();
+    this.ctx.arc(0, 0, 14, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = '#7c2d12'; // orange-900
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#000';
+    this.ctx.beginPath();
+    this.ctx.arc(6, -4, 4, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw Replay Overlay - Marks the world as a replay of a past generation
+   *
+   * @param {Object} replay - Playback state {generation, frame, frames, score, paused, speed}
+   *
+   * A banner names the generation and a progress bar along the top edge
+   * shows the position within it.
+   */
+  drawReplayOverlay(replay) {
+    const progress = replay.frames > 0 ? replay.frame / replay.frames : 1;
+
+    this.ctx.fillStyle = 'rgba(15, 23, 42, 0.75)'; // slate-900
+    this.ctx.fillRect(10, 14, 300, 28);
+    this.ctx.fillStyle = '#67e8f9'; // cyan-300
+    this.ctx.font = 'bold 14px monospace';
+    this.ctx.textAlign = 'left';
+    this.ctx.fillText(
+      `REPLAY · GEN ${replay.generation} · ${replay.paused ? 'PAUSED' : `${replay.speed}x`}`,
+      20, 33
+    );
+
+    this.ctx.fillStyle = '#1e293b'; // slate-800
+    this.ctx.fillRect(0, 0, GAME_WIDTH, 6);
+    this.ctx.fillStyle = '#06b6d4'; // cyan-500
+    this.ctx.fillRect(0, 0, GAME_WIDTH * progress, 6);
+  }
+
   /**
    * Stop Rendering - Stops the animation loop
    *
@@ -182,7 +318,7 @@ export class GameCanvas {
  * RENDERING APPROACH
  *
  * 1. IMMEDIATE MODE RENDERING
- * - Each frame completely redraws the scene
+ * - Each frame completely redraws the scene from the latest snapshot
  * - No retained mode or scene graph
  * - Simple and efficient for this use case
  *
@@ -195,6 +331,7 @@ export class GameCanvas {
  * - Dark theme for better contrast
  * - Grid helps understand spatial relationships
  * - Color coding: green pipes, white birds, yellow champion
+ *   (and its yellow vision rays with red hit points), orange human bird
  * - Semi-transparent birds to see through population
  *
  * 4. PERFORMANCE
@@ -0,0 +1,225 @@
+/**
+ * NeuroEvolution Bird - Genome Space Projection
+ *
+ * Draws the last finished generation of the watched island as a scatter
+ * plot: every genome is a point on the two principal components of the
+ * population's parameter space (see services/Diversity.js), colored by
+ * the fitness it reached.
+ * - A healthy population is a cloud; a converged one collapses into a
+ *   few tight clumps - or a single dot of clones
+ * - Colors run from blue (least fit of the generation) to yellow
+ *   (fittest); the champion is ringed
+ * - Hovering a point shows its fitness and rank
+ *
+ * Both axes are scaled to fill the plot, so a flat cloud looks as wide
+ * as a round one; the axis labels show how much of the variance each
+ * axis explains.
+ */
+
+import { placeTooltip } from './StatsChart.js';
+
+/**
+ * Fitness Color - Color of a genome by its fitness relative to the others
+ *
+ * @param {number} t - Relative fitness, 0 (worst) to 1 (best)
+ * @returns {string} - CSS color from blue (hue 220) to yellow (hue 50)
+ */
+export const fitnessColor = (t) => `hsl(${Math.round(220 - 170 * t)}, 90%, ${Math.round(55 + 5 * t)}%)`;
+
+// =============================================
+// GENOME PROJECTION CLASS
+// =============================================
+
+export class GenomeProjection {
+  /**
+   * Constructor - Creates the plot canvas and its tooltip
+   */
+  constructor() {
+    this.projection = null; // {generation, explained, points} (see Simulation.projection())
+    this.hover = null; // Index of the hovered point
+    this.dirty = true; // Redraw on the next animation frame
+    this.padding = { left: 32, right: 16, top: 16, bottom: 28 };
+    this.radius = 4; // Point radius (pixels)
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 760;
+    this.canvas.height = 300;
+    this.canvas.className = 'stats-chart-canvas';
+    this.ctx = this.canvas.getContext('2d');
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'stats-chart-tooltip hidden';
+
+    this.container = document.createElement('div');
+    this.container.className = 'stats-chart';
+    this.container.append(this.canvas, this.tooltip);
+    this.element = this.container; // DOM element reference
+
+    this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+    this.canvas.addEventListener('mouseleave', () => this.setHover(null));
+
+    const render = () => {
+      if (this.dirty) {
+        this.dirty = false;
+        this.render();
+      }
+      requestAnimationFrame(render);
+    };
+    render();
+  }
+
+  /**
+   * Set Projection - Replaces the generation shown
+   *
+   * @param {Object|null} projection - Projected generation, or null to clear the plot
+   */
+  setProjection(projection) {
+    this.projection = projection;
+    this.setHover(null);
+    this.dirty = true;
+  }
+
+  // =============================================
+  // COORDINATES
+  // =============================================
+
+  /**
+   * Layout - Canvas positions of all points
+   *
+   * @returns {Array<Object>} - {x, y} per point (same order as the projection)
+   *
+   * Each axis maps the range of its coordinates onto the plot; an axis
+   * without spread puts every point in the middle.
+   */
+  layout() {
+    const { points } = this.projection;
+    const { left, right, top, bottom } = this.padding;
+    const inset = this.radius + 2;
+    const scale = (values, from, to) => {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return (value) => (max > min ? from + ((value - min) / (max - min)) * (to - from) : (from + to) / 2);
+    };
+    const toX = scale(points.map(p => p.x), left + inset, this.canvas.width - right - inset);
+    const toY = scale(points.map(p => p.y), this.canvas.height - bottom - inset, top + inset);
+    return points.map(p => ({ x: toX(p.x), y: toY(p.y) }));
+  }
+
+  // =============================================
+  // INTERACTION
+  // =============================================
+
+  /**
+   * Handle Hover - Highlights the point nearest to the pointer
+   *
+   * @param {MouseEvent} e - Mouse event on the canvas
+   */
+  handleHover(e) {
+    if (!this.projection || this.projection.points.length === 0) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * this.canvas.width;
+    const y = ((e.clientY - rect.top) / rect.height) * this.canvas.height;
+
+    let nearest = null, nearestDistance = (this.radius * 3) ** 2;
+    this.layout().forEach((point, index) => {
+      const d = (point.x - x) ** 2 + (point.y - y) ** 2;
+      if (d < nearestDistance) {
+        nearest = index;
+        nearestDistance = d;
+      }
+    });
+    this.setHover(nearest, e);
+  }
+
+  /**
+   * Set Hover - Shows or hides the tooltip of a point
+   *
+   * @param {number|null} index - Index of the point, or null to hide
+   * @param {MouseEvent} e - Pointer position for the tooltip
+   */
+  setHover(index, e) {
+    if (index !== this.hover) {
+      this.hover = index;
+      this.dirty = true;
+    }
+    if (index === null) {
+      this.tooltip.classList.add('hidden');
+      return;
+    }
+
+    const { points } = this.projection;
+    this.tooltip.innerHTML = `<div class="text-slate-400">Rank ${index + 1} of ${points.length}</div>` +
+      `<div>Fitness: ${points[index].fitness}</div>`;
+    this.tooltip.classList.remove('hidden');
+    placeTooltip(this.tooltip, this.container, e);
+  }
+
+  // =============================================
+  // RENDERING
+  // =============================================
+
+  /**
+   * Render - Draws the axes and every genome of the generation
+   */
+  render() {
+    const { ctx, canvas, padding } = this;
+    const plotBottom = canvas.height - padding.bottom;
+    const plotRight = canvas.width - padding.right;
+
+    ctx.fillStyle = '#0f172a'; // slate-900
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px monospace';
+
+    if (!this.projection || this.projection.points.length === 0) {
+      ctx.fillStyle = '#64748b'; // slate-500
+      ctx.textAlign = 'center';
+      ctx.fillText('The population appears when the first generation ends.', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    // ===== AXES =====
+    const { generation, explained, points } = this.projection;
+    ctx.strokeStyle = '#334155'; // slate-700
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(padding.left, padding.top);
+    ctx.lineTo(padding.left, plotBottom);
+    ctx.lineTo(plotRight, plotBottom);
+    ctx.stroke();
+
+    const percent = (fraction) => `${(fraction * 100).toFixed(0)}%`;
+    ctx.fillStyle = '#94a3b8'; // slate-400
+    ctx.textAlign = 'right';
+    ctx.fillText(`PC1 (${percent(explained[0])} of variance)`, plotRight, canvas.height - 8);
+    ctx.textAlign = 'left';
+    ctx.fillText(`Generation ${generation}`, padding.left + 8, padding.top + 4);
+    ctx.save();
+    ctx.translate(padding.left - 10, plotBottom);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`PC2 (${percent(explained[1])})`, 0, 0);
+    ctx.restore();
+
+    // ===== POINTS =====
+    // Drawn worst first, so the fittest genomes stay on top
+    const fitness = points.map(p => p.fitness);
+    const min = Math.min(...fitness);
+    const max = Math.max(...fitness);
+    const positions = this.layout();
+    for (let i = points.length - 1; i >= 0; i--) {
+      ctx.fillStyle = fitnessColor(max > min ? (points[i].fitness - min) / (max - min) : 1);
+      ctx.beginPath();
+      ctx.arc(positions[i].x, positions[i].y, this.radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Champion (first point) and hovered genome are ringed
+    ctx.lineWidth = 2;
+    [[0, '#f8fafc'], [this.hover, '#22d3ee']].forEach(([index, color]) => { // slate-50, cyan-400
+      if (index === null) return;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(positions[index].x, positions[index].y, this.radius + 3, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  }
+}
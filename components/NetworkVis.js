@@ -3,7 +3,7 @@
  *
  * This component provides real-time visualization of the neural network
  * that controls the best bird. It shows:
- * - Network topology (4 input → 6 hidden → 1 output)
+ * - Network topology (any number of layers, or an evolved NEAT graph)
  * - Connection weights (color and thickness)
  * - Neuron activations (color intensity)
  * - Current input values and decisions
@@ -12,6 +12,23 @@
  * game state information and makes flapping decisions.
  */
 
+import { SENSORS } from '../constants.js';
+import { sensorLabels } from '../services/Sensors.js';
+
+/**
+ * To Intensity - Maps a neuron's activation to a 0-1 display intensity
+ *
+ * @param {string} activation - Activation function name of the neuron's layer
+ * @param {number} value - Activation value
+ * @returns {number} - Intensity for the node fill
+ */
+const toIntensity = (activation, value) => {
+  if (activation === 'sigmoid') return value; // Already 0-1
+  if (activation === 'tanh') return (value + 1) / 2; // -1..1 → 0..1
+  if (activation === 'relu' || activation === 'leaky-relu') return Math.tanh(Math.max(value, 0)); // 0 = inactive
+  return (Math.tanh(value) + 1) / 2; // Linear: squashed, centered at 0.5
+};
+
 export class NetworkVis {
   /**
    * Constructor - Sets up visualization canvas and UI
@@ -23,6 +40,7 @@ export class NetworkVis {
     this.canvas.height = 200;
     this.ctx = this.canvas.getContext('2d');
     this.brain = null; // Will store neural network structure
+    this.inputLabels = sensorLabels(SENSORS); // One label per input node
 
     // Create container div with styling
     this.container = document.createElement('div');
@@ -37,15 +55,11 @@ export class NetworkVis {
     // Add canvas to container
     this.container.appendChild(this.canvas);
 
-    // Add layer labels
-    const labels = document.createElement('div');
-    labels.className = 'flex justify-between text-[10px] text-slate-500 mt-2 font-mono';
-    labels.innerHTML = `
-      <span>INPUTS</span>
-      <span>HIDDEN</span>
-      <span>OUTPUT</span>
-    `;
-    this.container.appendChild(labels);
+    // Add layer labels (one per column, updated with the topology)
+    this.labels = document.createElement('div');
+    this.labels.className = 'flex justify-between text-[10px] text-slate-500 mt-2 font-mono';
+    this.setLayerLabels(['INPUTS', 'HIDDEN', 'OUTPUT']);
+    this.container.appendChild(this.labels);
 
     this.element = this.container; // DOM element reference
   }
@@ -60,6 +74,28 @@ export class NetworkVis {
     this.render(); // Trigger re-render
   }
 
+  /**
+   * Set Input Labels - Names the input nodes after the bird's perception
+   *
+   * @param {Array<string>} labels - One label per input (sensor or vision ray)
+   */
+  setInputLabels(labels) {
+    this.inputLabels = labels;
+    this.render();
+  }
+
+  /**
+   * Set Layer Labels - Shows one label per drawn column
+   *
+   * @param {Array<string>} names - Label texts, left to right
+   */
+  setLayerLabels(names) {
+    const key = names.join('|');
+    if (this.labelKey === key) return; // Avoid DOM work every frame
+    this.labelKey = key;
+    this.labels.innerHTML = names.map(name => `<span>${name}</span>`).join('');
+  }
+
   /**
    * Render - Draws the neural network visualization
    *
@@ -71,131 +107,218 @@ export class NetworkVis {
    */
   render() {
     if (!this.brain) return; // No brain data available
+    if (this.brain.type === 'neat') {
+      this.renderNeat();
+      return;
+    }
 
     // Extract network structure
-    const { inputWeights, outputWeights, lastInputs, lastHiddenOutputs, lastOutput } = this.brain;
-    const inputCount = inputWeights.length; // 4 inputs
-    const hiddenCount = outputWeights.length; // 6 hidden neurons
-    const outputCount = outputWeights[0].length; // 1 output
+    const { layers, activations, weights, recurrentWeights = [], lastLayerOutputs } = this.brain;
+    const lastLayer = layers.length - 1;
 
-    // Layout calculations
-    const layerGap = this.canvas.width / 3; // Space between layers
+    // Layout calculations - layers are spread evenly across the width,
+    // each layer is centered vertically and squeezed if it is tall
     const startX = 40; // Starting X position
-    const inputYStart = (this.canvas.height - (inputCount * 30)) / 2; // Center inputs vertically
-    const hiddenYStart = (this.canvas.height - (hiddenCount * 30)) / 2; // Center hidden layer
-    const outputYStart = (this.canvas.height - (outputCount * 30)) / 2; // Center output
+    const layerGap = (this.canvas.width - startX * 2) / lastLayer; // Space between layers
+    const spacing = layers.map(count => Math.min(30, (this.canvas.height - 20) / count));
 
     // Helper function to calculate node positions
-    const getPos = (layer, index, count) => {
-      let x = startX + layer * layerGap;
-      let yStart = layer === 0 ? inputYStart : layer === 1 ? hiddenYStart : outputYStart;
-      let y = yStart + index * 30; // 30px vertical spacing
-      return { x, y };
+    const getPos = (layer, index) => {
+      const yStart = (this.canvas.height - (layers[layer] - 1) * spacing[layer]) / 2;
+      return { x: startX + layer * layerGap, y: yStart + index * spacing[layer] };
     };
 
+    this.setLayerLabels([
+      'INPUTS',
+      ...activations.slice(0, -1).map((name, l) =>
+        (lastLayer > 2 ? `H${l + 1} ${name}` : `HIDDEN ${name}`).toUpperCase() + (recurrentWeights.length > 0 ? ' ↺' : '')),
+      'OUTPUT'
+    ]);
+
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
-    // ===== DRAW INPUT → HIDDEN CONNECTIONS =====
-    for (let i = 0; i < inputCount; i++) {
-      for (let j = 0; j < hiddenCount; j++) {
-        const weight = inputWeights[i][j];
-        const start = getPos(0, i, inputCount);
-        const end = getPos(1, j, hiddenCount);
+    // ===== DRAW CONNECTIONS =====
+    weights.forEach((matrix, l) => {
+      const intoOutput = l === lastLayer - 1;
+      for (let i = 0; i < layers[l]; i++) {
+        for (let j = 0; j < layers[l + 1]; j++) {
+          const weight = matrix[i][j];
+          const start = getPos(l, i);
+          const end = getPos(l + 1, j);
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(start.x, start.y);
-        this.ctx.lineTo(end.x, end.y);
+          this.ctx.beginPath();
+          this.ctx.moveTo(start.x, start.y);
+          this.ctx.lineTo(end.x, end.y);
 
-        // Visualize weight magnitude as line thickness
-        this.ctx.lineWidth = Math.abs(weight) * 2;
+          // Visualize weight magnitude as line thickness
+          // (thicker lines for output connections)
+          this.ctx.lineWidth = Math.abs(weight) * (intoOutput ? 3 : 2);
 
-        // Visualize weight sign as color
-        // Positive weights = green, Negative weights = red
-        this.ctx.strokeStyle = weight > 0 ? 'rgba(100, 255, 100, 0.4)' : 'rgba(255, 100, 100, 0.4)';
-        this.ctx.stroke();
+          // Visualize weight sign as color
+          // Positive weights = green, Negative weights = red
+          // More opaque for output connections
+          const alpha = intoOutput ? 0.6 : 0.4;
+          this.ctx.strokeStyle = weight > 0 ? `rgba(100, 255, 100, ${alpha})` : `rgba(255, 100, 100, ${alpha})`;
+          this.ctx.stroke();
+        }
       }
-    }
+    });
 
-    // ===== DRAW HIDDEN → OUTPUT CONNECTIONS =====
-    for (let i = 0; i < hiddenCount; i++) {
-      for (let j = 0; j < outputCount; j++) {
-        const weight = outputWeights[i][j];
-        const start = getPos(1, i, hiddenCount);
-        const end = getPos(2, j, outputCount);
+    // ===== DRAW RECURRENT CONNECTIONS =====
+    // Elman context weights loop from each hidden layer back into itself;
+    // drawn dashed, curving to the right of the layer (self-loops as rings)
+    this.ctx.setLineDash([2, 2]);
+    recurrentWeights.forEach((matrix, h) => {
+      const layer = h + 1;
+      matrix.forEach((row, i) => {
+        row.forEach((weight, j) => {
+          const start = getPos(layer, i);
+          const end = getPos(layer, j);
 
-        this.ctx.beginPath();
-        this.ctx.moveTo(start.x, start.y);
-        this.ctx.lineTo(end.x, end.y);
+          this.ctx.beginPath();
+          if (i === j) {
+            this.ctx.arc(start.x + 12, start.y, 4, 0, Math.PI * 2);
+          } else {
+            const bulge = 14 + Math.abs(i - j) * 6;
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.quadraticCurveTo(start.x + bulge, (start.y + end.y) / 2, end.x, end.y);
+          }
+          this.ctx.lineWidth = Math.min(2, Math.abs(weight));
+          this.ctx.strokeStyle = weight > 0 ? 'rgba(100, 255, 100, 0.25)' : 'rgba(255, 100, 100, 0.25)';
+          this.ctx.stroke();
+        });
+      });
+    });
+    this.ctx.setLineDash([]);
 
-        // Thicker lines for output connections
-        this.ctx.lineWidth = Math.abs(weight) * 3;
+    // ===== DRAW NODES =====
+    layers.forEach((count, l) => {
+      const values = lastLayerOutputs[l] || [];
+      for (let i = 0; i < count; i++) {
+        const pos = getPos(l, i);
+        const value = values[i] || 0;
 
-        // More opaque for output connections
-        this.ctx.strokeStyle = weight > 0 ? 'rgba(100, 255, 100, 0.6)' : 'rgba(255, 100, 100, 0.6)';
-        this.ctx.stroke();
+        if (l === 0) {
+          // Input nodes show the current input value and their sensor
+          this.drawNode(pos.x, pos.y, value, this.inputLabels[i]);
+        } else if (l < lastLayer) {
+          this.drawNode(pos.x, pos.y, toIntensity(activations[l - 1], value));
+        } else {
+          // Show "JUMP" label if output > 0.5
+          const jump = value > 0.5;
+          this.drawNode(pos.x, pos.y, toIntensity(activations[l - 1], value), jump ? "JUMP" : "");
+
+          // Add glow effect when jumping
+          if (jump) {
+            this.ctx.beginPath();
+            this.ctx.arc(pos.x, pos.y, 12, 0, Math.PI * 2);
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.stroke();
+          }
+        }
       }
+    });
+  }
+
+  /**
+   * Render NEAT - Draws an evolved NEAT graph
+   *
+   * Nodes are placed in columns by depth (longest path from the inputs),
+   * so the layout grows with the evolved topology. Disabled connections
+   * are drawn as faint dashed lines.
+   */
+  renderNeat() {
+    const { nodes, connections } = this.brain;
+    this.setLayerLabels(['INPUTS', 'HIDDEN', 'OUTPUT']);
+    const maxDepth = Math.max(1, ...nodes.map(n => n.depth));
+    const startX = 40;
+    const columnGap = (this.canvas.width - startX * 2) / maxDepth;
+
+    // Position every node: column by depth, centered within its column
+    const positions = new Map();
+    for (let depth = 0; depth <= maxDepth; depth++) {
+      const column = nodes.filter(n => n.depth === depth);
+      const spacing = Math.min(30, (this.canvas.height - 20) / Math.max(1, column.length));
+      const yStart = (this.canvas.height - (column.length - 1) * spacing) / 2;
+      column.forEach((node, i) => {
+        positions.set(node.id, { x: startX + depth * columnGap, y: yStart + i * spacing });
+      });
     }
 
-    // ===== DRAW NODES =====
-    const drawNode = (x, y, value, label) => {
-      // Draw node circle
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // ===== DRAW CONNECTIONS =====
+    connections.forEach(conn => {
+      const start = positions.get(conn.from);
+      const end = positions.get(conn.to);
       this.ctx.beginPath();
-      this.ctx.arc(x, y, 8, 0, Math.PI * 2);
-      this.ctx.fillStyle = '#1e293b'; // slate-800 (dark background)
-      this.ctx.fill();
-      this.ctx.lineWidth = 2;
-      this.ctx.strokeStyle = '#94a3b8'; // slate-400 (light border)
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.lineTo(end.x, end.y);
+      if (conn.enabled) {
+        this.ctx.setLineDash([]);
+        this.ctx.lineWidth = Math.min(4, Math.abs(conn.weight) * 2);
+        this.ctx.strokeStyle = conn.weight > 0 ? 'rgba(100, 255, 100, 0.5)' : 'rgba(255, 100, 100, 0.5)';
+      } else {
+        this.ctx.setLineDash([3, 3]);
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeStyle = 'rgba(148, 163, 184, 0.2)';
+      }
       this.ctx.stroke();
+    });
+    this.ctx.setLineDash([]);
 
-      // Draw activation indicator
-      this.ctx.beginPath();
-      // Normalize activation value to [0, 1] range for visualization
-      const intensity = Math.min(Math.max(value, 0), 1);
-      this.ctx.arc(x, y, 6, 0, Math.PI * 2);
-      this.ctx.fillStyle = `rgba(56, 189, 248, ${intensity})`; // Sky blue with variable intensity
-      this.ctx.fill();
-
-      // Draw label if provided
-      if (label) {
-        this.ctx.fillStyle = '#fff';
-        this.ctx.font = '10px Arial';
-        this.ctx.fillText(label, x - 25, y + 4);
+    // ===== DRAW NODES =====
+    nodes.forEach(node => {
+      const pos = positions.get(node.id);
+      if (node.type === 'input') {
+        this.drawNode(pos.x, pos.y, node.value, this.inputLabels[node.id]);
+      } else if (node.type === 'hidden') {
+        this.drawNode(pos.x, pos.y, (node.value + 1) / 2); // Tanh (-1 to 1) to 0-1
+      } else {
+        this.drawNode(pos.x, pos.y, node.value, node.value > 0.5 ? "JUMP" : "");
       }
-    };
+    });
 
-    // ===== DRAW INPUT NODES =====
-    const inputLabels = ["Bird Y", "Pipe X", "Gap Y", "Vel"];
-    for (let i = 0; i < inputCount; i++) {
-      const pos = getPos(0, i, inputCount);
-      const val = lastInputs ? lastInputs[i] : 0; // Current input value
-      drawNode(pos.x, pos.y, val, inputLabels[i]);
-    }
+    // ===== TOPOLOGY SUMMARY =====
+    const hiddenCount = nodes.filter(n => n.type === 'hidden').length;
+    const enabledCount = connections.filter(c => c.enabled).length;
+    this.ctx.fillStyle = '#94a3b8';
+    this.ctx.font = '10px Arial';
+    this.ctx.fillText(`${hiddenCount} hidden · ${enabledCount} links`, this.canvas.width - 100, 12);
+  }
 
-    // ===== DRAW HIDDEN NODES =====
-    for (let i = 0; i < hiddenCount; i++) {
-      const pos = getPos(1, i, hiddenCount);
-      // Convert tanh output (-1 to 1) to visualization range (0 to 1)
-      const val = lastHiddenOutputs ? (lastHiddenOutputs[i] + 1) / 2 : 0;
-      drawNode(pos.x, pos.y, val);
-    }
+  /**
+   * Draw Node - Draws a neuron with its activation
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} value - Activation, normalized to 0-1
+   * @param {string} label - Optional text drawn left of the node
+   */
+  drawNode(x, y, value, label) {
+    // Draw node circle
+    this.ctx.beginPath();
+    this.ctx.arc(x, y, 8, 0, Math.PI * 2);
+    this.ctx.fillStyle = '#1e293b'; // slate-800 (dark background)
+    this.ctx.fill();
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = '#94a3b8'; // slate-400 (light border)
+    this.ctx.stroke();
 
-    // ===== DRAW OUTPUT NODES =====
-    for (let i = 0; i < outputCount; i++) {
-      const pos = getPos(2, i, outputCount);
-      const val = lastOutput ? lastOutput[i] : 0; // Current output value
-
-      // Show "JUMP" label if output > 0.5
-      const jumpLabel = val > 0.5 ? "JUMP" : "";
-      drawNode(pos.x, pos.y, val, jumpLabel);
-
-      // Add glow effect when jumping
-      if (val > 0.5) {
-        this.ctx.beginPath();
-        this.ctx.arc(pos.x, pos.y, 12, 0, Math.PI * 2);
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-        this.ctx.stroke();
-      }
+    // Draw activation indicator
+    this.ctx.beginPath();
+    // Normalize activation value to [0, 1] range for visualization
+    const intensity = Math.min(Math.max(value, 0), 1);
+    this.ctx.arc(x, y, 6, 0, Math.PI * 2);
+    this.ctx.fillStyle = `rgba(56, 189, 248, ${intensity})`; // Sky blue with variable intensity
+    this.ctx.fill();
+
+    // Draw label if provided
+    if (label) {
+      this.ctx.fillStyle = '#fff';
+      this.ctx.font = '10px Arial';
+      this.ctx.fillText(label, x - 25, y + 4);
     }
   }
 }
@@ -208,19 +331,23 @@ export class NetworkVis {
  * VISUALIZATION DESIGN
  *
  * 1. TOPOLOGY REPRESENTATION
- * - 3-column layout: Input → Hidden → Output
+ * - One column per layer: Input → Hidden layer(s) → Output
  * - Spaced evenly across canvas width
- * - Vertical centering of each layer
+ * - Vertical centering of each layer (tall layers are squeezed)
+ * - Column labels name each hidden layer's activation function
+ * - NEAT genomes: one column per depth, disabled genes dashed
  *
  * 2. WEIGHT VISUALIZATION
  * - Color: Green (positive), Red (negative)
  * - Thickness: Proportional to absolute weight value
- * - Opacity: Input→Hidden (40%), Hidden→Output (60%)
+ * - Opacity: into hidden layers (40%), into the output (60%)
+ * - Recurrent (Elman) weights: faint dashed curves within a layer
  *
  * 3. ACTIVATION VISUALIZATION
  * - Sky blue color with intensity based on activation
- * - Inputs: 0-1 normalized values
- * - Hidden: Tanh (-1 to 1) converted to 0-1
+ * - Inputs: 0-1 normalized values, labelled with their sensor
+ * - Hidden: Tanh (-1 to 1) converted to 0-1; ReLU shows 0 as dark;
+ *   other activations are squashed into 0-1
  * - Output: 0-1 sigmoid output
  *
  * 4. DECISION INDICATION
@@ -0,0 +1,497 @@
+/**
+ * NeuroEvolution Bird - Statistics Chart
+ *
+ * Plots the per-generation statistics history of the watched island
+ * (see GameEngine.history) with the plain Canvas API:
+ * - One metric group at a time: fitness (best, mean, median, worst),
+ *   best score, generation length in frames, population diversity, or
+ *   the number of genome clusters (and NEAT species)
+ * - Linear or logarithmic generation axis (early generations change the
+ *   most, so a log axis keeps them readable in long runs)
+ * - Mouse wheel zooms the generation axis around the pointer,
+ *   double-click shows the whole run again
+ * - Hovering shows the values of the nearest generation in a tooltip
+ *
+ * The chart only redraws when the history, the metric or the view
+ * changed, never for every snapshot.
+ */
+
+// =============================================
+// CHART METRICS
+// =============================================
+
+/**
+ * CHART_METRICS
+ * Metric groups the chart can show, keyed by name. Each series plots one
+ * field of a generation summary.
+ */
+export const CHART_METRICS = {
+  fitness: {
+    label: 'Fitness',
+    series: [
+      { key: 'bestFitness', label: 'Best', color: '#facc15' }, // yellow-400
+      { key: 'meanFitness', label: 'Mean', color: '#22d3ee' }, // cyan-400
+      { key: 'medianFitness', label: 'Median', color: '#a78bfa' }, // violet-400
+      { key: 'worstFitness', label: 'Worst', color: '#f87171' } // red-400
+    ]
+  },
+  score: { label: 'Best Score', series: [{ key: 'score', label: 'Best score', color: '#facc15' }] },
+  frames: { label: 'Frames Survived', series: [{ key: 'frames', label: 'Frames', color: '#4ade80' }] }, // green-400
+  diversity: {
+    label: 'Diversity',
+    series: [
+      { key: 'diversity', label: 'Pairwise distance', color: '#f472b6' }, // pink-400
+      { key: 'weightVariance', label: 'Weight variance', color: '#60a5fa' } // blue-400
+    ]
+  },
+  clusters: {
+    label: 'Genome Clusters',
+    series: [
+      { key: 'clusters', label: 'Clusters', color: '#fb923c' }, // orange-400
+      { key: 'species', label: 'NEAT species', color: '#4ade80' } // green-400
+    ]
+  }
+};
+
+/**
+ * Nice Ticks - Round tick values covering a range
+ *
+ * @param {number} min - Range start
+ * @param {number} max - Range end
+ * @param {number} count - Approximate number of ticks
+ * @returns {Array<number>} - Multiples of 1, 2 or 5 × 10^n inside the range
+ */
+const niceTicks = (min, max, count) => {
+  const span = max - min;
+  if (!(span > 0)) return [min];
+  const raw = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= raw);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+};
+
+/**
+ * Log Ticks - Generation ticks for a logarithmic axis
+ *
+ * @param {number} min - First generation shown
+ * @param {number} max - Last generation shown
+ * @returns {Array<number>} - 1, 2, 5, 10, 20, 50, ... inside the range
+ *   (only powers of ten when the range spans many decades)
+ */
+const logTicks = (min, max) => {
+  const decades = Math.log10(max / min);
+  const factors = decades > 4 ? [1] : [1, 2, 5];
+  const ticks = [];
+  for (let power = 10 ** Math.floor(Math.log10(min)); power <= max; power *= 10) {
+    factors.forEach(f => {
+      const tick = f * power;
+      if (tick >= min && tick <= max) ticks.push(tick);
+    });
+  }
+  return ticks;
+};
+
+/**
+ * Format Value - Short label for an axis tick or tooltip value
+ *
+ * @param {number} value - Value to format
+ * @returns {string} - Integer, or up to two decimals for small values
+ */
+const formatValue = (value) => {
+  if (Math.abs(value) >= 10000) return `${(value / 1000).toFixed(0)}k`;
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(Math.abs(value) < 10 ? 2 : 1);
+};
+
+/**
+ * Place Tooltip - Moves a panel's tooltip next to the pointer
+ *
+ * @param {HTMLElement} tooltip - Tooltip, absolutely positioned in the container
+ * @param {HTMLElement} container - Element holding the canvas and the tooltip
+ * @param {MouseEvent} e - Pointer event
+ *
+ * In the right half of the container the tooltip flips to the left of
+ * the pointer, so it stays inside. Also used by the genome projection
+ * and the family tree.
+ */
+export const placeTooltip = (tooltip, container, e) => {
+  const rect = container.getBoundingClientRect();
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+  tooltip.style.left = x < rect.width / 2 ? `${x + 12}px` : '';
+  tooltip.style.right = x < rect.width / 2 ? '' : `${rect.width - x + 12}px`;
+  tooltip.style.top = `${Math.max(0, y - 20)}px`;
+};
+
+// =============================================
+// STATS CHART CLASS
+// =============================================
+
+export class StatsChart {
+  /**
+   * Constructor - Creates the chart canvas and its tooltip
+   */
+  constructor() {
+    this.history = []; // Generation summaries, oldest first
+    this.metric = 'fitness'; // Key of CHART_METRICS
+    this.logScale = false; // Logarithmic generation axis
+    this.view = null; // Zoomed generation range {from, to}; null shows the whole run
+    this.hover = null; // Index of the hovered generation in history
+    this.dirty = true; // Redraw on the next animation frame
+    this.padding = { left: 56, right: 16, top: 16, bottom: 28 };
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 760;
+    this.canvas.height = 260;
+    this.canvas.className = 'stats-chart-canvas';
+    this.ctx = this.canvas.getContext('2d');
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'stats-chart-tooltip hidden';
+
+    this.container = document.createElement('div');
+    this.container.className = 'stats-chart';
+    this.container.append(this.canvas, this.tooltip);
+    this.element = this.container; // DOM element reference
+
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+    this.canvas.addEventListener('mouseleave', () => this.setHover(null));
+    this.canvas.addEventListener('dblclick', () => this.resetZoom());
+
+    const render = () => {
+      if (this.dirty) {
+        this.dirty = false;
+        this.render();
+      }
+      requestAnimationFrame(render);
+    };
+    render();
+  }
+
+  /**
+   * Set History - Replaces the data shown
+   *
+   * @param {Array<Object>} history - Generation summaries (the chart keeps the reference)
+   *
+   * Passing the same array again after it grew keeps zoom and tooltip;
+   * a different array (new run, other island) starts over.
+   */
+  setHistory(history) {
+    if (history !== this.history) {
+      this.view = null;
+      this.setHover(null);
+    }
+    this.history = history;
+    this.dirty = true;
+  }
+
+  /**
+   * Set Metric - Switches the metric group
+   *
+   * @param {string} metric - Key of CHART_METRICS
+   */
+  setMetric(metric) {
+    this.metric = metric;
+    this.dirty = true;
+  }
+
+  /**
+   * Set Log Scale - Switches between a linear and a logarithmic generation axis
+   *
+   * @param {boolean} enabled - Whether the axis is logarithmic
+   */
+  setLogScale(enabled) {
+    this.logScale = enabled;
+    this.dirty = true;
+  }
+
+  /**
+   * Reset Zoom - Shows the whole run again
+   */
+  resetZoom() {
+    this.view = null;
+    this.dirty = true;
+  }
+
+  // =============================================
+  // COORDINATES
+  // =============================================
+
+  /**
+   * Range - Generation range on the x-axis
+   *
+   * @returns {Object} - {from, to}; the zoomed range, or the whole run
+   */
+  range() {
+    if (this.view) return this.view;
+    const first = this.history.length > 0 ? this.history[0].generation : 1;
+    const last = this.history.length > 0 ? this.history[this.history.length - 1].generation : 1;
+    return { from: first, to: Math.max(last, first + 1) };
+  }
+
+  /**
+   * Axis - Maps a generation onto the axis scale (log or linear)
+   *
+   * @param {number} generation - Generation number (≥ 1)
+   * @returns {number} - Position on the scale
+   */
+  axis(generation) {
+    return this.logScale ? Math.log(generation) : generation;
+  }
+
+  /**
+   * Generation At - Inverse of axis()
+   *
+   * @param {number} value - Position on the scale
+   * @returns {number} - Generation number (not rounded)
+   */
+  generationAt(value) {
+    return this.logScale ? Math.exp(value) : value;
+  }
+
+  /**
+   * To X - Canvas x coordinate of a generation
+   *
+   * @param {number} generation - Generation number
+   * @returns {number} - Pixel column
+   */
+  toX(generation) {
+    const { from, to } = this.range();
+    const { left, right } = this.padding;
+    const plotWidth = this.canvas.width - left - right;
+    return left + ((this.axis(generation) - this.axis(from)) / (this.axis(to) - this.axis(from))) * plotWidth;
+  }
+
+  /**
+   * From X - Generation under a canvas x coordinate
+   *
+   * @param {number} x - Pixel column
+   * @returns {number} - Generation number (not rounded)
+   */
+  fromX(x) {
+    const { from, to } = this.range();
+    const { left, right } = this.padding;
+    const plotWidth = this.canvas.width - left - right;
+    return this.generationAt(this.axis(from) + ((x - left) / plotWidth) * (this.axis(to) - this.axis(from)));
+  }
+
+  /**
+   * Canvas X - Converts a mouse event into a canvas x coordinate
+   *
+   * @param {MouseEvent} e - Mouse event on the canvas
+   * @returns {number} - Pixel column (the canvas may be scaled by CSS)
+   */
+  canvasX(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * this.canvas.width;
+  }
+
+  // =============================================
+  // INTERACTION
+  // =============================================
+
+  /**
+   * Handle Wheel - Zooms the generation axis around the pointer
+   *
+   * @param {WheelEvent} e - Wheel event on the canvas
+   *
+   * The generation under the pointer stays in place. Zooming out beyond
+   * the whole run returns to the automatic range.
+   */
+  handleWheel(e) {
+    if (this.history.length < 2) return;
+    e.preventDefault(); // Do not scroll the page
+
+    const first = this.history[0].generation;
+    const last = this.history[this.history.length - 1].generation;
+    const { from, to } = this.range();
+    const anchor = this.axis(Math.min(to, Math.max(from, this.fromX(this.canvasX(e)))));
+    const factor = e.deltaY > 0 ? 1.25 : 0.8;
+
+    const newFrom = this.generationAt(anchor - (anchor - this.axis(from)) * factor);
+    const newTo = this.generationAt(anchor + (this.axis(to) - anchor) * factor);
+    if (newFrom <= first && newTo >= last) {
+      this.view = null;
+    } else if (newTo - newFrom >= 2) { // At least a few generations stay visible
+      this.view = { from: Math.max(first, newFrom), to: Math.min(last, newTo) };
+    }
+    this.dirty = true;
+    this.handleHover(e);
+  }
+
+  /**
+   * Handle Hover - Highlights the generation nearest to the pointer
+   *
+   * @param {MouseEvent} e - Mouse event on the canvas
+   */
+  handleHover(e) {
+    if (this.history.length === 0) return;
+    const generation = this.fromX(this.canvasX(e));
+    const { from, to } = this.range();
+    if (generation < from || generation > to) {
+      this.setHover(null);
+      return;
+    }
+
+    // History is sorted by generation: binary search for the nearest entry
+    let low = 0, high = this.history.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.history[mid].generation < generation) low = mid + 1; else high = mid;
+    }
+    if (low > 0 && generation - this.history[low - 1].generation < this.history[low].generation - generation) low--;
+    this.setHover(low, e);
+  }
+
+  /**
+   * Set Hover - Shows or hides the tooltip of a generation
+   *
+   * @param {number|null} index - Index in history, or null to hide
+   * @param {MouseEvent} e - Pointer position for the tooltip
+   */
+  setHover(index, e) {
+    if (index !== this.hover) {
+      this.hover = index;
+      this.dirty = true;
+    }
+    if (index === null) {
+      this.tooltip.classList.add('hidden');
+      return;
+    }
+
+    const entry = this.history[index];
+    const { series } = CHART_METRICS[this.metric];
+    this.tooltip.innerHTML = `<div class="text-slate-400">Gen ${entry.generation}</div>` + series.map(s =>
+      `<div><span style="color:${s.color}">●</span> ${s.label}: ${entry[s.key] === undefined ? '-' : formatValue(entry[s.key])}</div>`
+    ).join('');
+    this.tooltip.classList.remove('hidden');
+    placeTooltip(this.tooltip, this.container, e);
+  }
+
+  // =============================================
+  // RENDERING
+  // =============================================
+
+  /**
+   * Render - Draws axes, series and the hovered generation
+   */
+  render() {
+    const { ctx, canvas, padding } = this;
+    const { series } = CHART_METRICS[this.metric];
+    const plotBottom = canvas.height - padding.bottom;
+    const plotRight = canvas.width - padding.right;
+
+    ctx.fillStyle = '#0f172a'; // slate-900
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px monospace';
+
+    if (this.history.length === 0) {
+      ctx.fillStyle = '#64748b'; // slate-500
+      ctx.textAlign = 'center';
+      ctx.fillText('Statistics appear when the first generation ends.', canvas.width / 2, canvas.height / 2);
+      return;
+    }
+
+    // ===== VISIBLE DATA AND Y RANGE =====
+    const { from, to } = this.range();
+    const visible = this.history.filter(entry => entry.generation >= from && entry.generation <= to);
+    const values = visible.flatMap(entry => series.map(s => entry[s.key])).filter(Number.isFinite);
+    let yMin = Math.min(0, ...values);
+    let yMax = Math.max(...values, yMin + 1);
+    yMax += (yMax - yMin) * 0.05; // Headroom above the highest point
+    const toY = (value) => plotBottom - ((value - yMin) / (yMax - yMin)) * (plotBottom - padding.top);
+
+    // ===== GRID AND AXES =====
+    ctx.strokeStyle = '#1e293b'; // slate-800
+    ctx.fillStyle = '#94a3b8'; // slate-400
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'right';
+    niceTicks(yMin, yMax, 5).forEach(tick => {
+      const y = toY(tick);
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(plotRight, y);
+      ctx.stroke();
+      ctx.fillText(formatValue(tick), padding.left - 6, y + 4);
+    });
+
+    ctx.textAlign = 'center';
+    const xTicks = this.logScale ? logTicks(from, to) : niceTicks(from, to, 8).filter(tick => Number.isInteger(tick));
+    xTicks.forEach(tick => {
+      const x = this.toX(tick);
+      ctx.beginPath();
+      ctx.moveTo(x, padding.top);
+      ctx.lineTo(x, plotBottom);
+      ctx.stroke();
+      ctx.fillText(String(tick), x, plotBottom + 16);
+    });
+
+    // ===== SERIES =====
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(padding.left, padding.top, plotRight - padding.left, plotBottom - padding.top);
+    ctx.clip();
+
+    // One extra point on each side so lines reach the plot edges when zoomed
+    const firstIndex = Math.max(0, this.history.indexOf(visible[0]) - 1);
+    const lastIndex = Math.min(this.history.length - 1, this.history.indexOf(visible[visible.length - 1]) + 1);
+    const points = this.history.slice(firstIndex, lastIndex + 1);
+
+    ctx.lineWidth = 2;
+    series.forEach(s => {
+      ctx.strokeStyle = s.color;
+      ctx.beginPath();
+      let drawing = false;
+      points.forEach(entry => {
+        const value = entry[s.key];
+        if (!Number.isFinite(value)) {
+          drawing = false; // Gap for generations without this value
+          return;
+        }
+        const x = this.toX(entry.generation);
+        const y = toY(value);
+        if (drawing) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+        drawing = true;
+      });
+      ctx.stroke();
+    });
+
+    // ===== HOVERED GENERATION =====
+    const hovered = this.hover !== null ? this.history[this.hover] : null;
+    if (hovered) {
+      const x = this.toX(hovered.generation);
+      ctx.strokeStyle = '#475569'; // slate-600
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, padding.top);
+      ctx.lineTo(x, plotBottom);
+      ctx.stroke();
+
+      series.forEach(s => {
+        if (!Number.isFinite(hovered[s.key])) return;
+        ctx.fillStyle = s.color;
+        ctx.beginPath();
+        ctx.arc(x, toY(hovered[s.key]), 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+    ctx.restore();
+
+    // ===== LEGEND =====
+    ctx.textAlign = 'left';
+    let legendX = padding.left + 8;
+    series.forEach(s => {
+      ctx.fillStyle = s.color;
+      ctx.fillRect(legendX, padding.top + 4, 10, 3);
+      ctx.fillStyle = '#cbd5e1'; // slate-300
+      ctx.fillText(s.label, legendX + 14, padding.top + 9);
+      legendX += ctx.measureText(s.label).width + 30;
+    });
+  }
+}
@@ -78,6 +78,13 @@ export const PIPE_SPAWN_RATE = 100; // Frames between pipes
  */
 export const PIPE_GAP = 150;
 
+/**
+ * PIPE_GAP_VARIATION (0 pixels)
+ * Random spread of the gap size: each pipe's gap is drawn from
+ * PIPE_GAP ± PIPE_GAP_VARIATION. 0 gives every pipe the same gap.
+ */
+export const PIPE_GAP_VARIATION = 0;
+
 /**
  * PIPE_WIDTH (60 pixels)
  * Horizontal width of each pipe.
@@ -116,6 +123,72 @@ export const MUTATION_RATE = 0.1; // Probability of a weight being mutated
  */
 export const MUTATION_AMOUNT = 0.1; // Max amount to change a weight by
 
+/**
+ * ELITE_COUNT (1 bird)
+ * Number of top birds copied unchanged into the next generation (elitism).
+ * Elites guarantee the best solutions are never lost to mutation,
+ * but too many elites reduce exploration. 0 disables elitism.
+ */
+export const ELITE_COUNT = 1;
+
+/**
+ * CROSSOVER_RATE (0 = disabled)
+ * Probability that a child is bred from two parents instead of cloned from one.
+ * With crossover, two selected parents' genomes are recombined before mutation,
+ * which can combine good "building blocks" found by different birds.
+ * Default 0 keeps the classic clone + mutate reproduction.
+ */
+export const CROSSOVER_RATE = 0;
+
+/**
+ * CROSSOVER_STRATEGY ('uniform')
+ * How two parent genomes are recombined:
+ * - 'uniform': each weight comes from either parent with equal probability
+ * - 'single-point': per layer, weights before a random cut point come from
+ *   the first parent and the rest from the second
+ * - 'arithmetic': each weight is a random blend α·a + (1-α)·b of both parents
+ */
+export const CROSSOVER_STRATEGY = 'uniform';
+
+/**
+ * FITNESS_PRESET ('survival')
+ * Fitness function new engines start with (see services/Fitness.js):
+ * - 'survival': +1 per frame survived (the classic rule)
+ * - 'pipe-weighted': survival + 100 per pipe passed
+ * - 'gap-center': survival + a bonus for staying near the gap center
+ * - 'flap-penalty': survival - 0.5 per flap
+ * - 'score-squared' / 'score-exponential': survival + a steeply
+ *   growing reward for pipes passed
+ * Every term weight can also be edited individually.
+ */
+export const FITNESS_PRESET = 'survival';
+
+/**
+ * SELECTION_STRATEGY ('roulette')
+ * How parents are chosen from the finished generation:
+ * - 'roulette': fitness-proportional (classic roulette wheel)
+ * - 'tournament': best of TOURNAMENT_SIZE random birds
+ * - 'rank': proportional to rank instead of raw fitness
+ * - 'truncation': uniform among the top TRUNCATION_RATIO of birds
+ * - 'sus': stochastic universal sampling (low-noise roulette)
+ * Roulette is simple but collapses once one bird dominates the fitness sum;
+ * the other strategies keep selection pressure under control.
+ */
+export const SELECTION_STRATEGY = 'roulette';
+
+/**
+ * TOURNAMENT_SIZE (3 birds)
+ * Number of birds competing in each tournament.
+ * Larger tournaments = stronger selection pressure.
+ */
+export const TOURNAMENT_SIZE = 3;
+
+/**
+ * TRUNCATION_RATIO (0.2 = top 20%)
+ * Fraction of the population allowed to reproduce in truncation selection.
+ */
+export const TRUNCATION_RATIO = 0.2;
+
 // =============================================
 // NEURAL NETWORK TOPOLOGY
 // =============================================
@@ -123,17 +196,49 @@ export const MUTATION_AMOUNT = 0.1; // Max amount to change a weight by
 /**
  * NEURAL NETWORK ARCHITECTURE: 4-6-1
  *
- * INPUT_NODES (4):
- * 1. Bird Y position (normalized 0-1)
- * 2. Horizontal distance to next pipe (normalized 0-1)
- * 3. Vertical position of pipe gap center (normalized 0-1)
- * 4. Bird velocity (normalized 0 to 1)
+ * SENSORS (4 inputs):
+ * 1. 'birdY': Bird Y position (normalized 0-1)
+ * 2. 'pipeX': Horizontal distance to next pipe (normalized 0-1)
+ * 3. 'gapY': Vertical position of pipe gap center (normalized 0-1)
+ * 4. 'velocity': Bird velocity (normalized 0 to 1)
  *
  * These 4 inputs provide the complete "state" information needed for the
  * bird to make decisions. The neural network learns to map these inputs
  * to the optimal action (flap or don't flap).
+ *
+ * Each input is a sensor from services/Sensors.js, and the active sensor
+ * list determines the number of input nodes. Further sensors (gap edges,
+ * the pipe after next, pipe velocity, gap size, ground distance, time
+ * since the last flap) can be added to the list.
  */
-export const INPUT_NODES = 4;
+export const SENSORS = Object.freeze(['birdY', 'pipeX', 'gapY', 'velocity']);
+
+/**
+ * PERCEPTION ('sensors')
+ * How birds perceive the world:
+ * - 'sensors': one input per sensor in SENSORS (hand-picked quantities)
+ * - 'raycast': one input per vision ray; each ray reports the distance to
+ *   the first pipe, ground or ceiling it hits (see services/Raycast.js)
+ */
+export const PERCEPTION = 'sensors';
+
+/**
+ * RAY_COUNT (7 rays)
+ * Number of vision rays (and input nodes) with raycast perception.
+ */
+export const RAY_COUNT = 7;
+
+/**
+ * RAY_SPREAD (120 degrees)
+ * Angle the rays are fanned out over, centered on straight ahead.
+ */
+export const RAY_SPREAD = 120;
+
+/**
+ * RAY_LENGTH (400 pixels)
+ * How far a ray sees. Farther hits read the same as no hit at all.
+ */
+export const RAY_LENGTH = 400;
 
 /**
  * HIDDEN_NODES (6)
@@ -146,6 +251,54 @@ export const INPUT_NODES = 4;
  */
 export const HIDDEN_NODES = 6;
 
+/**
+ * HIDDEN_LAYERS ([6])
+ * Neuron count of every hidden layer, in order. The default is a single
+ * layer of HIDDEN_NODES neurons (the classic 4-6-1 network); e.g. [8, 8]
+ * gives a deeper 4-8-8-1 network.
+ */
+export const HIDDEN_LAYERS = Object.freeze([HIDDEN_NODES]);
+
+/**
+ * HIDDEN_ACTIVATIONS (['tanh'])
+ * Activation function of every hidden layer, in order. A single name is
+ * used for all hidden layers.
+ * Available: 'tanh', 'sigmoid', 'relu', 'leaky-relu', 'linear'
+ */
+export const HIDDEN_ACTIVATIONS = Object.freeze(['tanh']);
+
+/**
+ * OUTPUT_ACTIVATION ('sigmoid')
+ * Activation function of the output layer. The bird flaps when the
+ * output exceeds 0.5, so sigmoid (range 0-1) is the natural choice.
+ */
+export const OUTPUT_ACTIVATION = 'sigmoid';
+
+/**
+ * RECURRENCE ('none')
+ * Optional memory for the fixed-topology network:
+ * - 'none': feedforward; the network only sees the current frame
+ * - 'elman': every hidden layer also receives its own activations from
+ *   the previous frame, so the network can infer motion (e.g. of
+ *   challenge-mode pipes). The memory is cleared at the start of every flight.
+ */
+export const RECURRENCE = 'none';
+
+/**
+ * INFERENCE ('per-bird')
+ * How the fixed-topology networks are evaluated every frame:
+ * - 'per-bird': every bird calls its own NeuralNetwork.predict() in
+ *   double precision, as the engine always did
+ * - 'batched': the weights of the whole population are packed into
+ *   contiguous Float32Arrays and all alive birds are evaluated in one
+ *   pass (see BatchInference.js). Much faster for large populations.
+ * Seeded runs differ between the two modes, because Float32 rounding
+ * can flip a flap decision that sits right at the 0.5 threshold; the
+ * default stays per-bird so that seeds recorded with earlier versions
+ * still reproduce their runs. NEAT genomes are always evaluated per bird.
+ */
+export const INFERENCE = 'per-bird';
+
 /**
  * OUTPUT_NODES (1)
  * Single output neuron that determines whether to flap.
@@ -153,4 +306,110 @@ export const HIDDEN_NODES = 6;
  * Threshold: if output > 0.5, the bird flaps.
  * This is a binary classification problem.
  */
-export const OUTPUT_NODES = 1;
\ No newline at end of file
+export const OUTPUT_NODES = 1;
+
+// =============================================
+// NEAT (EVOLVING TOPOLOGY)
+// =============================================
+
+/**
+ * GENOME_TYPE ('fixed')
+ * Which kind of brain the birds evolve:
+ * - 'fixed': the 4-6-1 network above; only weights evolve
+ * - 'neat': NeuroEvolution of Augmenting Topologies; networks start with
+ *   inputs wired straight to the output and grow hidden neurons and
+ *   connections through mutation
+ */
+export const GENOME_TYPE = 'fixed';
+
+/**
+ * NEAT_ADD_NODE_RATE (0.03 = 3%)
+ * Probability that a NEAT child splits one of its connections with a new
+ * hidden neuron.
+ */
+export const NEAT_ADD_NODE_RATE = 0.03;
+
+/**
+ * NEAT_ADD_CONNECTION_RATE (0.05 = 5%)
+ * Probability that a NEAT child connects two previously unconnected neurons.
+ */
+export const NEAT_ADD_CONNECTION_RATE = 0.05;
+
+/**
+ * NEAT_COMPATIBILITY_THRESHOLD (3.0)
+ * Maximum compatibility distance between a genome and a species'
+ * representative for the genome to join that species.
+ * Lower values = more, smaller species.
+ */
+export const NEAT_COMPATIBILITY_THRESHOLD = 3;
+
+/**
+ * NEAT_COMPATIBILITY_COEFFICIENTS
+ * Weights of excess genes (c1), disjoint genes (c2) and mean weight
+ * difference (c3) in the compatibility distance δ = c1·E + c2·D + c3·W̄.
+ */
+export const NEAT_COMPATIBILITY_COEFFICIENTS = Object.freeze({ excess: 1, disjoint: 1, weight: 0.4 });
+
+/**
+ * NEAT_STAGNATION_LIMIT (15 generations)
+ * A species whose best fitness hasn't improved for this many generations
+ * gets no more offspring (unless it holds the overall champion).
+ */
+export const NEAT_STAGNATION_LIMIT = 15;
+
+// =============================================
+// ISLAND MODEL
+// =============================================
+
+/**
+ * ISLAND_COUNT (1)
+ * Number of sub-populations that evolve side by side, each in its own
+ * world with its own pipes. One island is the classic single population.
+ */
+export const ISLAND_COUNT = 1;
+
+/**
+ * MIGRATION_INTERVAL (5 generations)
+ * Islands exchange genomes after every this many generations.
+ */
+export const MIGRATION_INTERVAL = 5;
+
+/**
+ * MIGRATION_SIZE (2)
+ * Number of top genomes each island sends to each of its neighbours.
+ * Migrants join the next generation unchanged, right after the elites.
+ */
+export const MIGRATION_SIZE = 2;
+
+/**
+ * MIGRATION_TOPOLOGY ('ring')
+ * Which islands exchange genomes:
+ * - 'ring': island i sends to island i+1 (the last one to the first)
+ * - 'full': every island sends to every other island
+ */
+export const MIGRATION_TOPOLOGY = 'ring';
+
+// =============================================
+// CURRICULUM CONSTANTS
+// =============================================
+
+/**
+ * CURRICULUM ('off')
+ * 'on' lets the difficulty ramp up through the stages of
+ * services/Curriculum.js as the population improves; 'off' keeps the
+ * pipe settings and challenge mode as configured.
+ */
+export const CURRICULUM = 'off';
+
+/**
+ * CURRICULUM_SCORE (10 pipes)
+ * Best score a generation must reach to count towards the next stage.
+ */
+export const CURRICULUM_SCORE = 10;
+
+/**
+ * CURRICULUM_GENERATIONS (3 generations)
+ * Consecutive generations that must reach CURRICULUM_SCORE before the
+ * curriculum advances to the next stage.
+ */
+export const CURRICULUM_GENERATIONS = 3;
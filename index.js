@@ -5,7 +5,7 @@
  * It coordinates all components and handles user interaction.
  *
  * Responsibilities:
- * 1. Initialize all components (GameEngine, GameCanvas, NetworkVis)
+ * 1. Initialize all components (simulation worker, GameCanvas, NetworkVis)
  * 2. Set up user interface and event listeners
  * 3. Manage game state and settings
  * 4. Control simulation speed and modes
@@ -13,12 +13,23 @@
  * 6. Handle user interactions (start, pause, reset, etc.)
  */
 
-import { GameEngine } from './services/GameEngine.js';
+import { SimulationClient } from './services/SimulationClient.js';
 import { GameCanvas } from './components/GameCanvas.js';
 import { NetworkVis } from './components/NetworkVis.js';
+import { StatsChart, CHART_METRICS } from './components/StatsChart.js';
+import { GenomeProjection } from './components/GenomeProjection.js';
+import { FamilyTree } from './components/FamilyTree.js';
+import { SeededRandom } from './services/Random.js';
+import { parsePopulation } from './services/PopulationFile.js';
+import { parseReplay } from './services/Replay.js';
+import { parseCourse } from './services/Course.js';
+import { REPLAY_SPEEDS } from './services/ReplayPlayer.js';
+import { runStatsToCSV } from './services/RunStats.js';
 import {
-  GAME_WIDTH, GAME_HEIGHT, POPULATION_SIZE
-} from './constants.js';
+  SETTING_DEFINITIONS, DEFAULT_SETTINGS, createSettings, validateSettings,
+  parseSettingValue, formatSettingValue, inputLabels
+} from './services/Settings.js';
+import { FITNESS_PRESETS, presetSettings, matchPreset, fitnessFormula } from './services/Fitness.js';
 
 // =============================================
 // MAIN APPLICATION CLASS
@@ -33,10 +44,14 @@ class App {
    */
   constructor() {
     // Core components
-    this.engine = new GameEngine(); // Game logic and evolution
+    // The GameEngine runs in a Web Worker; the main thread only sends
+    // commands and draws the snapshots it receives
+    this.settings = createSettings(); // Settings used for the next reset
+    this.simulation = new SimulationClient(snapshot => this.handleSnapshot(snapshot), message => alert(message));
+    this.seed = SeededRandom.createSeed(); // Seed of the running simulation
     this.stats = {
       generation: 1,
-      alive: POPULATION_SIZE,
+      alive: this.settings.populationSize,
       score: 0,
       highScore: 0
     };
@@ -45,14 +60,27 @@ class App {
     this.bestBrain = null;
     this.gameCanvas = null;
     this.networkVis = null;
+    this.statsChart = null;
+    this.genomeProjection = null;
+    this.familyTree = null;
+    this.inspectedAncestor = null; // Bird ID whose network is shown instead of the live brain
+    this.history = []; // Summaries of the watched island's finished generations, as sent by the worker
 
     // Game state
     this.gameSpeed = 1; // Simulation speed multiplier
     this.paused = true; // Start paused
     this.simulationStarted = false; // Not started yet
-    this.challengeModeEnabled = false; // Challenge mode off
-    this.pipeVerticalSpeed = 1; // Pipe movement speed
+    this.challengeModeEnabled = false; // Challenge mode off (as configured)
+    this.pipeVerticalSpeed = 1; // Pipe movement speed (as configured)
+    this.curriculumChallenge = null; // {enabled, pipeVerticalSpeed} of the curriculum stage while the curriculum controls challenge mode
+    this.course = null; // Parsed course file flown instead of random pipes (null: random)
     this.headless = false; // Rendering enabled
+    this.hallOfFame = []; // Archived champions {generation, fitness, score}, as sent by the worker
+    this.watchedIsland = 0; // Island shown on the canvas (index)
+    this.humanMode = null; // 'versus' or 'practice' while the user plays
+    this.replays = []; // Recorded generations {generation, frames, score, bestFitness, population}, as sent by the worker
+    this.scrubbing = false; // The user drags the replay scrub bar
+    this.benchmark = null; // Report of the last benchmark suite run (see services/BenchmarkSuite.js)
 
     // Initialize application
     this.init();
@@ -64,8 +92,7 @@ class App {
   init() {
     this.setupUI(); // Create UI elements
     this.setupEventListeners(); // Set up event handlers
-    this.startGameLoop(); // Begin game loop
-    this.engine.setChallengeMode(this.challengeModeEnabled, this.pipeVerticalSpeed); // Initialize challenge mode
+    this.startRun(); // Create the engine in the worker
   }
 
   // =============================================
@@ -82,18 +109,43 @@ class App {
     this.modalOverlay = document.getElementById('info-modal');
 
     // Create and add game canvas
-    this.gameCanvas = new GameCanvas(this.engine);
+    this.gameCanvas = new GameCanvas();
     document.getElementById('game-canvas-container').appendChild(this.gameCanvas.element);
 
     // Create and add network visualization
     this.networkVis = new NetworkVis();
+    this.networkVis.setInputLabels(inputLabels(this.settings));
     document.getElementById('network-vis-container').appendChild(this.networkVis.element);
 
+    // Create statistics chart
+    this.statsChart = new StatsChart();
+    document.getElementById('stats-chart-container').appendChild(this.statsChart.element);
+    document.getElementById('chart-metric').innerHTML = Object.entries(CHART_METRICS)
+      .map(([name, metric]) => `<option value="${name}">${metric.label}</option>`).join('');
+
+    // Create genome space projection
+    this.genomeProjection = new GenomeProjection();
+    document.getElementById('projection-container').appendChild(this.genomeProjection.element);
+
+    // Create family tree of the champion
+    this.familyTree = new FamilyTree(id => this.inspectAncestor(id));
+    document.getElementById('family-tree-container').appendChild(this.familyTree.element);
+
     // Create speed control buttons
     this.createSpeedButtons();
 
     // Create pipe speed control buttons
     this.createPipeSpeedButtons();
+
+    // Create engine settings inputs
+    this.createSettingsFields();
+
+    // Replay speeds
+    document.getElementById('replay-speed').innerHTML = REPLAY_SPEEDS
+      .map(speed => `<option value="${speed}"${speed === 1 ? ' selected' : ''}>${speed}x</option>`).join('');
+
+    // Show the seed of the initial run
+    this.updateSeedDisplay();
   }
 
   /**
@@ -142,10 +194,82 @@ class App {
     this.startButton.addEventListener('click', () => this.startSimulation());
     this.pauseButton.addEventListener('click', () => this.togglePause());
     document.getElementById('btn-reset').addEventListener('click', () => this.reset());
+    document.getElementById('btn-export').addEventListener('click', () => this.exportPopulation());
+    document.getElementById('btn-import').addEventListener('click', () => document.getElementById('import-file').click());
+    document.getElementById('import-file').addEventListener('change', (e) => this.importPopulation(e.target));
 
     // Control buttons
     document.getElementById('btn-headless').addEventListener('click', () => this.toggleHeadless());
     document.getElementById('btn-challenge').addEventListener('click', () => this.toggleChallengeMode());
+    document.getElementById('btn-course-load').addEventListener('click', () => document.getElementById('course-file').click());
+    document.getElementById('course-file').addEventListener('change', (e) => this.loadCourse(e.target));
+    document.getElementById('btn-course-clear').addEventListener('click', () => this.setCourse(null));
+    document.getElementById('btn-random-seed').addEventListener('click', () => this.randomizeSeed());
+
+    // Statistics chart controls
+    document.getElementById('chart-metric').addEventListener('change', (e) => this.statsChart.setMetric(e.target.value));
+    document.getElementById('chart-log').addEventListener('change', (e) => this.statsChart.setLogScale(e.target.checked));
+    document.getElementById('btn-chart-zoom-reset').addEventListener('click', () => this.statsChart.resetZoom());
+    document.getElementById('btn-stats-csv').addEventListener('click', () => this.exportStats('csv'));
+    document.getElementById('btn-stats-json').addEventListener('click', () => this.exportStats('json'));
+
+    // Family tree controls
+    document.getElementById('btn-ancestor-live').addEventListener('click', () => this.showLiveBrain());
+
+    // Island controls
+    document.getElementById('island-list').addEventListener('click', (e) => this.handleIslandClick(e));
+    document.getElementById('btn-islands-reset').addEventListener('click', () => this.applySettingsAndReset('island-status'));
+
+    // Human play: SPACE, click or tap flaps the human bird
+    document.getElementById('btn-play-vs').addEventListener('click', () => this.startHumanPlay('versus'));
+    document.getElementById('btn-practice').addEventListener('click', () => this.startHumanPlay('practice'));
+    document.getElementById('btn-stop-human').addEventListener('click', () => this.stopHumanPlay());
+    document.addEventListener('keydown', (e) => this.handleHumanKey(e));
+    this.gameCanvas.element.addEventListener('pointerdown', (e) => {
+      if (!this.humanMode) return;
+      e.preventDefault(); // No text selection or double-tap zoom while flapping
+      this.simulation.send('flapHuman');
+    });
+
+    // Hall of Fame controls
+    document.getElementById('hall-of-fame-list').addEventListener('click', (e) => this.handleHallOfFameClick(e));
+    document.getElementById('hall-of-fame-sort').addEventListener('change', () => this.renderHallOfFame());
+    document.getElementById('btn-stop-solo').addEventListener('click', () => this.stopSoloFlight());
+
+    // Benchmark suite
+    document.getElementById('btn-benchmark-json').addEventListener('click', () => this.exportBenchmark());
+    document.getElementById('btn-benchmark-stop').addEventListener('click', () => this.stopBenchmark());
+
+    // Replay browser and playback controls
+    document.getElementById('replay-list').addEventListener('click', (e) => this.handleReplayClick(e));
+    document.getElementById('btn-replay-import').addEventListener('click', () => document.getElementById('replay-file').click());
+    document.getElementById('replay-file').addEventListener('change', (e) => this.importReplay(e.target));
+    document.getElementById('btn-replay-stop').addEventListener('click', () => this.stopReplay());
+    document.getElementById('btn-replay-play').addEventListener('click', (e) => {
+      this.controlReplay(e.target.textContent === 'PAUSE' ? 'pauseReplay' : 'playReplay');
+    });
+    document.getElementById('replay-speed').addEventListener('change', (e) => {
+      this.controlReplay('setReplaySpeed', { speed: Number(e.target.value) });
+    });
+    const scrub = document.getElementById('replay-scrub');
+    scrub.addEventListener('input', () => {
+      this.scrubbing = true; // Snapshots must not move the handle while it is dragged
+      document.getElementById('replay-frame').textContent = `${scrub.value}/${scrub.max}`;
+    });
+    scrub.addEventListener('change', () => {
+      this.scrubbing = false;
+      this.controlReplay('seekReplay', { frame: Number(scrub.value) });
+    });
+
+    // Settings panel buttons
+    document.getElementById('btn-settings-next').addEventListener('click', () => this.applySettingsNextGeneration());
+    document.getElementById('btn-settings-reset').addEventListener('click', () => this.applySettingsAndReset());
+    document.getElementById('btn-settings-defaults').addEventListener('click', () => this.fillSettingsFields(DEFAULT_SETTINGS));
+
+    // Fitness panel: presets fill the weights, edits update the formula
+    document.getElementById('fitness-preset').addEventListener('change', (e) => this.selectFitnessPreset(e.target.value));
+    document.getElementById('fitness-fields').addEventListener('input', () => this.updateFitnessPreview());
+    document.getElementById('btn-fitness-next').addEventListener('click', () => this.applySettingsNextGeneration('fitness-status'));
 
     // Modal close on click outside
     this.modalOverlay.addEventListener('click', (e) => {
@@ -154,64 +278,101 @@ class App {
   }
 
   // =============================================
-  // GAME LOOP
+  // SIMULATION UPDATES
   // =============================================
 
   /**
-   * Start Game Loop - Begins the main game simulation loop
+   * Start Run - Creates a fresh engine in the worker
+   *
+   * Uses the current seed, settings, challenge mode and course. The worker
+   * starts paused; its first snapshot arrives right away.
+   */
+  startRun() {
+    this.simulation.reset(this.seed, this.settings, { enabled: this.challengeModeEnabled, speed: this.pipeVerticalSpeed }, this.course);
+  }
+
+  /**
+   * Handle Snapshot - Shows a render snapshot from the simulation worker
+   *
+   * @param {Object} snapshot - Render snapshot (see services/Simulation.js)
    *
-   * Uses requestAnimationFrame for smooth 60 FPS updates
-   * Handles speed multiplication for faster evolution
+   * The worker sends at most one snapshot per display frame, however
+   * fast the simulation runs, so the main thread stays responsive.
    */
-  startGameLoop() {
-    let lastTime = performance.now();
-    const fpsInterval = 1000 / 60; // Target 60 FPS update logic
+  handleSnapshot(snapshot) {
+    // Update game stats
+    this.stats = {
+      generation: snapshot.generation,
+      alive: snapshot.alive,
+      score: snapshot.score,
+      highScore: snapshot.highScore
+    };
+
+    // Update HTML elements with current stats
+    document.getElementById('generation').textContent = this.stats.generation;
+    document.getElementById('alive').innerHTML = `${this.stats.alive}<span class="text-sm text-slate-500">/${snapshot.population}</span>`;
+    document.getElementById('score').textContent = this.stats.score;
+    document.getElementById('highScore').textContent = this.stats.highScore;
 
-    const loop = (time) => {
-      const elapsed = time - lastTime;
+    // Hand the world to the canvas (drawn on its next animation frame)
+    this.gameCanvas.update(snapshot);
 
-      if (elapsed > fpsInterval) {
-        lastTime = time - (elapsed % fpsInterval);
+    // Per-island statistics
+    this.renderIslands(snapshot);
 
-        // Only update game logic if not paused
-        if (!this.paused) {
-          // Run game updates multiple times for speed multiplier
-          for (let i = 0; i < this.gameSpeed; i++) {
-            this.engine.update();
-          }
-        }
+    // Curriculum stage (the curriculum also switches challenge mode)
+    this.renderCurriculum(snapshot);
 
-        // Update UI statistics (always, even when paused)
-        const activeBird = this.engine.getBestBird();
-        const aliveCount = this.engine.birds.filter(b => b.entity.alive).length;
+    // Course in use (a newly loaded one starts with the next generation)
+    const next = this.course ? this.course.name : null;
+    document.getElementById('course-name').textContent =
+      `${snapshot.course ?? 'Random pipes'}${next !== snapshot.course ? ` · next: ${next ?? 'random pipes'}` : ''}`;
 
-        // Update game stats
-        this.stats = {
-          generation: this.engine.generation,
-          alive: aliveCount,
-          score: this.engine.score,
-          highScore: this.engine.highScore
-        };
+    // Score or result of the human bird
+    if (this.humanMode) this.renderHumanStatus(snapshot);
 
-        // Update HTML elements with current stats
-        document.getElementById('generation').textContent = this.stats.generation;
-        document.getElementById('alive').innerHTML = `${this.stats.alive}<span class="text-sm text-slate-500">/${POPULATION_SIZE}</span>`;
-        document.getElementById('score').textContent = this.stats.score;
-        document.getElementById('highScore').textContent = this.stats.highScore;
+    // Refresh the Hall of Fame list when a generation was archived
+    if (snapshot.hallOfFame) {
+      this.hallOfFame = snapshot.hallOfFame;
+      this.renderHallOfFame();
+    }
 
-        // Update neural network visualization if available
-        if (activeBird && activeBird.entity.brain) {
-          this.bestBrain = activeBird.entity.brain;
-          this.networkVis.updateBrain(this.bestBrain);
-        }
-      }
+    // Append newly finished generations to the statistics history
+    if (snapshot.history) {
+      const { start, entries } = snapshot.history;
+      if (start === 0) this.history = []; // New run or other island
+      this.history.push(...entries);
+      this.statsChart.setHistory(this.history);
+    }
 
-      // Continue the animation loop
-      requestAnimationFrame(loop);
-    };
+    // Show the genomes of a newly finished generation
+    if (snapshot.projection !== undefined) {
+      this.genomeProjection.setProjection(snapshot.projection);
+      this.renderProjectionSummary();
+    }
+
+    // Show the ancestry of a new champion
+    if (snapshot.familyTree !== undefined) {
+      this.familyTree.setTree(snapshot.familyTree);
+    }
+
+    // Refresh the replay browser when a generation was recorded
+    if (snapshot.replays) {
+      this.replays = snapshot.replays;
+      this.renderReplays();
+    }
+    this.renderReplayControls(snapshot.replay);
+
+    // Benchmark suite progress and the report once it is done
+    this.renderBenchmarkProgress(snapshot.benchmark);
+    if (snapshot.benchmarkReport) this.showBenchmark(snapshot.benchmarkReport);
 
-    // Start the game loop
-    loop(performance.now());
+    // Update neural network visualization if available (an inspected
+    // ancestor stays on screen until the user returns to the live brain)
+    if (snapshot.brain) {
+      this.bestBrain = snapshot.brain;
+      if (this.inspectedAncestor === null) this.networkVis.updateBrain(this.bestBrain);
+    }
   }
 
   // =============================================
@@ -235,6 +396,7 @@ class App {
   startSimulation() {
     this.simulationStarted = true;
     this.paused = false;
+    this.simulation.send('start');
 
     // Update button visibility
     this.startButton.classList.add('hidden');
@@ -249,6 +411,7 @@ class App {
     if (!this.simulationStarted) return;
 
     this.paused = !this.paused;
+    this.simulation.send(this.paused ? 'pause' : 'start');
     this.pauseButton.textContent = this.paused ? 'RESUME' : 'PAUSE';
   }
 
@@ -270,6 +433,7 @@ class App {
     // Turn off headless mode if enabled
     if (this.headless) {
       this.headless = false;
+      this.simulation.send('setHeadless', { headless: false });
       const headlessButton = document.getElementById('btn-headless');
       headlessButton.textContent = 'HEADLESS OFF';
       headlessButton.className = 'px-4 py-2 rounded font-bold text-sm transition bg-slate-700 text-slate-300 hover:bg-slate-600';
@@ -282,24 +446,48 @@ class App {
       }
     }
 
-    // Create new game engine (resets everything)
-    this.engine = new GameEngine();
-    this.engine.setChallengeMode(this.challengeModeEnabled, this.pipeVerticalSpeed);
+    // Create new game engine in the worker (resets everything, paused)
+    // The seed field decides whether this run repeats a previous one
+    const seedText = document.getElementById('seed-input').value.trim();
+    this.seed = SeededRandom.normalizeSeed(seedText === '' ? SeededRandom.createSeed() : seedText);
+    this.startRun();
 
-    // Update GameCanvas engine reference
-    this.gameCanvas.engine = this.engine;
+    // Clear the canvas until the new run's first snapshot arrives
+    this.gameCanvas.update(null);
 
     // Reset statistics
     this.stats = {
       generation: 1,
-      alive: POPULATION_SIZE,
+      alive: this.settings.populationSize,
       score: 0,
       highScore: 0
     };
 
-    // Reset best brain visualization
+    // Reset best brain visualization and the archive
     this.bestBrain = null;
     this.networkVis.updateBrain(null);
+    this.networkVis.setInputLabels(inputLabels(this.settings));
+    this.hallOfFame = [];
+    this.renderHallOfFame();
+    this.replays = [];
+    this.renderReplays();
+    this.history = [];
+    this.statsChart.setHistory(this.history);
+    this.genomeProjection.setProjection(null);
+    this.renderProjectionSummary();
+    this.familyTree.setTree(null);
+    this.showLiveBrain();
+    this.renderReplayControls(null);
+
+    // The new run is watched from its first island
+    this.watchedIsland = 0;
+    document.getElementById('island-list').innerHTML = '';
+    document.getElementById('island-list').dataset.layout = '';
+    document.getElementById('island-migration').textContent = 'No migration yet.';
+
+    // A new engine starts outside of any solo flight, without a human bird
+    document.getElementById('btn-stop-solo').classList.add('hidden');
+    this.endHumanPlay();
 
     // Reset simulation state
     this.simulationStarted = false;
@@ -309,9 +497,918 @@ class App {
 
     // Update UI display
     document.getElementById('generation').textContent = this.stats.generation;
-    document.getElementById('alive').innerHTML = `${this.stats.alive}<span class="text-sm text-slate-500">/${POPULATION_SIZE}</span>`;
+    document.getElementById('alive').innerHTML = `${this.stats.alive}<span class="text-sm text-slate-500">/${this.settings.populationSize}</span>`;
     document.getElementById('score').textContent = this.stats.score;
     document.getElementById('highScore').textContent = this.stats.highScore;
+    this.updateSeedDisplay();
+  }
+
+  // =============================================
+  // POPULATION FILE METHODS
+  // =============================================
+
+  /**
+   * Export Population - Downloads the whole population as a genome file
+   *
+   * The file is built by the worker, which owns the population.
+   */
+  async exportPopulation() {
+    let data;
+    try {
+      data = await this.simulation.request('exportPopulation');
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+      return;
+    }
+    this.downloadFile(`population-gen${data.generation}.json`, JSON.stringify(data), 'application/json');
+  }
+
+  /**
+   * Export Stats - Downloads the statistics of every finished generation
+   *
+   * @param {string} format - 'csv' (one line per island and generation)
+   *   or 'json' (the same rows plus the settings of the run)
+   *
+   * Same format as the statistics files of the CLI trainer.
+   */
+  async exportStats(format) {
+    let stats;
+    try {
+      stats = await this.simulation.request('exportStats');
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+      return;
+    }
+    const filename = `stats-seed${stats.seed}.${format}`;
+    if (format === 'csv') {
+      this.downloadFile(filename, runStatsToCSV(stats), 'text/csv');
+    } else {
+      this.downloadFile(filename, JSON.stringify(stats, null, 2), 'application/json');
+    }
+  }
+
+  /**
+   * Import Population - Loads a genome file chosen by the user
+   *
+   * @param {HTMLInputElement} input - File input that triggered the import
+   *
+   * The file is validated first; if it is incompatible, the running
+   * simulation is left untouched and the reason is shown to the user.
+   */
+  async importPopulation(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow re-importing the same file
+    if (!file) return;
+
+    let data;
+    try {
+      data = parsePopulation(await file.text(), this.settings);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+      return;
+    }
+
+    // Start from a clean, paused simulation and load the genomes into it
+    this.reset();
+    try {
+      const { challenge } = await this.simulation.request('loadPopulation', { data });
+      this.setChallengeControls(challenge.enabled, challenge.pipeVerticalSpeed);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Download File - Saves generated content through the browser
+   *
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} mimeType - MIME type of the contents
+   */
+  downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // =============================================
+  // GENOME SPACE METHODS
+  // =============================================
+
+  /**
+   * Render Projection Summary - Shows the diversity metrics of the projected generation
+   *
+   * Taken from the newest history entry, which belongs to the same generation.
+   */
+  renderProjectionSummary() {
+    const last = this.history[this.history.length - 1];
+    document.getElementById('projection-summary').textContent = last
+      ? `${last.clusters} clusters · distance ${last.diversity.toFixed(2)} · variance ${last.weightVariance.toFixed(3)}`
+      : '';
+  }
+
+  // =============================================
+  // FAMILY TREE METHODS
+  // =============================================
+
+  /**
+   * Inspect Ancestor - Shows the record and network of a family tree member
+   *
+   * @param {string} id - Bird ID of the clicked individual
+   */
+  async inspectAncestor(id) {
+    const status = document.getElementById('family-tree-status');
+    let ancestor;
+    try {
+      ancestor = await this.simulation.request('inspectAncestor', { bird: id });
+    } catch (err) {
+      status.textContent = err.message;
+      return;
+    }
+
+    this.inspectedAncestor = id;
+    this.familyTree.setSelected(id);
+    this.networkVis.updateBrain(ancestor.brain);
+    document.getElementById('btn-ancestor-live').classList.remove('hidden');
+
+    const parents = ancestor.parents.length > 0 ? `child of ${ancestor.parents.join(' × ')}` : 'no known parents';
+    status.textContent = `Bird ${ancestor.id}: born in generation ${ancestor.born}, ${parents}, ` +
+      `${ancestor.mutations} mutation${ancestor.mutations === 1 ? '' : 's'} at birth, ` +
+      `best fitness ${ancestor.fitness ?? '-'} over ${ancestor.generations} generation${ancestor.generations === 1 ? '' : 's'}` +
+      `${ancestor.elite ? ', survived as an elite' : ''}. Its network is shown above.`;
+  }
+
+  /**
+   * Show Live Brain - Returns the network visualization to the highlighted bird
+   */
+  showLiveBrain() {
+    this.inspectedAncestor = null;
+    this.familyTree.setSelected(null);
+    this.networkVis.updateBrain(this.bestBrain);
+    document.getElementById('btn-ancestor-live').classList.add('hidden');
+  }
+
+  // =============================================
+  // CURRICULUM METHODS
+  // =============================================
+
+  /**
+   * Render Curriculum - Shows the curriculum stage in the stats row
+   *
+   * @param {Object} snapshot - Render snapshot with `curriculum` and `challenge`
+   *
+   * While the curriculum is on, it switches challenge mode itself: the
+   * locked challenge controls show the stage's challenge mode, while the
+   * configured one is kept for resets and for when the curriculum is off.
+   */
+  renderCurriculum({ curriculum, challenge }) {
+    const label = document.getElementById('curriculum-stage');
+    label.classList.toggle('hidden', !curriculum);
+    if (curriculum) {
+      label.textContent = `Stage ${curriculum.stage}/${curriculum.stages} · ${curriculum.name}`;
+      label.title = curriculum.stage < curriculum.stages
+        ? `Next stage after ${curriculum.generations} generations in a row with a best score of ${curriculum.score} or more (streak: ${curriculum.streak}).`
+        : 'Final stage.';
+    }
+
+    const shown = this.curriculumChallenge;
+    if (!curriculum !== !shown || (curriculum &&
+        (challenge.enabled !== shown.enabled || challenge.pipeVerticalSpeed !== shown.pipeVerticalSpeed))) {
+      this.curriculumChallenge = curriculum ? challenge : null;
+      this.renderChallengeControls();
+    }
+  }
+
+  // =============================================
+  // COURSE METHODS
+  // =============================================
+
+  /**
+   * Load Course - Reads a course file chosen by the user
+   *
+   * @param {HTMLInputElement} input - File input holding the selected file
+   *
+   * Invalid files are refused with the reason; a valid course replaces
+   * the random pipes from the next generation on.
+   */
+  async loadCourse(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow loading the same file again
+    if (!file) return;
+
+    try {
+      this.setCourse(parseCourse(await file.text()));
+    } catch (err) {
+      alert(`Course not loaded: ${err.message}`);
+    }
+  }
+
+  /**
+   * Set Course - Switches every island to a course or back to random pipes
+   *
+   * @param {Object|null} course - Parsed course, or null for random pipes
+   */
+  setCourse(course) {
+    this.course = course;
+    this.simulation.send('setCourse', { course });
+    document.getElementById('btn-course-clear').classList.toggle('hidden', !course);
+  }
+
+  // =============================================
+  // ISLAND METHODS
+  // =============================================
+
+  /**
+   * Render Islands - Shows the statistics of every island
+   *
+   * @param {Object} snapshot - Render snapshot with `islands` and `island`
+   *
+   * Rows are only rebuilt when the island count or the watched island
+   * changes, so WATCH buttons are not replaced under the mouse pointer
+   * 60 times per second; otherwise only the numbers are updated.
+   */
+  renderIslands(snapshot) {
+    const { islands, island: watched, lastMigration } = snapshot;
+    const list = document.getElementById('island-list');
+
+    const layout = `${islands.length}/${watched}`;
+    if (list.dataset.layout !== layout) {
+      list.dataset.layout = layout;
+      list.innerHTML = islands.map((_, i) => `
+        <div class="island-row${i === watched ? ' watched' : ''}">
+          <span class="font-mono text-sm text-slate-300">
+            <span class="text-yellow-400">Island ${i + 1}</span>
+            <span data-island-stats="${i}"></span>
+          </span>
+          <button data-island="${i}" ${i === watched ? 'disabled' : ''}
+            class="rounded font-bold text-xs transition ${i === watched ? 'bg-slate-800 text-slate-500' : 'bg-cyan-500 hover:bg-cyan-400 text-white'}">${i === watched ? 'WATCHING' : 'WATCH'}</button>
+        </div>
+      `).join('');
+    }
+
+    islands.forEach((island, i) => {
+      list.querySelector(`[data-island-stats="${i}"]`).textContent =
+        `· alive ${island.alive}/${island.population} · score ${island.score} · high ${island.highScore}` +
+        ` · last best ${island.bestFitness ?? '-'}${island.waiting ? ' · waiting' : ''}`;
+    });
+
+    if (lastMigration) {
+      document.getElementById('island-migration').textContent =
+        `Last migration: end of generation ${lastMigration.generation}, ${lastMigration.migrants} genomes moved.`;
+    }
+  }
+
+  /**
+   * Handle Island Click - Runs the WATCH button of an island row
+   *
+   * @param {MouseEvent} e - Click event from the list
+   */
+  handleIslandClick(e) {
+    const button = e.target.closest('button[data-island]');
+    if (button) this.watchIsland(Number(button.dataset.island));
+  }
+
+  /**
+   * Watch Island - Shows another island on the canvas
+   *
+   * @param {number} island - Island index
+   *
+   * The settings panel switches to that island's settings, so APPLY
+   * NEXT GEN changes that island only. A running solo flight ends.
+   */
+  async watchIsland(island) {
+    let settings;
+    try {
+      settings = await this.simulation.request('watchIsland', { island });
+    } catch (err) {
+      this.setSettingsStatus(err.message, true, 'island-status');
+      return;
+    }
+
+    this.watchedIsland = island;
+    this.fillSettingsFields(settings);
+    document.getElementById('btn-stop-solo').classList.add('hidden');
+    this.endHumanPlay(); // The human bird stays behind on the old island
+    this.setSettingsStatus(`Watching island ${island + 1}. APPLY NEXT GEN in Engine Settings changes only this island.`, false, 'island-status');
+  }
+
+  // =============================================
+  // HUMAN PLAY METHODS
+  // =============================================
+
+  /**
+   * Start Human Play - Lets the user fly a bird
+   *
+   * @param {string} mode - 'versus' to race the watched island's birds,
+   *   'practice' to fly alone (evolution is on hold meanwhile)
+   *
+   * The simulation runs at 1x, the speed a human can play at. Keyboard
+   * focus leaves the clicked button, so SPACE flaps instead of clicking it again.
+   */
+  startHumanPlay(mode) {
+    if (this.humanMode === 'practice' && mode === 'versus') this.simulation.send('stopPractice');
+    this.simulation.send(mode === 'practice' ? 'startPractice' : 'joinHuman');
+    this.humanMode = mode;
+
+    this.handleSpeedChange(1);
+    if (!this.simulationStarted) {
+      this.startSimulation();
+    } else if (this.paused) {
+      this.togglePause();
+    }
+    document.activeElement?.blur();
+
+    if (mode === 'practice') document.getElementById('btn-stop-solo').classList.add('hidden'); // Practice replaces a solo flight
+    document.getElementById('btn-stop-human').classList.remove('hidden');
+    this.setHumanStatus(mode === 'practice'
+      ? 'Practice: evolution is on hold. SPACE, click or tap to flap.'
+      : 'Get ready: you enter as soon as the way is clear. SPACE, click or tap to flap.');
+  }
+
+  /**
+   * Stop Human Play - Removes the human bird at the user's request
+   *
+   * Practice ends and evolution resumes where it was put on hold.
+   */
+  stopHumanPlay() {
+    this.simulation.send(this.humanMode === 'practice' ? 'stopPractice' : 'leaveHuman');
+    this.endHumanPlay();
+    this.setHumanStatus('Stopped playing.');
+  }
+
+  /**
+   * End Human Play - Resets the human play controls
+   *
+   * Called whenever the worker drops the human bird on its own
+   * (reset, solo flight, another island).
+   */
+  endHumanPlay() {
+    this.humanMode = null;
+    document.getElementById('btn-stop-human').classList.add('hidden');
+  }
+
+  /**
+   * Handle Human Key - Flaps the human bird on SPACE
+   *
+   * @param {KeyboardEvent} e - Keydown event of the document
+   *
+   * Ignored while typing into a settings field, and held keys do not
+   * repeat flaps.
+   */
+  handleHumanKey(e) {
+    if (!this.humanMode || e.code !== 'Space' || e.repeat) return;
+    if (e.target.closest('input, select, textarea')) return;
+    e.preventDefault(); // Do not scroll the page
+    this.simulation.send('flapHuman');
+  }
+
+  /**
+   * Render Human Status - Shows the human's score or the outcome of the race
+   *
+   * @param {Object} snapshot - Render snapshot with `human` and `humanResult`
+   */
+  renderHumanStatus(snapshot) {
+    const { human, humanResult: result } = snapshot;
+    if (!human) return; // The command that adds the bird is still on its way
+    if (human.waiting) {
+      this.setHumanStatus('Get ready: you enter as soon as the way is clear.');
+    } else if (human.alive) {
+      this.setHumanStatus(`Flying · your score ${human.score}`);
+    } else if (result) {
+      const messages = {
+        human: `You outlasted every AI bird: ${result.score} vs ${result.aiScore}!`,
+        ai: `Crashed with score ${result.score}. The best AI bird is still flying (${result.aiScore} so far).`,
+        tie: result.finished
+          ? `You and the AI birds still flying reached the finish line: ${result.score} vs ${result.aiScore}.`
+          : `You and the last AI bird crashed together with score ${result.score}.`
+      };
+      const message = result.winner === null ? `Crashed with score ${result.score}.` : messages[result.winner];
+      this.setHumanStatus(`${message} Flap to try again.`);
+    }
+  }
+
+  /**
+   * Set Human Status - Shows feedback below the human play buttons
+   *
+   * @param {string} message - Text to show
+   */
+  setHumanStatus(message) {
+    document.getElementById('human-status').textContent = message;
+  }
+
+  // =============================================
+  // HALL OF FAME METHODS
+  // =============================================
+
+  /**
+   * Render Hall Of Fame - Lists archived champions
+   *
+   * Called when the worker reports a changed archive (new generation,
+   * reset, import) or the sort order changes. At most 200 entries are shown.
+   */
+  renderHallOfFame() {
+    const sort = document.getElementById('hall-of-fame-sort').value;
+    const entries = [...this.hallOfFame];
+    if (sort === 'fitness') {
+      entries.sort((a, b) => b.fitness - a.fitness);
+    } else {
+      entries.reverse();
+    }
+
+    document.getElementById('hall-of-fame-count').textContent = `(${this.hallOfFame.length})`;
+    document.getElementById('hall-of-fame-list').innerHTML = entries.slice(0, 200).map(entry => `
+      <div class="hall-of-fame-row">
+        <span class="font-mono text-sm text-slate-300">
+          <span class="text-yellow-400">Gen ${entry.generation}</span>
+          · fitness ${entry.fitness} · score ${entry.score}
+        </span>
+        <span class="flex gap-2">
+          <button data-action="fly" data-generation="${entry.generation}"
+            class="rounded font-bold text-xs transition bg-cyan-500 hover:bg-cyan-400 text-white">FLY</button>
+          <button data-action="inject" data-generation="${entry.generation}"
+            class="rounded font-bold text-xs transition bg-slate-700 text-slate-300 hover:bg-slate-600">INJECT</button>
+          <button data-action="test" data-generation="${entry.generation}"
+            class="rounded font-bold text-xs transition bg-slate-700 text-slate-300 hover:bg-slate-600">TEST</button>
+        </span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Handle Hall Of Fame Click - Runs the FLY / INJECT / TEST buttons of a row
+   *
+   * @param {MouseEvent} e - Click event from the list
+   */
+  async handleHallOfFameClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const entry = this.hallOfFame.find(e => e.generation === Number(button.dataset.generation));
+    if (!entry) return;
+
+    // The worker holds the genomes; rows only know their generation
+    if (button.dataset.action === 'fly') {
+      try {
+        await this.simulation.request('startSoloFlight', { generation: entry.generation });
+      } catch (err) {
+        this.setHallOfFameStatus(err.message);
+        return;
+      }
+      this.endHumanPlay(); // The solo flight replaces the human's world
+      document.getElementById('btn-stop-solo').classList.remove('hidden');
+      this.setHallOfFameStatus(`Generation ${entry.generation} champion is flying alone. Evolution is on hold.`);
+      if (!this.simulationStarted) this.startSimulation();
+    } else if (button.dataset.action === 'inject') {
+      try {
+        await this.simulation.request('injectGenome', { generation: entry.generation });
+      } catch (err) {
+        this.setHallOfFameStatus(err.message);
+        return;
+      }
+      this.setHallOfFameStatus(`Generation ${entry.generation} champion will join the next generation.`);
+    } else {
+      this.runBenchmark(entry.generation);
+    }
+  }
+
+  /**
+   * Stop Solo Flight - Resumes evolution after watching a champion
+   */
+  stopSoloFlight() {
+    this.simulation.send('stopSoloFlight');
+    document.getElementById('btn-stop-solo').classList.add('hidden');
+    if (this.humanMode === 'practice') this.endHumanPlay(); // Practice was put on hold by the solo flight
+    this.setHallOfFameStatus('Evolution resumed.');
+  }
+
+  /**
+   * Set Hall Of Fame Status - Shows feedback below the archive list
+   *
+   * @param {string} message - Text to show
+   */
+  setHallOfFameStatus(message) {
+    document.getElementById('hall-of-fame-status').textContent = message;
+  }
+
+  // =============================================
+  // BENCHMARK METHODS
+  // =============================================
+
+  /**
+   * Run Benchmark - Evaluates a Hall of Fame champion on the benchmark suite
+   *
+   * @param {number} generation - Generation of the archived champion
+   *
+   * The worker flies the suite a slice per tick next to the simulation;
+   * snapshots report the progress and finally carry the report.
+   */
+  async runBenchmark(generation) {
+    this.setBenchmarkStatus(`Benchmarking the generation ${generation} champion...`);
+    try {
+      await this.simulation.request('runBenchmark', { generation });
+    } catch (err) {
+      this.setBenchmarkStatus(err.message);
+    }
+  }
+
+  /**
+   * Stop Benchmark - Cancels the benchmark suite being flown
+   */
+  stopBenchmark() {
+    this.simulation.send('stopBenchmark');
+    this.setBenchmarkStatus('Benchmark cancelled.');
+  }
+
+  /**
+   * Render Benchmark Progress - Shows how far the benchmark suite got
+   *
+   * @param {Object|null} benchmark - Progress from the snapshot (see
+   *   BenchmarkSuite.status()), null while no suite is flown
+   */
+  renderBenchmarkProgress(benchmark) {
+    document.getElementById('btn-benchmark-stop').classList.toggle('hidden', !benchmark);
+    if (!benchmark) return;
+    this.setBenchmarkStatus(`Benchmarking the ${benchmark.label.toLowerCase()}: ` +
+      `${benchmark.done}/${benchmark.total} flights...`);
+  }
+
+  /**
+   * Show Benchmark - Takes over the report of a finished benchmark suite
+   *
+   * @param {Object} report - Benchmark report (see services/BenchmarkSuite.js)
+   */
+  showBenchmark(report) {
+    this.benchmark = report;
+    this.renderBenchmark();
+    const { overall, durationMs } = report;
+    this.setBenchmarkStatus(`${overall.mean.toFixed(1)} pipes per flight on average, ` +
+      `${overall.ends.survived} flights survived (${(durationMs / 1000).toFixed(1)}s).`);
+  }
+
+  /**
+   * Render Benchmark - Shows the report as a table, one row per case
+   */
+  renderBenchmark() {
+    const { label, seeds, maxFrames, cases, overall } = this.benchmark;
+    const cells = ({ mean, min, max, ends }) => `
+      <td>${mean.toFixed(1)}</td><td>${min}</td><td>${max}</td>
+      <td>${ends.ground}</td><td>${ends.ceiling}</td><td>${ends.pipe}</td><td>${ends.survived}</td>`;
+
+    document.getElementById('benchmark-label').textContent =
+      `${label} · ${seeds.length} seeds · up to ${maxFrames} frames`;
+    document.getElementById('benchmark-results').innerHTML = `
+      <table class="benchmark-table">
+        <thead>
+          <tr><th>Mode</th><th>Scroll</th><th>Mean</th><th>Min</th><th>Max</th>
+            <th>Ground</th><th>Ceiling</th><th>Pipe</th><th>Survived</th></tr>
+        </thead>
+        <tbody>
+          ${cases.map(c => `<tr>
+            <td>${c.mode === 'challenge' ? `challenge (${c.pipeVerticalSpeed})` : 'normal'}</td>
+            <td>${c.pipeSpeed}</td>${cells(c)}</tr>`).join('')}
+        </tbody>
+        <tfoot>
+          <tr><td>all cases</td><td></td>${cells(overall)}</tr>
+        </tfoot>
+      </table>`;
+    document.getElementById('btn-benchmark-json').classList.remove('hidden');
+  }
+
+  /**
+   * Export Benchmark - Downloads the report of the last run as JSON
+   *
+   * Same format as the reports of the CLI trainer (--benchmark-suite).
+   */
+  exportBenchmark() {
+    if (!this.benchmark) return;
+    const name = this.benchmark.label.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    this.downloadFile(`benchmark-${name}.json`, JSON.stringify(this.benchmark, null, 2), 'application/json');
+  }
+
+  /**
+   * Set Benchmark Status - Shows feedback below the benchmark table
+   *
+   * @param {string} message - Text to show
+   */
+  setBenchmarkStatus(message) {
+    document.getElementById('benchmark-status').textContent = message;
+  }
+
+  // =============================================
+  // REPLAY METHODS
+  // =============================================
+
+  /**
+   * Render Replays - Lists the recorded generations, newest first
+   *
+   * Called when the worker reports a newly recorded generation (or a
+   * reset, import or other island).
+   */
+  renderReplays() {
+    document.getElementById('replay-count').textContent = `(${this.replays.length})`;
+    document.getElementById('replay-list').innerHTML = [...this.replays].reverse().map(replay => `
+      <div class="replay-row">
+        <span class="font-mono text-sm text-slate-300">
+          <span class="text-yellow-400">Gen ${replay.generation}</span>
+          · ${replay.frames} frames · score ${replay.score} · best fitness ${replay.bestFitness}
+        </span>
+        <span class="flex gap-2">
+          <button data-action="play" data-generation="${replay.generation}"
+            class="rounded font-bold text-xs transition bg-cyan-500 hover:bg-cyan-400 text-white">PLAY</button>
+          <button data-action="export" data-generation="${replay.generation}"
+            class="rounded font-bold text-xs transition bg-slate-700 text-slate-300 hover:bg-slate-600">EXPORT</button>
+        </span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render Replay Controls - Shows the playback state of the shown replay
+   *
+   * @param {Object|null} replay - Playback state from the snapshot
+   *   (see ReplayPlayer.status()), null while the evolution is shown
+   */
+  renderReplayControls(replay) {
+    document.getElementById('replay-controls').classList.toggle('hidden', !replay);
+    document.getElementById('btn-replay-stop').classList.toggle('hidden', !replay);
+    if (!replay) return;
+
+    document.getElementById('btn-replay-play').textContent = replay.paused ? 'PLAY' : 'PAUSE';
+    document.getElementById('replay-speed').value = String(replay.speed);
+    if (!this.scrubbing) {
+      const scrub = document.getElementById('replay-scrub');
+      scrub.max = replay.frames;
+      scrub.value = replay.frame;
+      document.getElementById('replay-frame').textContent = `${replay.frame}/${replay.frames}`;
+    }
+  }
+
+  /**
+   * Handle Replay Click - Runs the PLAY / EXPORT buttons of a row
+   *
+   * @param {MouseEvent} e - Click event from the list
+   */
+  async handleReplayClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const generation = Number(button.dataset.generation);
+
+    try {
+      if (button.dataset.action === 'play') {
+        await this.simulation.request('startReplay', { generation });
+        this.setReplayStatus(`Replaying generation ${generation}. Evolution is on hold.`);
+      } else {
+        const data = await this.simulation.request('exportReplay', { generation });
+        this.downloadFile(`replay-gen${generation}.json`, JSON.stringify(data), 'application/json');
+      }
+    } catch (err) {
+      this.setReplayStatus(err.message);
+    }
+  }
+
+  /**
+   * Import Replay - Plays a replay file chosen by the user
+   *
+   * @param {HTMLInputElement} input - File input that triggered the import
+   *
+   * The replay runs with its own settings; the evolution is not changed.
+   */
+  async importReplay(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow re-importing the same file
+    if (!file) return;
+
+    let data;
+    try {
+      data = parseReplay(await file.text());
+    } catch (err) {
+      this.setReplayStatus(`Import failed: ${err.message}`);
+      return;
+    }
+    try {
+      await this.simulation.request('startReplay', { data });
+    } catch (err) {
+      this.setReplayStatus(`Import failed: ${err.message}`);
+      return;
+    }
+    this.setReplayStatus(`Replaying generation ${data.generation} from ${file.name}. Evolution is on hold.`);
+  }
+
+  /**
+   * Stop Replay - Returns from playback to the evolution
+   */
+  stopReplay() {
+    this.simulation.send('stopReplay');
+    this.setReplayStatus('Evolution resumed.');
+  }
+
+  /**
+   * Control Replay - Sends a playback command for the shown replay
+   *
+   * @param {string} type - playReplay, pauseReplay, setReplaySpeed or seekReplay
+   * @param {Object} payload - Command arguments
+   */
+  async controlReplay(type, payload = {}) {
+    try {
+      await this.simulation.request(type, payload);
+    } catch (err) {
+      this.setReplayStatus(err.message);
+    }
+  }
+
+  /**
+   * Set Replay Status - Shows feedback below the replay list
+   *
+   * @param {string} message - Text to show
+   */
+  setReplayStatus(message) {
+    document.getElementById('replay-status').textContent = message;
+  }
+
+  // =============================================
+  // ENGINE SETTINGS METHODS
+  // =============================================
+
+  /**
+   * Create Settings Fields - Generates one input per runtime setting
+   *
+   * Settings marked 'reset' change the network topology and are
+   * labelled so the user knows they need APPLY & RESET. Fitness weights
+   * go to their own panel, next to a preset dropdown, and the island
+   * layout to the Islands panel.
+   */
+  createSettingsFields() {
+    const presetSelect = document.getElementById('fitness-preset');
+    presetSelect.innerHTML = [...Object.keys(FITNESS_PRESETS), 'custom']
+      .map(name => `<option value="${name}">${name}</option>`).join('');
+
+    const groupContainers = { fitness: 'fitness-fields', islands: 'island-fields' };
+    SETTING_DEFINITIONS.forEach(def => {
+      const container = document.getElementById(groupContainers[def.group] || 'settings-fields');
+      const field = document.createElement('label');
+      field.className = 'settings-field flex flex-col gap-1';
+      const inputClass = 'text-input px-2 py-2 rounded bg-slate-900 border border-slate-700 text-slate-100 font-mono text-sm';
+
+      // List settings get a text input (comma-separated, with the available
+      // choices as tooltip), choice settings a dropdown, numeric settings a
+      // number input
+      const placeholder = def.options ? def.options.slice(0, 2).join(', ') : '8, 8';
+      const title = def.options ? ` title="Available: ${def.options.join(', ')}"` : '';
+      const input = def.list
+        ? `<input type="text" placeholder="${placeholder}"${title} data-setting="${def.key}" class="${inputClass}">`
+        : def.options
+        ? `<select data-setting="${def.key}" class="${inputClass}">${def.options.map(o => `<option value="${o}">${o}</option>`).join('')}</select>`
+        : `<input type="number" min="${def.min}" max="${def.max}" step="${def.step}" data-setting="${def.key}" class="${inputClass}">`;
+
+      field.innerHTML = `
+        <span class="text-slate-400 text-xs font-bold uppercase">${def.label}${def.applies === 'reset' ? ' <span class="text-slate-500">(reset)</span>' : ''}</span>
+        ${input}
+      `;
+      container.appendChild(field);
+    });
+
+    this.fillSettingsFields(this.settings);
+  }
+
+  /**
+   * Fill Settings Fields - Shows the given settings in the inputs
+   *
+   * @param {Object} settings - Settings to display
+   */
+  fillSettingsFields(settings) {
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const def = SETTING_DEFINITIONS.find(d => d.key === input.dataset.setting);
+      input.value = formatSettingValue(def, settings[def.key]);
+    });
+    this.updateFitnessPreview();
+  }
+
+  /**
+   * Read Settings Fields - Collects and validates the inputs
+   *
+   * @param {string} statusId - Status line that shows validation errors
+   * @returns {Object|null} - Valid settings, or null if invalid (errors are shown)
+   */
+  readSettingsFields(statusId = 'settings-status') {
+    const settings = this.readRawSettingsFields();
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      this.setSettingsStatus(errors.join(' '), true, statusId);
+      return null;
+    }
+    return settings;
+  }
+
+  /**
+   * Read Raw Settings Fields - Parses the inputs without validating them
+   *
+   * @returns {Object} - Settings as typed (may contain NaN or out-of-range values)
+   */
+  readRawSettingsFields() {
+    const settings = {};
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const def = SETTING_DEFINITIONS.find(d => d.key === input.dataset.setting);
+      settings[def.key] = parseSettingValue(def, input.value);
+    });
+    return settings;
+  }
+
+  /**
+   * Apply Settings Next Generation - Queues the settings in the engine
+   *
+   * @param {string} statusId - Status line that shows the outcome
+   *
+   * The running generation finishes unchanged. Topology changes are
+   * rejected by the engine (in the worker) and reported to the user.
+   */
+  async applySettingsNextGeneration(statusId = 'settings-status') {
+    const settings = this.readSettingsFields(statusId);
+    if (!settings) return;
+
+    try {
+      await this.simulation.request('queueSettings', { settings });
+    } catch (err) {
+      this.setSettingsStatus(err.message, true, statusId);
+      return;
+    }
+    this.settings = settings;
+    const island = this.settings.islandCount > 1 ? ` on island ${this.watchedIsland + 1}` : '';
+    this.setSettingsStatus(`Settings will apply${island} from generation ${this.stats.generation + 1}.`, false, statusId);
+  }
+
+  /**
+   * Apply Settings And Reset - Restarts the simulation with the settings
+   *
+   * @param {string} statusId - Status line that shows the outcome
+   *
+   * Every island of the new run starts with these settings.
+   */
+  applySettingsAndReset(statusId = 'settings-status') {
+    const settings = this.readSettingsFields(statusId);
+    if (!settings) return;
+
+    this.settings = settings;
+    this.reset();
+    this.setSettingsStatus('Settings applied. Simulation reset.', false, statusId);
+  }
+
+  /**
+   * Set Settings Status - Shows feedback below the settings inputs
+   *
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Whether the message describes a problem
+   * @param {string} statusId - Status line to write to
+   */
+  setSettingsStatus(message, isError, statusId = 'settings-status') {
+    const status = document.getElementById(statusId);
+    status.textContent = message;
+    status.className = `text-sm ${isError ? 'text-red-400' : 'text-slate-400'}`;
+  }
+
+  /**
+   * Select Fitness Preset - Fills the weight inputs with a preset
+   *
+   * @param {string} name - Key of FITNESS_PRESETS, or 'custom' to keep the current weights
+   */
+  selectFitnessPreset(name) {
+    if (name === 'custom') return;
+    this.fillSettingsFields({ ...this.readRawSettingsFields(), ...presetSettings(name) });
+  }
+
+  /**
+   * Update Fitness Preview - Shows the formula and matching preset of the typed weights
+   */
+  updateFitnessPreview() {
+    const settings = this.readRawSettingsFields();
+    document.getElementById('fitness-formula').textContent = fitnessFormula(settings);
+    document.getElementById('fitness-preset').value = matchPreset(settings);
+  }
+
+  // =============================================
+  // SEED CONTROL METHODS
+  // =============================================
+
+  /**
+   * Update Seed Display - Shows the seed of the running simulation
+   *
+   * The seed input is pre-filled with the current seed, so pressing
+   * RESET without editing it repeats the exact same run.
+   */
+  updateSeedDisplay() {
+    document.getElementById('current-seed').textContent = this.seed;
+    document.getElementById('seed-input').value = this.seed;
+  }
+
+  /**
+   * Randomize Seed - Puts a fresh random seed into the seed input
+   *
+   * Takes effect on the next RESET.
+   */
+  randomizeSeed() {
+    document.getElementById('seed-input').value = SeededRandom.createSeed();
   }
 
   // =============================================
@@ -325,6 +1422,7 @@ class App {
    */
   handleSpeedChange(speed) {
     this.gameSpeed = speed;
+    this.simulation.send('setSpeed', { speed });
 
     // Update button styles to show active speed
     const speedButtons = document.querySelectorAll('#speed-buttons button');
@@ -342,10 +1440,12 @@ class App {
    * Toggle Headless Mode - Enables/disables rendering
    *
    * Headless mode improves performance by disabling visual rendering
-   * while still running the evolution simulation.
+   * while still running the evolution simulation. The worker then
+   * leaves birds and pipes out of its snapshots.
    */
   toggleHeadless() {
     this.headless = !this.headless;
+    this.simulation.send('setHeadless', { headless: this.headless });
     const headlessButton = document.getElementById('btn-headless');
     headlessButton.textContent = this.headless ? 'HEADLESS ON' : 'HEADLESS OFF';
     headlessButton.className = `px-4 py-2 rounded font-bold text-sm transition ${this.headless ? 'bg-orange-600 hover:bg-orange-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`;
@@ -373,24 +1473,50 @@ class App {
    * Toggle Challenge Mode - Enables/disables dynamic pipes
    */
   toggleChallengeMode() {
+    if (this.curriculumChallenge) return; // The curriculum decides
     const newValue = !this.challengeModeEnabled;
-    this.challengeModeEnabled = newValue;
-    this.engine.setChallengeMode(newValue, this.pipeVerticalSpeed);
+    this.simulation.send('setChallengeMode', { enabled: newValue, speed: this.pipeVerticalSpeed });
+    this.setChallengeControls(newValue, this.pipeVerticalSpeed);
+  }
+
+  /**
+   * Set Challenge Controls - Stores the configured challenge mode and shows it
+   *
+   * @param {boolean} enabled - Whether challenge mode is on
+   * @param {number} speed - Pipe vertical speed
+   */
+  setChallengeControls(enabled, speed) {
+    this.challengeModeEnabled = enabled;
+    this.pipeVerticalSpeed = speed;
+    this.renderChallengeControls();
+  }
+
+  /**
+   * Render Challenge Controls - Syncs challenge mode UI with the mode in effect
+   *
+   * Shows the curriculum stage's challenge mode (locked) while the
+   * curriculum controls it, the configured one otherwise.
+   */
+  renderChallengeControls() {
+    const locked = this.curriculumChallenge !== null;
+    const { enabled, pipeVerticalSpeed: speed } = this.curriculumChallenge ||
+      { enabled: this.challengeModeEnabled, pipeVerticalSpeed: this.pipeVerticalSpeed };
 
     const challengeButton = document.getElementById('btn-challenge');
-    challengeButton.textContent = newValue ? 'ON' : 'OFF';
-    challengeButton.className = `px-4 py-2 rounded font-bold text-sm transition ${newValue ? 'bg-purple-600 hover:bg-purple-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`;
+    challengeButton.disabled = locked;
+    challengeButton.title = locked ? 'The curriculum controls challenge mode.' : '';
+    challengeButton.textContent = enabled ? 'ON' : 'OFF';
+    challengeButton.className = `px-4 py-2 rounded font-bold text-sm transition ${enabled ? 'bg-purple-600 hover:bg-purple-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`;
 
-    // Enable/disable pipe speed buttons
+    // Enable/disable pipe speed buttons and highlight the active speed
     const pipeSpeedButtons = document.querySelectorAll('#pipe-speed-buttons button');
     pipeSpeedButtons.forEach(btn => {
-      btn.disabled = !newValue;
-      btn.className = btn.className.replace(/bg-slate-800 text-slate-600 cursor-not-allowed/, '')
-        .replace(/bg-slate-700 text-slate-300 hover:bg-slate-600/, '');
-      if (!newValue) {
-        btn.className += ' bg-slate-800 text-slate-600 cursor-not-allowed';
+      const btnSpeed = parseInt(btn.textContent);
+      btn.disabled = !enabled || locked;
+      if (!enabled) {
+        btn.className = 'w-10 h-8 rounded font-bold text-xs transition bg-slate-800 text-slate-600 cursor-not-allowed';
       } else {
-        btn.className += ' bg-slate-700 text-slate-300 hover:bg-slate-600';
+        btn.className = `w-10 h-8 rounded font-bold text-xs transition ${btnSpeed === speed ? 'bg-purple-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`;
       }
     });
   }
@@ -401,10 +1527,10 @@ class App {
    * @param {number} speed - New vertical movement speed
    */
   handleVerticalSpeedChange(speed) {
-    if (!this.challengeModeEnabled) return;
+    if (!this.challengeModeEnabled || this.curriculumChallenge) return;
 
     this.pipeVerticalSpeed = speed;
-    this.engine.setChallengeMode(this.challengeModeEnabled, speed);
+    this.simulation.send('setChallengeMode', { enabled: this.challengeModeEnabled, speed });
 
     // Update button styles
     const pipeSpeedButtons = document.querySelectorAll('#pipe-speed-buttons button');
@@ -434,18 +1560,19 @@ document.addEventListener('DOMContentLoaded', () => {
  * APPLICATION STRUCTURE
  *
  * 1. COMPONENT-BASED DESIGN
- * - GameEngine: Core simulation and evolution logic
+ * - GameEngine: Core simulation and evolution logic, hosted in a
+ *   Web Worker (Simulation, SimulationWorker, SimulationClient)
  * - GameCanvas: Visual rendering of game world
  * - NetworkVis: Neural network visualization
  * - App: Main controller and UI manager
  *
  * 2. EVENT-DRIVEN ARCHITECTURE
- * - User interactions trigger state changes
- * - Game loop runs continuously at 60 FPS
- * - Speed multiplier allows faster evolution
+ * - User interactions become messages to the simulation worker
+ * - The worker ticks at 60 Hz and answers with render snapshots
+ * - Speed multiplier allows faster evolution without blocking the UI
  *
  * 3. STATE MANAGEMENT
- * - Game state stored in GameEngine
+ * - Game state stored in GameEngine (worker side only)
  * - UI state managed by App class
  * - Visual state handled by rendering components
  *
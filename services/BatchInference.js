@@ -0,0 +1,184 @@
+/**
+ * NeuroEvolution Bird - Batched Population Inference
+ *
+ * Evaluating the population bird by bird means one NeuralNetwork.predict()
+ * call per bird and frame, each allocating fresh arrays for every layer.
+ * PopulationBatch instead packs the weights of all fixed-topology networks
+ * of a generation into one contiguous Float32Array per layer and evaluates
+ * every alive bird in a single pass over those arrays, reusing the same
+ * activation buffers frame after frame.
+ *
+ * MEMORY LAYOUT (n birds, layer l with `inputs` → `outputs` neurons):
+ *
+ *   weights[l]          [bird][output][input]   n × outputs × inputs
+ *   biases[l]           [bird][output]          n × outputs
+ *   recurrentWeights[h] [bird][output][context] n × size × size
+ *   activations[l]      [bird][neuron]          n × layers[l]
+ *   state[h]            [bird][neuron]          n × size
+ *
+ * The weights of one neuron are adjacent, so every dot product reads a
+ * contiguous slice. activations[0] holds the inputs, the last entry the
+ * outputs.
+ *
+ * A batch is a read-only view of the networks at the time it was built:
+ * the GameEngine builds a new one whenever the population changes (every
+ * generation) and discards it when birds restart, which also clears the
+ * recurrent memory. Activations stay in the batch; getStructure-style
+ * snapshots are produced on demand with layerOutputs().
+ */
+
+import { ACTIVATIONS } from './NeuralNetwork.js';
+
+// =============================================
+// POPULATION BATCH CLASS
+// =============================================
+
+export class PopulationBatch {
+  /**
+   * Constructor - Packs the weights of a population
+   *
+   * @param {Array<NeuralNetwork>} nets - Networks of one topology (layers,
+   *   activations and recurrence), in bird order
+   * @throws {Error} - If the networks do not share one topology
+   */
+  constructor(nets) {
+    const [first] = nets;
+    const topology = (net) => `${net.layers.join('-')}/${net.activations.join(',')}/${net.recurrent}`;
+    if (nets.some(net => !Array.isArray(net.weights) || topology(net) !== topology(first))) {
+      throw new Error('Batched inference needs fixed-topology networks with identical layers and activations.');
+    }
+
+    this.size = nets.length;
+    this.layers = [...first.layers];
+    this.activate = first.activations.map(name => ACTIVATIONS[name]);
+    this.recurrent = first.recurrent;
+
+    // ===== PACK WEIGHTS =====
+    // net.weights[l][input][output] is transposed to [output][input]
+    this.weights = this.layers.slice(0, -1).map((inputs, l) => {
+      const outputs = this.layers[l + 1];
+      const packed = new Float32Array(this.size * outputs * inputs);
+      nets.forEach((net, b) => {
+        const matrix = net.weights[l];
+        for (let o = 0; o < outputs; o++) {
+          const offset = (b * outputs + o) * inputs;
+          for (let i = 0; i < inputs; i++) packed[offset + i] = matrix[i][o];
+        }
+      });
+      return packed;
+    });
+
+    this.biases = this.layers.slice(1).map((outputs, l) => {
+      const packed = new Float32Array(this.size * outputs);
+      nets.forEach((net, b) => packed.set(net.biases[l], b * outputs));
+      return packed;
+    });
+
+    // net.recurrentWeights[h][context][output] is transposed like the weights
+    this.recurrentWeights = first.recurrentWeights.map((_, h) => {
+      const size = this.layers[h + 1];
+      const packed = new Float32Array(this.size * size * size);
+      nets.forEach((net, b) => {
+        const matrix = net.recurrentWeights[h];
+        for (let o = 0; o < size; o++) {
+          const offset = (b * size + o) * size;
+          for (let k = 0; k < size; k++) packed[offset + k] = matrix[k][o];
+        }
+      });
+      return packed;
+    });
+
+    // ===== BUFFERS =====
+    this.activations = this.layers.map(size => new Float32Array(this.size * size));
+    this.state = this.recurrentWeights.map((_, h) => new Float32Array(this.size * this.layers[h + 1]));
+    this.active = new Uint8Array(this.size); // Birds with inputs for the next predict()
+  }
+
+  /**
+   * Set Inputs - Stores the inputs of one bird for the next predict()
+   *
+   * @param {number} bird - Index of the bird in the population
+   * @param {Array<number>} inputs - Normalized network inputs
+   */
+  setInputs(bird, inputs) {
+    this.activations[0].set(inputs, bird * this.layers[0]);
+    this.active[bird] = 1;
+  }
+
+  /**
+   * Predict - Evaluates every bird that received inputs since the last call
+   *
+   * Each layer is computed for all active birds before moving on to the
+   * next one: sum(inputs × weights) + context × recurrent weights + bias,
+   * then the layer's activation function.
+   */
+  predict() {
+    const { layers, active, size } = this;
+
+    for (let l = 0; l < layers.length - 1; l++) {
+      const inputs = layers[l];
+      const outputs = layers[l + 1];
+      const weights = this.weights[l];
+      const biases = this.biases[l];
+      const source = this.activations[l];
+      const target = this.activations[l + 1];
+      const activate = this.activate[l];
+      const recurrentWeights = this.recurrentWeights[l]; // undefined for the output layer
+      const state = this.state[l];
+
+      for (let b = 0; b < size; b++) {
+        if (!active[b]) continue;
+        const sourceOffset = b * inputs;
+        const targetOffset = b * outputs;
+
+        for (let o = 0; o < outputs; o++) {
+          let sum = 0;
+          let w = (targetOffset + o) * inputs;
+          for (let i = 0; i < inputs; i++) {
+            sum += source[sourceOffset + i] * weights[w++];
+          }
+
+          // Recurrent hidden layers also see their own previous activations
+          if (recurrentWeights) {
+            let r = (targetOffset + o) * outputs;
+            for (let k = 0; k < outputs; k++) {
+              sum += state[targetOffset + k] * recurrentWeights[r++];
+            }
+          }
+
+          target[targetOffset + o] = activate(sum + biases[targetOffset + o]);
+        }
+
+        // Remember for the next frame (after all neurons read the old context)
+        if (recurrentWeights) {
+          state.set(target.subarray(targetOffset, targetOffset + outputs), targetOffset);
+        }
+      }
+    }
+
+    active.fill(0);
+  }
+
+  /**
+   * Output - Reads one output neuron of a bird after predict()
+   *
+   * @param {number} bird - Index of the bird in the population
+   * @param {number} neuron - Index of the output neuron
+   * @returns {number} - Activation of that output neuron
+   */
+  output(bird, neuron = 0) {
+    const outputs = this.layers[this.layers.length - 1];
+    return this.activations[this.activations.length - 1][bird * outputs + neuron];
+  }
+
+  /**
+   * Layer Outputs - Last activations of one bird, for visualization
+   *
+   * @param {number} bird - Index of the bird in the population
+   * @returns {Array<Array<number>>} - Activations per layer, inputs first
+   *   (the lastLayerOutputs field of NeuralNetwork.getStructure())
+   */
+  layerOutputs(bird) {
+    return this.activations.map((values, l) => Array.from(values.subarray(bird * this.layers[l], (bird + 1) * this.layers[l])));
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * NeuroEvolution Bird - Benchmark Suite
+ *
+ * A champion's score says little on its own: it was evolved on whatever
+ * pipes its run happened to draw. The benchmark suite flies one genome
+ * through a fixed set of seeded pipe sequences, the same for every
+ * genome and every run, so results can be compared between champions,
+ * settings and training runs:
+ * - Every case is a mode (normal or challenge mode) at one pipe scroll
+ *   speed; every case flies every seed of BENCHMARK_SEEDS
+ * - A flight ends when the bird crashes or after maxFrames frames (the
+ *   bird then survived)
+ * - Each case reports the mean, minimum and maximum number of pipes
+ *   passed and what the flights ended with (ground, ceiling, pipe or
+ *   survived); `overall` sums up all cases
+ *
+ * The genome flies alone in a private GameEngine with the pipe settings
+ * it is evaluated with, but the scroll speed of the case and without
+ * curriculum or course. The pipes of a flight depend on nothing but its
+ * seed, mode and scroll speed. Nothing is rendered; the simulation worker
+ * flies the suite a thousand frames per tick (so it stays responsive),
+ * the CLI trainer (cli/train.js) in one go.
+ *
+ * Version history:
+ * - 1: initial format
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { SeededRandom } from './Random.js';
+
+// =============================================
+// SUITE CONSTANTS
+// =============================================
+
+/**
+ * BENCHMARK_FILE_FORMAT
+ * Identifies a JSON document as a NeuroEvolution Bird benchmark report.
+ */
+export const BENCHMARK_FILE_FORMAT = 'neuroevolution-bird-benchmark';
+
+/**
+ * BENCHMARK_FILE_VERSION
+ * Incremented whenever the report layout changes incompatibly.
+ */
+export const BENCHMARK_FILE_VERSION = 1;
+
+/**
+ * BENCHMARK_SEEDS
+ * Seeds of the pipe sequences every case is flown on.
+ */
+export const BENCHMARK_SEEDS = Object.freeze([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+/**
+ * BENCHMARK_PIPE_SPEEDS (pixels/frame)
+ * Pipe scroll speeds of the cases, in both modes.
+ */
+export const BENCHMARK_PIPE_SPEEDS = Object.freeze([2, 3, 4, 5]);
+
+/**
+ * BENCHMARK_CHALLENGE_SPEED (pixels/frame)
+ * Pipe vertical speed of the challenge mode cases.
+ */
+export const BENCHMARK_CHALLENGE_SPEED = 2;
+
+/**
+ * BENCHMARK_MAX_FRAMES (10000 frames)
+ * Default length limit of one flight; a bird still flying then survived.
+ */
+export const BENCHMARK_MAX_FRAMES = 10000;
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Start Flight - Prepares one genome's flight through one seeded pipe sequence
+ *
+ * @param {Object} genome - Genome to evaluate (toJSON() of the brain)
+ * @param {Object} settings - Complete engine settings (topology and pipes)
+ * @param {Object} flight - {seed, pipeSpeed, challengeSpeed}; challengeSpeed
+ *   0 flies in normal mode
+ * @returns {GameEngine} - Private engine at frame 0 with the genome as its only bird
+ *
+ * The generator is seeded again after the bird was created, so the
+ * pipes do not depend on the genome or the population settings.
+ */
+const startFlight = (genome, settings, { seed, pipeSpeed, challengeSpeed }) => {
+  const engine = new GameEngine(seed, { ...settings, pipeSpeed, populationSize: 2, eliteCount: 0, curriculum: 'off' });
+  engine.replays = null; // A benchmark flight is not recorded
+  engine.autoEvolve = false;
+  engine.birds = [engine.createBird(engine.networkFromJSON(genome))];
+  engine.rng = new SeededRandom(seed);
+  engine.setChallengeMode(challengeSpeed > 0, challengeSpeed || 1);
+  engine.resetGame();
+  return engine;
+};
+
+/**
+ * Summarize Flights - Pipes passed and flight endings of some flights
+ *
+ * @param {Array<Object>} flights - {seed, score, frames, end} per flight
+ * @returns {Object} - {mean, min, max, ends: {ground, ceiling, pipe, survived}}
+ */
+const summarizeFlights = (flights) => {
+  const scores = flights.map(flight => flight.score);
+  const ends = { ground: 0, ceiling: 0, pipe: 0, survived: 0 };
+  flights.forEach(flight => ends[flight.end]++);
+  return {
+    mean: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    ends
+  };
+};
+
+// =============================================
+// BENCHMARK SUITE CLASS
+// =============================================
+
+export class BenchmarkSuite {
+  /**
+   * Constructor - Prepares the evaluation of a genome on every case
+   *
+   * @param {Object} genome - Genome to evaluate (toJSON() of the brain)
+   * @param {Object} settings - Complete engine settings the genome fits
+   * @param {Object} options - Optional {maxFrames, label}; label describes
+   *   the genome in the report (e.g. "Generation 12 champion")
+   *
+   * Nothing is flown yet: step() advances the flights, so the owner
+   * decides how much work is done at a time.
+   */
+  constructor(genome, settings, { maxFrames = BENCHMARK_MAX_FRAMES, label = null } = {}) {
+    this.genome = genome;
+    this.settings = settings;
+    this.maxFrames = maxFrames;
+    this.label = label;
+    this.cases = [0, BENCHMARK_CHALLENGE_SPEED].flatMap(challengeSpeed => BENCHMARK_PIPE_SPEEDS.map(pipeSpeed => ({
+      pipeSpeed, challengeSpeed, flights: [] // {seed, score, frames, end} per finished flight
+    })));
+    this.total = this.cases.length * BENCHMARK_SEEDS.length; // Flights of the whole suite
+    this.done = 0; // Finished flights
+    this.engine = null; // Engine of the flight in progress
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Finished - Whether every flight of the suite is done
+   *
+   * @returns {boolean} - True once report() is complete
+   */
+  get finished() {
+    return this.done === this.total;
+  }
+
+  /**
+   * Step - Flies the suite for a limited number of frames
+   *
+   * @param {number} frames - Engine updates to run at most (Infinity: until finished)
+   *
+   * Flights follow each other case by case, seed by seed. A flight ends
+   * when its bird crashes or reaches maxFrames (the bird then survived).
+   */
+  step(frames) {
+    let budget = frames;
+    while (budget > 0 && !this.finished) {
+      const current = this.cases[Math.floor(this.done / BENCHMARK_SEEDS.length)];
+      const seed = BENCHMARK_SEEDS[this.done % BENCHMARK_SEEDS.length];
+      if (!this.engine) this.engine = startFlight(this.genome, this.settings, { seed, ...current });
+
+      const { engine } = this;
+      while (budget > 0 && !engine.generationOver && engine.frameCount < this.maxFrames) {
+        engine.update();
+        budget--;
+      }
+      if (engine.generationOver || engine.frameCount >= this.maxFrames) {
+        const { entity } = engine.birds[0];
+        current.flights.push({ seed, score: entity.score, frames: engine.frameCount, end: entity.alive ? 'survived' : entity.deathCause });
+        this.engine = null;
+        this.done++;
+      }
+    }
+  }
+
+  /**
+   * Status - Progress for render snapshots
+   *
+   * @returns {Object} - {label, done, total} in flights
+   */
+  status() {
+    return { label: this.label, done: this.done, total: this.total };
+  }
+
+  /**
+   * Report - Results of the finished suite
+   *
+   * @returns {Object} - JSON-serializable benchmark report; `cases` holds
+   *   {mode, pipeSpeed, pipeVerticalSpeed, mean, min, max, ends, flights}
+   *   per case, normal mode first
+   */
+  report() {
+    const cases = this.cases.map(({ pipeSpeed, challengeSpeed, flights }) => ({
+      mode: challengeSpeed > 0 ? 'challenge' : 'normal',
+      pipeSpeed,
+      pipeVerticalSpeed: challengeSpeed > 0 ? challengeSpeed : null,
+      ...summarizeFlights(flights),
+      flights
+    }));
+
+    return {
+      format: BENCHMARK_FILE_FORMAT,
+      version: BENCHMARK_FILE_VERSION,
+      createdAt: new Date().toISOString(),
+      label: this.label,
+      seeds: [...BENCHMARK_SEEDS],
+      maxFrames: this.maxFrames,
+      durationMs: Date.now() - this.startedAt,
+      settings: this.settings,
+      genome: this.genome,
+      overall: summarizeFlights(cases.flatMap(c => c.flights)),
+      cases
+    };
+  }
+}
+
+/**
+ * Run Benchmark Suite - Evaluates a genome on every case in one go
+ *
+ * @param {Object} genome - Genome to evaluate (toJSON() of the brain)
+ * @param {Object} settings - Complete engine settings the genome fits
+ * @param {Object} options - Optional {maxFrames, label} (see BenchmarkSuite)
+ * @returns {Object} - Benchmark report (see BenchmarkSuite.report())
+ */
+export const runBenchmarkSuite = (genome, settings, options = {}) => {
+  const suite = new BenchmarkSuite(genome, settings, options);
+  suite.step(Infinity);
+  return suite.report();
+};
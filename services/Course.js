@@ -0,0 +1,244 @@
+/**
+ * NeuroEvolution Bird - Course Files
+ *
+ * Normally the engine draws every pipe from the random generator. A
+ * course is an authored, fixed sequence of pipes that the engine plays
+ * instead, so every generation (and every brain) faces the exact same
+ * track:
+ * - spacing: distance in pixels from the previous pipe (for the first
+ *   pipe of the first lap: from the right edge of the screen)
+ * - topHeight, gap: position and size of the opening
+ * - motion (optional): vertical motion script, a list of
+ *   {frames, velocity} steps played one after the other and repeated;
+ *   velocity is in pixels per frame (positive: down)
+ *
+ * A course either loops (the first pipe follows the last one again,
+ * forever) or ends at a finish line `finish` pixels after its last pipe:
+ * once the finish line reaches the birds, every bird still flying has
+ * completed the course and the generation ends.
+ *
+ * Courses use the scroll speed of the settings (Pipe Scroll Speed); pipe
+ * gap, gap variation, spawn rate and challenge mode do not apply to them.
+ * No random numbers are drawn for course pipes.
+ *
+ * Example:
+ *   {"format": "neuroevolution-bird-course", "version": 1,
+ *    "name": "Zigzag", "loop": true,
+ *    "pipes": [{"spacing": 0, "topHeight": 100, "gap": 160},
+ *              {"spacing": 300, "topHeight": 340, "gap": 160,
+ *               "motion": [{"frames": 60, "velocity": -1}, {"frames": 60, "velocity": 1}]}]}
+ *
+ * Version history:
+ * - 1: initial format
+ */
+
+import { GAME_WIDTH, GAME_HEIGHT, PIPE_WIDTH, MAX_PIPE_VERTICAL_SPEED } from '../constants.js';
+
+// =============================================
+// FILE FORMAT CONSTANTS
+// =============================================
+
+/**
+ * COURSE_FILE_FORMAT
+ * Identifies a JSON document as a NeuroEvolution Bird course file.
+ */
+export const COURSE_FILE_FORMAT = 'neuroevolution-bird-course';
+
+/**
+ * COURSE_FILE_VERSION
+ * Incremented whenever the file layout changes incompatibly.
+ */
+export const COURSE_FILE_VERSION = 1;
+
+/**
+ * COURSE_PIPE_LIMIT (1000 pipes)
+ * Maximum number of pipes in one course.
+ */
+export const COURSE_PIPE_LIMIT = 1000;
+
+/**
+ * COURSE_FINISH (300 pixels)
+ * Default distance between the last pipe and the finish line.
+ */
+export const COURSE_FINISH = 300;
+
+// =============================================
+// VALIDATION
+// =============================================
+
+/**
+ * Validate Course - Checks a course against the file format
+ *
+ * @param {Object} data - Course (parsed JSON)
+ * @returns {Array<string>} - Human-readable problems (empty if valid)
+ *
+ * Pipes may not overlap: every spacing is at least the pipe width,
+ * except for the first pipe of a course that does not loop.
+ */
+export const validateCourse = (data) => {
+  if (!data || data.format !== COURSE_FILE_FORMAT) {
+    return ['The file is not a NeuroEvolution Bird course file.'];
+  }
+  if (!Number.isInteger(data.version) || data.version > COURSE_FILE_VERSION) {
+    return [`Unsupported file version ${data.version} (this app reads up to version ${COURSE_FILE_VERSION}).`];
+  }
+
+  const errors = [];
+  const isNumber = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+  if (data.name !== undefined && typeof data.name !== 'string') errors.push('The course name must be text.');
+  if (data.loop !== undefined && typeof data.loop !== 'boolean') errors.push('loop must be true or false.');
+  if (data.finish !== undefined && !isNumber(data.finish, 0, 2000)) errors.push('finish must be between 0 and 2000 pixels.');
+  if (!Array.isArray(data.pipes) || data.pipes.length === 0 || data.pipes.length > COURSE_PIPE_LIMIT) {
+    errors.push(`A course must list 1 to ${COURSE_PIPE_LIMIT} pipes.`);
+    return errors;
+  }
+
+  data.pipes.forEach((pipe, i) => {
+    const name = `Pipe #${i + 1}`;
+    if (!pipe || typeof pipe !== 'object') {
+      errors.push(`${name} is malformed.`);
+      return;
+    }
+    const minSpacing = i === 0 && !data.loop ? 0 : PIPE_WIDTH;
+    if (!isNumber(pipe.spacing, minSpacing, 2000)) errors.push(`${name}: spacing must be between ${minSpacing} and 2000 pixels.`);
+    if (!isNumber(pipe.gap, 60, 400)) {
+      errors.push(`${name}: gap must be between 60 and 400 pixels.`);
+    } else if (!isNumber(pipe.topHeight, 0, GAME_HEIGHT - pipe.gap)) {
+      errors.push(`${name}: topHeight must be between 0 and ${GAME_HEIGHT - pipe.gap} pixels.`);
+    }
+    if (pipe.motion !== undefined && (!Array.isArray(pipe.motion) || !pipe.motion.every(step => step &&
+        Number.isInteger(step.frames) && step.frames >= 1 && isNumber(step.velocity, -MAX_PIPE_VERTICAL_SPEED, MAX_PIPE_VERTICAL_SPEED)))) {
+      errors.push(`${name}: motion must list {frames, velocity} steps (frames at least 1, velocity between ${-MAX_PIPE_VERTICAL_SPEED} and ${MAX_PIPE_VERTICAL_SPEED}).`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Parse Course - Reads and validates a course file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - Course with every optional field filled in
+ * @throws {Error} - With a user-readable message if the file is unusable
+ */
+export const parseCourse = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const errors = validateCourse(data);
+  if (errors.length > 0) throw new Error(errors.join(' '));
+  return normalizeCourse(data);
+};
+
+/**
+ * Normalize Course - Fills in the optional fields of a valid course
+ *
+ * @param {Object} data - Course that passed validateCourse()
+ * @returns {Object} - Copy with name, loop, finish and every pipe's
+ *   motion set (unknown fields are dropped)
+ */
+export const normalizeCourse = (data) => ({
+  format: COURSE_FILE_FORMAT,
+  version: COURSE_FILE_VERSION,
+  name: data.name || 'Untitled course',
+  loop: data.loop === true,
+  finish: data.finish ?? COURSE_FINISH,
+  pipes: data.pipes.map(({ spacing, topHeight, gap, motion = [] }) => ({
+    spacing, topHeight, gap, motion: motion.map(({ frames, velocity }) => ({ frames, velocity }))
+  }))
+});
+
+// =============================================
+// COURSE RUN CLASS
+// =============================================
+
+export class CourseRun {
+  /**
+   * Constructor - Starts a course from the beginning
+   *
+   * @param {Object} course - Normalized course (see parseCourse())
+   */
+  constructor(course) {
+    this.course = course;
+    this.distance = 0; // Pixels the world has scrolled since the start
+    this.next = 0; // Index of the next pipe to spawn
+    this.nextAt = course.pipes[0].spacing; // Course position of that pipe
+    this.finishAt = course.loop
+      ? Infinity
+      : course.pipes.reduce((sum, pipe) => sum + pipe.spacing, 0) + course.finish;
+  }
+
+  /**
+   * Spawn - Creates the pipes that have scrolled into view
+   *
+   * @returns {Array<Object>} - New pipe objects (usually none or one)
+   *
+   * A pipe appears at the right edge once the world has scrolled to its
+   * course position, shifted by the part of a frame it is late.
+   */
+  spawn() {
+    const { pipes, loop } = this.course;
+    const spawned = [];
+    while (this.next < pipes.length && this.nextAt <= this.distance) {
+      const { topHeight, gap, motion } = pipes[this.next];
+      const pipe = {
+        x: GAME_WIDTH + this.nextAt - this.distance,
+        topHeight,
+        gapSize: gap,
+        passed: false
+      };
+      if (motion.length > 0) {
+        pipe.motion = motion; // Script, shared with the course
+        pipe.motionStep = 0; // Index of the current step
+        pipe.motionTimer = motion[0].frames; // Frames left in the current step
+        pipe.scriptedVelocity = motion[0].velocity; // Pixels per frame (positive: down)
+      }
+      spawned.push(pipe);
+
+      this.next++;
+      if (loop && this.next === pipes.length) this.next = 0; // Next lap
+      if (this.next < pipes.length) this.nextAt += pipes[this.next].spacing;
+    }
+    return spawned;
+  }
+
+  /**
+   * Scroll - Advances the course with the world
+   *
+   * @param {number} speed - Pixels the pipes moved this frame
+   */
+  scroll(speed) {
+    this.distance += speed;
+  }
+
+  /**
+   * Finish X - Screen position of the finish line
+   *
+   * @returns {number} - x coordinate (Infinity for a looping course)
+   */
+  finishX() {
+    return GAME_WIDTH + this.finishAt - this.distance;
+  }
+}
+
+/**
+ * Move Scripted Pipe - Plays one frame of a course pipe's motion script
+ *
+ * @param {Object} pipe - Pipe created by CourseRun.spawn() with a motion script
+ *
+ * The opening stays on screen: a pipe that reaches the top or bottom
+ * waits there until its script turns it around.
+ */
+export const moveScriptedPipe = (pipe) => {
+  pipe.topHeight = Math.max(0, Math.min(GAME_HEIGHT - pipe.gapSize, pipe.topHeight + pipe.scriptedVelocity));
+  pipe.motionTimer--;
+  if (pipe.motionTimer <= 0) {
+    pipe.motionStep = (pipe.motionStep + 1) % pipe.motion.length;
+    pipe.motionTimer = pipe.motion[pipe.motionStep].frames;
+    pipe.scriptedVelocity = pipe.motion[pipe.motionStep].velocity;
+  }
+};
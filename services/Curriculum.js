@@ -0,0 +1,95 @@
+/**
+ * NeuroEvolution Bird - Curriculum Learning
+ *
+ * A population that starts on the hardest course rarely passes a single
+ * pipe, so selection has nothing to tell apart. A curriculum starts easy
+ * and makes the course harder as soon as the population has mastered it:
+ * - Every stage sets the pipe settings (gap size and its variation,
+ *   scroll speed, spawn rate) and the challenge mode speed (0: static pipes)
+ * - A generation whose best bird passes at least curriculumScore pipes
+ *   extends the streak; any other generation breaks it
+ * - After curriculumGenerations generations in a row, the curriculum
+ *   advances to the next stage (from the next generation on) and the
+ *   streak starts over; the last stage is kept for good
+ *
+ * The stage is laid over the configured pipe settings and challenge mode
+ * while the curriculum is on (setting `curriculum`); turning it off brings
+ * the configured ones back but keeps the stage reached, so turning it on
+ * again resumes there.
+ */
+
+// =============================================
+// CURRICULUM STAGES
+// =============================================
+
+/**
+ * CURRICULUM_STAGES
+ * Difficulty of every stage, easiest first. `settings` replace the pipe
+ * settings of the engine; pipeVerticalSpeed > 0 turns challenge mode on
+ * at that speed.
+ */
+export const CURRICULUM_STAGES = Object.freeze([
+  { name: 'Wide gaps', settings: { pipeGap: 200, pipeGapVariation: 0, pipeSpeed: 2.5, pipeSpawnRate: 120 }, pipeVerticalSpeed: 0 },
+  { name: 'Standard', settings: { pipeGap: 150, pipeGapVariation: 0, pipeSpeed: 3, pipeSpawnRate: 100 }, pipeVerticalSpeed: 0 },
+  { name: 'Varied gaps', settings: { pipeGap: 150, pipeGapVariation: 20, pipeSpeed: 3, pipeSpawnRate: 100 }, pipeVerticalSpeed: 0 },
+  { name: 'Moving pipes', settings: { pipeGap: 150, pipeGapVariation: 20, pipeSpeed: 3, pipeSpawnRate: 100 }, pipeVerticalSpeed: 1 },
+  { name: 'Faster', settings: { pipeGap: 140, pipeGapVariation: 20, pipeSpeed: 3.5, pipeSpawnRate: 95 }, pipeVerticalSpeed: 2 },
+  { name: 'Narrow', settings: { pipeGap: 130, pipeGapVariation: 20, pipeSpeed: 4, pipeSpawnRate: 90 }, pipeVerticalSpeed: 3 },
+  { name: 'Expert', settings: { pipeGap: 120, pipeGapVariation: 20, pipeSpeed: 4.5, pipeSpawnRate: 85 }, pipeVerticalSpeed: 5 }
+]);
+
+// =============================================
+// CURRICULUM CLASS
+// =============================================
+
+export class Curriculum {
+  /**
+   * Constructor - Starts at the first stage
+   */
+  constructor() {
+    this.stage = 1; // Current stage (1 = easiest)
+    this.streak = 0; // Consecutive generations at this stage that met the criterion
+  }
+
+  /**
+   * Current - Difficulty of the current stage
+   *
+   * @returns {Object} - Entry of CURRICULUM_STAGES
+   */
+  get current() {
+    return CURRICULUM_STAGES[this.stage - 1];
+  }
+
+  /**
+   * Record - Counts a finished generation towards the criterion
+   *
+   * @param {number} score - Pipes passed by the generation's best bird
+   * @param {Object} settings - Settings with curriculumScore and curriculumGenerations
+   * @returns {boolean} - Whether the curriculum advanced to the next stage
+   */
+  record(score, settings) {
+    if (this.stage >= CURRICULUM_STAGES.length) return false;
+    this.streak = score >= settings.curriculumScore ? this.streak + 1 : 0;
+    if (this.streak < settings.curriculumGenerations) return false;
+    this.stage++;
+    this.streak = 0;
+    return true;
+  }
+
+  /**
+   * Summary - Progress for display
+   *
+   * @param {Object} settings - Settings with curriculumScore and curriculumGenerations
+   * @returns {Object} - {stage, stages, name, streak, score, generations}
+   */
+  summary(settings) {
+    return {
+      stage: this.stage,
+      stages: CURRICULUM_STAGES.length,
+      name: this.current.name,
+      streak: this.streak,
+      score: settings.curriculumScore,
+      generations: settings.curriculumGenerations
+    };
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * NeuroEvolution Bird - Population Diversity
+ *
+ * A population whose genomes are all nearly identical cannot explore any
+ * more: selection has nothing to choose between and only mutation adds
+ * variation. Diversity measures how far apart the genomes are, so a
+ * collapse (premature convergence) shows up in the statistics long
+ * before fitness stops improving.
+ *
+ * Every genome is a point in parameter space:
+ * - Fixed networks: all weights, biases and recurrent weights in one vector
+ * - NEAT genomes: one dimension per connection innovation and per node
+ *   bias found anywhere in the population; genes a genome lacks (or has
+ *   disabled) count as 0
+ *
+ * Metrics of a population (diversityMetrics()):
+ * - diversity: mean pairwise distance - Euclidean distance in parameter
+ *   space for fixed networks, NEAT compatibility distance for NEAT
+ * - weightVariance: variance of every parameter across the population,
+ *   averaged over all parameters
+ * - clusters: number of groups of near-identical genomes (leader
+ *   clustering with CLUSTER_RADIUS, fittest genomes lead)
+ *
+ * projectGenomes() maps the parameter space onto its two principal
+ * components (PCA), to draw a whole population in 2D.
+ *
+ * No random numbers are drawn, so measuring never changes a seeded run.
+ */
+
+import { NEAT_COMPATIBILITY_COEFFICIENTS } from '../constants.js';
+
+/**
+ * MAX_PAIRWISE_GENOMES (100)
+ * The mean pairwise distance compares every pair of genomes; larger
+ * populations are measured on an evenly spaced sample of this many genomes.
+ */
+const MAX_PAIRWISE_GENOMES = 100;
+
+/**
+ * CLUSTER_RADIUS (0.1 per parameter)
+ * Root-mean-square parameter difference below which two genomes belong
+ * to the same cluster. A child mutated with the default settings (10%
+ * of its weights nudged by about ±0.1) stays well inside its parent's
+ * cluster; independently initialized genomes are about 0.8 apart.
+ */
+export const CLUSTER_RADIUS = 0.1;
+
+/**
+ * PCA_ITERATIONS (30)
+ * Upper bound for the power iterations of each principal component;
+ * iteration stops earlier once the direction no longer changes.
+ */
+const PCA_ITERATIONS = 30;
+
+// =============================================
+// PARAMETER SPACE
+// =============================================
+
+/**
+ * Genome Vector - Flattens the parameters of a fixed-topology network
+ *
+ * @param {NeuralNetwork} net - Fixed-topology network
+ * @returns {Array<number>} - Weights (layer by layer), biases and recurrent weights
+ */
+export const genomeVector = (net) => {
+  const vector = [];
+  const append = (values) => { for (let i = 0; i < values.length; i++) vector.push(values[i]); };
+  net.weights.forEach(matrix => matrix.forEach(append));
+  net.biases.forEach(append);
+  net.recurrentWeights.forEach(matrix => matrix.forEach(append));
+  return vector;
+};
+
+/**
+ * Genome Vectors - Places every genome of a population in one parameter space
+ *
+ * @param {Array<NeuralNetwork|NeatGenome>} nets - Brains of one population
+ * @returns {Array<Array<number>>} - One vector of equal length per genome
+ */
+export const genomeVectors = (nets) => {
+  if (nets.length === 0 || Array.isArray(nets[0].weights)) return nets.map(genomeVector);
+
+  // NEAT: collect the columns of all genes first, then fill the vectors
+  const columns = new Map(); // "c<innovation>" or "n<node id>" -> index
+  const column = (key) => {
+    if (!columns.has(key)) columns.set(key, columns.size);
+    return columns.get(key);
+  };
+  const genes = nets.map(net => [
+    ...net.connections.map(c => [column(`c${c.innovation}`), c.enabled ? c.weight : 0]),
+    ...net.nodes.map(node => [column(`n${node.id}`), node.bias])
+  ]);
+  return genes.map(entries => {
+    const vector = new Array(columns.size).fill(0);
+    entries.forEach(([index, value]) => { vector[index] = value; });
+    return vector;
+  });
+};
+
+/**
+ * Squared Distance - Squared Euclidean distance of two parameter vectors
+ *
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector (same length)
+ * @param {number} limit - Stop summing once the distance exceeds this
+ * @returns {number} - Squared distance (only exact up to `limit`)
+ */
+const squaredDistance = (a, b, limit = Infinity) => {
+  let sum = 0;
+  for (let k = 0; k < a.length && sum <= limit; k++) sum += (a[k] - b[k]) ** 2;
+  return sum;
+};
+
+/**
+ * Dot - Dot product of two vectors
+ *
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector (same length)
+ * @returns {number} - Sum of the products
+ */
+const dot = (a, b) => {
+  let sum = 0;
+  for (let k = 0; k < a.length; k++) sum += a[k] * b[k];
+  return sum;
+};
+
+// =============================================
+// DIVERSITY METRICS
+// =============================================
+
+/**
+ * Diversity Metrics - Spread of the genomes of a population
+ *
+ * @param {Array<NeuralNetwork|NeatGenome>} nets - Brains of one population,
+ *   fittest first (the fittest genomes lead the clusters)
+ * @returns {Object} - {diversity, weightVariance, clusters} (see the
+ *   module description); diversity and weightVariance are 0 for fewer
+ *   than two genomes
+ */
+export const diversityMetrics = (nets) => {
+  if (nets.length < 2) return { diversity: 0, weightVariance: 0, clusters: nets.length };
+
+  const vectors = genomeVectors(nets);
+  const size = vectors[0].length;
+
+  // ===== MEAN PAIRWISE DISTANCE =====
+  const step = Math.max(1, nets.length / MAX_PAIRWISE_GENOMES);
+  const sample = [];
+  for (let i = 0; i < nets.length && sample.length < MAX_PAIRWISE_GENOMES; i += step) sample.push(Math.floor(i));
+
+  const neat = !Array.isArray(nets[0].weights);
+  let sum = 0, pairs = 0;
+  for (let i = 0; i < sample.length; i++) {
+    for (let j = i + 1; j < sample.length; j++) {
+      sum += neat
+        ? nets[sample[i]].compatibility(nets[sample[j]], NEAT_COMPATIBILITY_COEFFICIENTS)
+        : Math.sqrt(squaredDistance(vectors[sample[i]], vectors[sample[j]]));
+      pairs++;
+    }
+  }
+
+  // ===== PER-PARAMETER VARIANCE =====
+  const mean = new Array(size).fill(0);
+  vectors.forEach(vector => vector.forEach((value, k) => { mean[k] += value / vectors.length; }));
+  let variance = 0;
+  vectors.forEach(vector => vector.forEach((value, k) => { variance += (value - mean[k]) ** 2; }));
+
+  // ===== CLUSTERS =====
+  // Leader clustering: a genome joins the first cluster whose leader is
+  // close enough, otherwise it leads a new cluster
+  const radiusSquared = CLUSTER_RADIUS ** 2 * size;
+  const leaders = [];
+  vectors.forEach(vector => {
+    if (!leaders.some(leader => squaredDistance(leader, vector, radiusSquared) < radiusSquared)) leaders.push(vector);
+  });
+
+  return {
+    diversity: sum / pairs,
+    weightVariance: size > 0 ? variance / (vectors.length * size) : 0,
+    clusters: leaders.length
+  };
+};
+
+// =============================================
+// GENOME SPACE PROJECTION (PCA)
+// =============================================
+
+/**
+ * Principal Component - Direction of the largest variance
+ *
+ * @param {Array<Array<number>>} rows - Centered parameter vectors
+ * @returns {Array<number>|null} - Unit vector, or null if the rows hold no variance
+ *
+ * Power iteration on the covariance matrix without building it:
+ * v ← Xᵀ(Xv), normalized. Starts from the row farthest from the center:
+ * a direction the data actually extends in, so the iteration does not
+ * start (almost) orthogonal to the principal component.
+ */
+const principalComponent = (rows) => {
+  const start = rows.reduce((far, row) => (dot(row, row) > dot(far, far) ? row : far), rows[0]);
+  const startNorm = Math.sqrt(dot(start, start));
+  if (startNorm === 0) return null;
+
+  let direction = start.map(value => value / startNorm);
+  for (let i = 0; i < PCA_ITERATIONS; i++) {
+    const next = new Array(direction.length).fill(0);
+    rows.forEach(row => {
+      const projection = dot(row, direction);
+      for (let k = 0; k < row.length; k++) next[k] += projection * row[k];
+    });
+    const norm = Math.sqrt(dot(next, next));
+    if (norm === 0) return null;
+    next.forEach((value, k) => { next[k] = value / norm; });
+
+    const converged = 1 - Math.abs(dot(next, direction)) < 1e-9;
+    direction = next;
+    if (converged) break;
+  }
+  return direction;
+};
+
+/**
+ * Project Genomes - Maps a population onto its two principal components
+ *
+ * @param {Array<NeuralNetwork|NeatGenome>} nets - Brains of one population
+ * @returns {Object} - {points: [[x, y]] per genome, explained: [pc1, pc2]}
+ *   with the fraction of the total variance each axis shows. Axes are
+ *   oriented so that the first genome (the champion, when sorted by
+ *   fitness) never has negative coordinates; an axis without variance
+ *   maps every genome to 0.
+ */
+export const projectGenomes = (nets) => {
+  const vectors = genomeVectors(nets);
+  if (vectors.length === 0) return { points: [], explained: [0, 0] };
+
+  const size = vectors[0].length;
+  const mean = new Array(size).fill(0);
+  vectors.forEach(vector => vector.forEach((value, k) => { mean[k] += value / vectors.length; }));
+  const rows = vectors.map(vector => vector.map((value, k) => value - mean[k]));
+  const total = rows.reduce((sum, row) => sum + dot(row, row), 0);
+
+  const axes = [];
+  for (let axis = 0; axis < 2; axis++) {
+    const direction = principalComponent(rows);
+    if (!direction) {
+      axes.push({ coordinates: rows.map(() => 0), variance: 0 });
+      continue;
+    }
+    let coordinates = rows.map(row => dot(row, direction));
+    if (coordinates[0] < 0) coordinates = coordinates.map(c => -c);
+    axes.push({ coordinates, variance: coordinates.reduce((sum, c) => sum + c * c, 0) });
+
+    // Deflate: remove this component so the next iteration finds the second one
+    rows.forEach(row => {
+      const projection = dot(row, direction);
+      row.forEach((value, k) => { row[k] = value - projection * direction[k]; });
+    });
+  }
+
+  return {
+    points: vectors.map((_, i) => [axes[0].coordinates[i], axes[1].coordinates[i]]),
+    explained: axes.map(axis => (total > 0 ? axis.variance / total : 0))
+  };
+};
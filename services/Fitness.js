@@ -0,0 +1,169 @@
+/**
+ * NeuroEvolution Bird - Fitness Functions
+ *
+ * Fitness is the objective evolution optimizes. Instead of a single
+ * hardcoded rule, fitness is a weighted sum of terms:
+ *
+ *   fitness = max(0, Σ weight_t · term_t)
+ *
+ * Each term is computed from counters the GameEngine keeps per bird
+ * (frames survived, pipes passed, flaps, closeness to the gap center).
+ * The weights are ordinary engine settings (fitnessSurvival,
+ * fitnessPipes, ...), so they are edited in the UI, set on the command
+ * line and saved with genome files and run statistics like every other
+ * setting. Presets are named weight combinations.
+ *
+ * Fitness is clamped at 0 because fitness-proportional selection
+ * (roulette, SUS) needs non-negative weights.
+ */
+
+// =============================================
+// FITNESS TERMS
+// =============================================
+
+/**
+ * FITNESS_TERMS
+ * Every term a fitness function can combine, keyed by name.
+ * `value` receives the bird entity and returns the term's current value.
+ */
+export const FITNESS_TERMS = {
+  survival: {
+    label: 'Survival',
+    description: 'frames survived',
+    value: (entity) => entity.frames
+  },
+  pipes: {
+    label: 'Pipes',
+    description: 'pipes passed',
+    value: (entity) => entity.score
+  },
+  gapCenter: {
+    label: 'Gap Center',
+    description: 'per frame: 1 at the gap center, 0 half a screen away',
+    value: (entity) => entity.gapCloseness
+  },
+  flaps: {
+    label: 'Flaps',
+    description: 'number of flaps (use a negative weight as a penalty)',
+    value: (entity) => entity.flaps
+  },
+  scoreSquared: {
+    label: 'Score²',
+    description: 'pipes passed, squared',
+    value: (entity) => entity.score * entity.score
+  },
+  scoreExponential: {
+    label: 'Score Exp',
+    description: '2^pipes - 1 (exponent capped at 30)',
+    value: (entity) => 2 ** Math.min(entity.score, 30) - 1
+  }
+};
+
+/**
+ * FITNESS_PRESETS
+ * Built-in fitness functions as term weights (missing terms weigh 0).
+ * 'survival' reproduces the original rule: +1 per frame survived.
+ */
+export const FITNESS_PRESETS = {
+  survival: { survival: 1 },
+  'pipe-weighted': { survival: 1, pipes: 100 },
+  'gap-center': { survival: 1, gapCenter: 1 },
+  'flap-penalty': { survival: 1, flaps: -0.5 },
+  'score-squared': { survival: 1, scoreSquared: 50 },
+  'score-exponential': { survival: 1, scoreExponential: 10 }
+};
+
+// =============================================
+// SETTINGS MAPPING
+// =============================================
+
+/**
+ * Fitness Setting Key - Name of the engine setting holding a term's weight
+ *
+ * @param {string} term - Key of FITNESS_TERMS (e.g. 'gapCenter')
+ * @returns {string} - Setting key (e.g. 'fitnessGapCenter')
+ */
+export const fitnessSettingKey = (term) => `fitness${term[0].toUpperCase()}${term.slice(1)}`;
+
+/**
+ * Preset Settings - Weight settings of a preset
+ *
+ * @param {string} name - Key of FITNESS_PRESETS
+ * @returns {Object} - One setting per term, e.g. {fitnessSurvival: 1, fitnessPipes: 0, ...}
+ * @throws {Error} - If the preset doesn't exist
+ */
+export const presetSettings = (name) => {
+  const preset = FITNESS_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown fitness preset "${name}" (available: ${Object.keys(FITNESS_PRESETS).join(', ')})`);
+  }
+  return Object.fromEntries(Object.keys(FITNESS_TERMS).map(term => [fitnessSettingKey(term), preset[term] || 0]));
+};
+
+/**
+ * Fitness Weights - Extracts the term weights from engine settings
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {Object} - Weight per term
+ */
+export const fitnessWeights = (settings) =>
+  Object.fromEntries(Object.keys(FITNESS_TERMS).map(term => [term, settings[fitnessSettingKey(term)]]));
+
+/**
+ * Match Preset - Finds the preset the settings correspond to
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {string} - Preset name, or 'custom' if no preset matches
+ */
+export const matchPreset = (settings) => {
+  const weights = fitnessWeights(settings);
+  const match = Object.keys(FITNESS_PRESETS).find(name =>
+    Object.keys(FITNESS_TERMS).every(term => (FITNESS_PRESETS[name][term] || 0) === weights[term]));
+  return match || 'custom';
+};
+
+/**
+ * Fitness Formula - Human-readable form of the weighted sum
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {string} - E.g. "1·survival + 100·pipes"
+ */
+export const fitnessFormula = (settings) => {
+  const weights = fitnessWeights(settings);
+  const parts = Object.keys(FITNESS_TERMS)
+    .filter(term => weights[term] !== 0)
+    .map(term => `${weights[term]}·${term}`);
+  return parts.length > 0 ? parts.join(' + ').replace(/\+ -/g, '- ') : '0';
+};
+
+/**
+ * Describe Fitness - Summary saved with genome files and run statistics
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {Object} - {preset, weights, formula}
+ */
+export const describeFitness = (settings) => ({
+  preset: matchPreset(settings),
+  weights: fitnessWeights(settings),
+  formula: fitnessFormula(settings)
+});
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Evaluate Fitness - Computes a bird's fitness from its counters
+ *
+ * @param {Object} settings - Engine settings (term weights)
+ * @param {Object} entity - Bird entity with frames, score, flaps and gapCloseness
+ * @returns {number} - Non-negative fitness
+ */
+export const evaluateFitness = (settings, entity) => {
+  let fitness = 0;
+  for (const term in FITNESS_TERMS) {
+    const weight = settings[fitnessSettingKey(term)];
+    if (weight !== 0) fitness += weight * FITNESS_TERMS[term].value(entity);
+  }
+  return Math.max(0, fitness);
+};
@@ -13,12 +13,26 @@
  */
 
 import {
-  GAME_HEIGHT, GAME_WIDTH, GRAVITY, LIFT, VELOCITY_LIMIT,
-  PIPE_SPEED, PIPE_SPAWN_RATE, PIPE_GAP, PIPE_WIDTH,
-  INPUT_NODES, HIDDEN_NODES, OUTPUT_NODES, POPULATION_SIZE,
-  MAX_PIPE_VERTICAL_SPEED
+  GAME_HEIGHT, GAME_WIDTH, VELOCITY_LIMIT, PIPE_WIDTH,
+  OUTPUT_NODES, MAX_PIPE_VERTICAL_SPEED, NEAT_COMPATIBILITY_COEFFICIENTS
 } from '../constants.js';
 import { NeuralNetwork } from './NeuralNetwork.js';
+import { NeatGenome, InnovationTracker } from './NeatGenome.js';
+import { PopulationBatch } from './BatchInference.js';
+import { Speciation } from './Speciation.js';
+import { SeededRandom } from './Random.js';
+import { createSettings, changesRequiringReset, networkLayout, inputCount } from './Settings.js';
+import { createSelector } from './Selection.js';
+import { HallOfFame } from './HallOfFame.js';
+import { ReplayRecorder } from './Replay.js';
+import { Lineage } from './Lineage.js';
+import { Curriculum } from './Curriculum.js';
+import { CourseRun, moveScriptedPipe } from './Course.js';
+import { diversityMetrics } from './Diversity.js';
+import { STATS_SETTINGS, pickSettings } from './RunStats.js';
+import { evaluateFitness } from './Fitness.js';
+import { readSensors } from './Sensors.js';
+import { castRays } from './Raycast.js';
 
 export class GameEngine {
   /**
@@ -28,9 +42,27 @@ export class GameEngine {
    * - Empty bird population
    * - Empty pipe collection
    * - Game counters (frame, score, generation)
-   * - Challenge mode settings
+   * - Challenge mode settings and the curriculum
+   * - Seeded random number generator
+   * - Runtime settings (population, mutation, physics, pipes, topology)
+   * - NEAT innovation tracking and species (used with genomeType 'neat')
+   *
+   * @param {number|string} seed - Seed for all random decisions (random if omitted)
+   * @param {Object} settings - Overrides for the default settings (see Settings.js)
+   * @param {InnovationTracker|null} innovations - NEAT innovation numbers
+   *   shared with other engines (the islands of an IslandModel), so that
+   *   genomes moving between them keep the meaning of their genes; null
+   *   creates a tracker of its own
    */
-  constructor() {
+  constructor(seed = SeededRandom.createSeed(), settings = {}, innovations = null) {
+    // All randomness flows through this generator so runs are reproducible
+    this.rng = new SeededRandom(seed);
+    this.seed = this.rng.seed; // Normalized seed, shown in the UI
+
+    this.baseSettings = createSettings(settings); // Settings as configured (without the curriculum stage)
+    this.settings = this.baseSettings; // Settings in effect
+    this.pendingSettings = null; // Settings queued for the next generation
+
     this.birds = []; // Array of {entity, net} objects
     this.pipes = []; // Array of pipe objects
     this.frameCount = 0; // Total frames elapsed
@@ -39,9 +71,35 @@ export class GameEngine {
     this.highScore = 0; // Best score achieved
     this.challengeModeEnabled = false; // Dynamic pipes enabled
     this.pipeVerticalSpeed = 1; // Vertical movement speed (1-10)
+    this.baseChallenge = { enabled: false, speed: 1 }; // Challenge mode as configured (the curriculum overrides it)
+    this.course = null; // Authored pipe sequence (see Course.js), null: random pipes
+    this.pendingCourse = null; // {course} queued for the next generation
+    this.courseRun = null; // Progress through the course in the current world
+    this.lastGeneration = null; // Summary of the most recently finished generation
+    this.history = []; // Summary of every finished generation, oldest first
+    this.lastPopulation = null; // [{id, net, fitness}] of the last finished generation, fittest first
+    this.lineage = new Lineage(); // Ancestry of the population (see Lineage.js)
+    this.curriculum = new Curriculum(); // Difficulty stage (used with curriculum 'on')
+    this.hallOfFame = new HallOfFame(); // Champion of every finished generation
+    this.replays = new ReplayRecorder(); // Replays of the most recent generations (null: not recorded)
+    this.pendingInjections = []; // Genomes to add to the next generation
+    this.solo = null; // Saved evolution state while a single genome (or a practicing human) flies alone
+    this.practice = false; // The human practices alone (see startPractice())
+    this.human = null; // Human-controlled bird (see joinHuman())
+    this.humanResult = null; // Outcome of the human's last flight
+    this.innovations = innovations || new InnovationTracker(inputCount(this.settings), OUTPUT_NODES); // NEAT innovation numbers
+    this.speciation = new Speciation(); // NEAT species of the population
+    this.batch = null; // Packed weights for batched inference, built on first use
+    this.autoEvolve = true; // false: whoever steps the engine calls nextGeneration() (see IslandModel)
+    this.generationOver = false; // All birds dead and waiting for nextGeneration() (autoEvolve off)
+
+    // The first generation already flies the first stage of the curriculum
+    this.applyCurriculum();
 
     // Initialize first population
     this.initPopulation();
+    this.lineage.register(this.birds);
+    this.replays.start(this);
   }
 
   /**
@@ -50,26 +108,360 @@ export class GameEngine {
    * Each bird gets:
    * - Random position (middle of screen)
    * - Zero velocity
-   * - Unique ID
+   * - Unique ID (and no parents)
    * - Random neural network brain
    * - Initial fitness score of 0
    */
   initPopulation() {
     this.birds = [];
-    for (let i = 0; i < POPULATION_SIZE; i++) {
-      this.birds.push({
-        entity: {
-          id: Math.random().toString(36).substr(2, 9),
-          y: GAME_HEIGHT / 2,
-          velocity: 0,
-          alive: true,
-          fitness: 0,
-          score: 0,
-          brain: null // Will be filled during update
-        },
-        net: new NeuralNetwork(INPUT_NODES, HIDDEN_NODES, OUTPUT_NODES)
-      });
+    for (let i = 0; i < this.settings.populationSize; i++) {
+      this.birds.push(this.createBird(this.createNetwork()));
+    }
+  }
+
+  /**
+   * Create Network - Creates a random brain of the configured genome type
+   *
+   * @returns {NeuralNetwork|NeatGenome} - Fixed-topology network (hidden layers
+   *   and activations from the settings) or minimal NEAT genome
+   */
+  createNetwork() {
+    if (this.settings.genomeType === 'neat') {
+      return new NeatGenome(inputCount(this.settings), OUTPUT_NODES, this.rng, this.innovations);
+    }
+    const { layers, activations, recurrent } = networkLayout(this.settings);
+    return new NeuralNetwork(layers, activations, this.rng, recurrent);
+  }
+
+  /**
+   * Network From JSON - Restores a saved genome of either type
+   *
+   * @param {Object} genome - Genome created by toJSON()
+   * @returns {NeuralNetwork|NeatGenome} - Restored brain using the engine's generator
+   */
+  networkFromJSON(genome) {
+    if (genome.type === 'neat') {
+      const net = NeatGenome.fromJSON(genome, this.rng, this.innovations);
+      this.innovations.observe(net); // Keep new innovations clear of the loaded ones
+      return net;
+    }
+    return NeuralNetwork.fromJSON(genome, this.rng);
+  }
+
+  /**
+   * Mutate Network - Applies the configured mutation to a child brain
+   *
+   * @param {NeuralNetwork|NeatGenome} net - Brain to mutate in place
+   * @returns {number} - Number of genes the mutation changed
+   *
+   * The structural NEAT rates are ignored by fixed-topology networks.
+   */
+  mutateNetwork(net) {
+    const { mutationRate, mutationAmount, neatAddNodeRate, neatAddConnectionRate } = this.settings;
+    return net.mutate(mutationRate, mutationAmount, { addNodeRate: neatAddNodeRate, addConnectionRate: neatAddConnectionRate });
+  }
+
+  /**
+   * Create Bird - Builds a fresh bird around a neural network
+   *
+   * @param {NeuralNetwork} net - The bird's brain
+   * @param {Array<string>} parents - IDs of the parents (none for new genomes)
+   * @param {number} mutations - Genes mutation changed at birth
+   * @param {number} born - Generation the bird first flies in
+   * @returns {Object} - {entity, net} pair ready for a new generation
+   */
+  createBird(net, parents = [], mutations = 0, born = this.generation) {
+    return {
+      entity: {
+        id: this.rng.id(), // Random ID
+        parents, // Lineage (see Lineage.js)
+        born,
+        mutations,
+        y: GAME_HEIGHT / 2, // Start in middle
+        velocity: 0, // No initial velocity
+        alive: true, // Alive
+        fitness: 0, // Start with 0 fitness
+        score: 0, // No pipes passed yet
+        frames: 0, // Frames survived (fitness counters, see Fitness.js)
+        flaps: 0, // Number of flaps
+        gapCloseness: 0, // Summed per-frame closeness to the gap center
+        framesSinceFlap: 0, // Frames since the last flap (timeSinceFlap sensor)
+        rays: null, // Vision rays of the last frame (raycast perception only)
+        deathCause: null // What the bird crashed into (see crashCause())
+      },
+      net
+    };
+  }
+
+  /**
+   * Load Population - Replaces the population with imported genomes
+   *
+   * @param {Object} data - Validated genome file (see PopulationFile.js)
+   *
+   * Restores generation, high score and challenge settings.
+   * If the file holds fewer genomes than the population size, the rest of
+   * the population is filled with mutated copies of the loaded genomes;
+   * extra genomes beyond the population size are ignored.
+   */
+  loadPopulation(data) {
+    const { populationSize } = this.settings;
+    const nets = data.genomes.slice(0, populationSize).map(genome => this.networkFromJSON(genome));
+    const loadedCount = nets.length;
+
+    const origins = []; // [parent index, mutations] of every filled-in copy
+    while (nets.length < populationSize) {
+      const parent = nets.length % loadedCount;
+      const childNet = nets[parent].copy();
+      origins.push([parent, this.mutateNetwork(childNet)]);
+      nets.push(childNet);
+    }
+
+    this.generation = data.generation || 1;
+    this.birds = nets.map(net => this.createBird(net));
+    origins.forEach(([parent, mutations], i) => {
+      const { entity } = this.birds[loadedCount + i];
+      entity.parents = [this.birds[parent].entity.id];
+      entity.mutations = mutations;
+    });
+    this.lineage = new Lineage(); // The ancestors of the file are unknown
+    this.lineage.register(this.birds);
+    this.highScore = data.highScore || 0;
+    this.hallOfFame = new HallOfFame(data.hallOfFame || []);
+    this.hallOfFame.entries.forEach(entry => {
+      if (entry.genome.type === 'neat') this.innovations.observe(entry.genome); // Keep archived innovations unique
+    });
+    this.speciation = new Speciation();
+    this.replays = this.replays && new ReplayRecorder(); // Older replays belong to the replaced run
+    this.history = [];
+    this.lastPopulation = null;
+    if (data.challenge) {
+      this.setChallengeMode(!!data.challenge.enabled, data.challenge.pipeVerticalSpeed || 1);
+    }
+    this.resetGame();
+  }
+
+  /**
+   * Queue Settings - Schedules new settings for the next generation
+   *
+   * @param {Object} settings - Complete or partial settings
+   * @throws {Error} - If a value is invalid or a change requires a reset
+   *
+   * The current generation finishes with the old settings; nextGeneration()
+   * switches over before creating offspring. Settings that change the
+   * network topology cannot be queued - create a new engine instead.
+   */
+  queueSettings(settings) {
+    const next = createSettings({ ...this.baseSettings, ...settings });
+    const resetOnly = changesRequiringReset(this.baseSettings, next);
+    if (resetOnly.length > 0) {
+      throw new Error(`${resetOnly.map(def => def.label).join(', ')} can only be changed with a reset.`);
+    }
+    this.pendingSettings = next;
+  }
+
+  /**
+   * Inject Genome - Adds an archived genome to the next generation
+   *
+   * @param {Object} genome - Genome from the Hall of Fame (toJSON() of the brain)
+   *
+   * Injected genomes are inserted unchanged right after the elites,
+   * replacing offspring that would otherwise have been bred.
+   */
+  injectGenome(genome) {
+    this.pendingInjections.push(genome);
+  }
+
+  /**
+   * Start Solo Flight - Lets a single genome fly alone in the arena
+   *
+   * @param {Object} genome - Genome to fly (toJSON() of the brain)
+   *
+   * The running generation is put aside and restored by stopSoloFlight().
+   * The solo bird restarts whenever it dies instead of triggering evolution.
+   * It uses its own random generator (derived from the seed), so watching a
+   * champion never changes the outcome of the seeded evolution.
+   */
+  startSoloFlight(genome) {
+    this.putGenerationAside();
+    this.rng = new SeededRandom((this.seed ^ 0x5010F1) >>> 0);
+    this.birds = [this.createBird(this.networkFromJSON(genome))];
+    this.resetGame();
+  }
+
+  /**
+   * Put Generation Aside - Saves the running generation for stopSoloFlight()
+   *
+   * Also ends the human's flight, which belongs to that world. Does
+   * nothing if a generation was already put aside.
+   */
+  putGenerationAside() {
+    this.practice = false;
+    this.leaveHuman();
+    if (this.solo) return;
+    this.solo = {
+      birds: this.birds,
+      pipes: this.pipes,
+      frameCount: this.frameCount,
+      score: this.score,
+      rng: this.rng,
+      batch: this.batch,
+      courseRun: this.courseRun,
+      generationOver: this.generationOver
+    };
+  }
+
+  /**
+   * Stop Solo Flight - Returns to the generation that was put aside
+   *
+   * Ends a solo flight as well as practice mode.
+   */
+  stopSoloFlight() {
+    if (!this.solo) return;
+    ({ birds: this.birds, pipes: this.pipes, frameCount: this.frameCount, score: this.score, rng: this.rng, batch: this.batch, courseRun: this.courseRun, generationOver: this.generationOver } = this.solo);
+    this.solo = null;
+    this.practice = false;
+    this.leaveHuman();
+  }
+
+  // =============================================
+  // HUMAN PLAY
+  // =============================================
+
+  /**
+   * Join Human - Lets a human-controlled bird enter the world
+   *
+   * The human bird has the same physics and collisions as the AI birds,
+   * but it is not part of the population: it never breeds and draws no
+   * random numbers, so playing never changes the seeded evolution.
+   * It enters in the middle of the screen as soon as no pipe is near
+   * the bird column, and from then on races the AI through the same
+   * pipes. In practice mode every attempt restarts the world instead.
+   * Does nothing while a human bird is flying or about to enter.
+   */
+  joinHuman() {
+    if (this.human && (this.human.alive || this.human.waiting)) return;
+    if (this.practice) this.resetGame();
+    this.human = {
+      y: GAME_HEIGHT / 2,
+      velocity: 0,
+      alive: false,
+      waiting: true, // Enters once the bird column is clear
+      score: 0, // Pipes passed
+      flaps: 0,
+      frames: 0,
+      startScore: 0, // World score when the human entered
+      flapQueued: false // Flap on the next update
+    };
+    this.humanResult = null;
+  }
+
+  /**
+   * Flap Human - Makes the human bird flap on the next update
+   *
+   * A flap while no human bird is flying starts a new attempt (see joinHuman()).
+   */
+  flapHuman() {
+    if (this.human?.alive) {
+      this.human.flapQueued = true;
+    } else {
+      this.joinHuman();
+    }
+  }
+
+  /**
+   * Leave Human - Removes the human bird and its result
+   */
+  leaveHuman() {
+    this.human = null;
+    this.humanResult = null;
+  }
+
+  /**
+   * Start Practice - Lets the human play alone
+   *
+   * The running generation is put aside like for a solo flight (and
+   * restored by stopSoloFlight()). Practice uses the current physics and
+   * challenge settings and its own random generator, so it never changes
+   * the outcome of the seeded evolution.
+   */
+  startPractice() {
+    this.putGenerationAside();
+    this.rng = new SeededRandom((this.seed ^ 0x9A4C71CE) >>> 0);
+    this.birds = [];
+    this.practice = true;
+    this.joinHuman();
+  }
+
+  /**
+   * Update Human - Moves the human bird by one frame
+   *
+   * @param {Object} closestPipe - Pipe the birds have to pass next
+   *
+   * Same physics as the AI birds: gravity, damping and clamping first,
+   * then the flap (if one was queued), then collisions.
+   */
+  updateHuman(closestPipe) {
+    const { human } = this;
+    if (!human) return;
+
+    if (human.waiting) {
+      // Never spawn into a pipe that is about to hit the bird
+      const spawnMargin = 100; // px ahead of the bird
+      if (this.pipes.some(pipe => pipe.x < 50 + 24 + spawnMargin && pipe.x + PIPE_WIDTH > 50)) return;
+      human.waiting = false;
+      human.alive = true;
+      human.startScore = this.score;
     }
+    if (!human.alive) return;
+
+    human.velocity += this.settings.gravity;
+    human.velocity *= 0.9;
+    human.velocity = Math.max(Math.min(human.velocity, VELOCITY_LIMIT), -VELOCITY_LIMIT);
+    human.y += human.velocity;
+
+    if (human.flapQueued) {
+      this.jump(human);
+      human.flaps++;
+      human.flapQueued = false;
+    }
+    human.frames++;
+
+    if (this.crashCause(human, closestPipe)) this.finishHuman('crash');
+  }
+
+  /**
+   * Finish Human - Ends the human's flight and records the result
+   *
+   * @param {string} reason - 'crash' if the human crashed, 'outlast' if
+   *   the human was still flying when the last AI bird died, 'finish' if
+   *   the human reached the finish line of a course
+   *
+   * The result compares the human with the best AI bird over the same
+   * stretch of pipes: {score, aiScore, winner, finished}. Reaching the
+   * finish line together with AI birds is a tie. In practice mode there
+   * is no AI, so aiScore and winner are null.
+   */
+  finishHuman(reason) {
+    const { human } = this;
+    human.alive = false;
+
+    let winner = null;
+    if (!this.practice) {
+      const aiFlying = this.birds.some(b => b.entity.alive);
+      if (reason === 'crash') {
+        winner = aiFlying ? 'ai' : 'tie';
+      } else if (reason === 'finish') {
+        winner = aiFlying ? 'tie' : 'human';
+      } else {
+        winner = 'human';
+      }
+    }
+    this.humanResult = {
+      score: human.score,
+      aiScore: this.practice ? null : this.score - human.startScore,
+      winner,
+      finished: reason === 'finish'
+    };
   }
 
   /**
@@ -82,17 +474,40 @@ export class GameEngine {
    * - Move vertically (up and down)
    * - Change gap sizes dynamically
    * - Create more complex environment for evolution
+   *
+   * While the curriculum is on, its stage decides challenge mode: the
+   * change is only kept for when the curriculum is turned off.
    */
   setChallengeMode(enabled, speed) {
+    this.baseChallenge = { enabled, speed: Math.max(1, Math.min(MAX_PIPE_VERTICAL_SPEED, speed)) };
+    if (this.settings.curriculum === 'on') return;
+    this.switchChallengeMode(enabled, speed);
+  }
+
+  /**
+   * Switch Challenge Mode - Applies a challenge mode change
+   *
+   * @param {boolean} enabled - Whether to enable challenge mode
+   * @param {number} speed - Vertical movement speed (1-10)
+   */
+  switchChallengeMode(enabled, speed) {
     this.challengeModeEnabled = enabled;
     // Cap speed at MAX_PIPE_VERTICAL_SPEED (80% of bird max velocity) for fairness
     this.pipeVerticalSpeed = Math.max(1, Math.min(MAX_PIPE_VERTICAL_SPEED, speed));
 
+    // Replays repeat the change at the same frame of the evolving world
+    this.replays?.recordChallenge(this.solo ? this.solo.frameCount : this.frameCount, enabled, this.pipeVerticalSpeed);
+
     // If disabling challenge mode, reset all pipes to static behavior
+    // (pipes keep their gap if each pipe draws its own), also those of a
+    // generation put aside for a solo flight: its replay resets them at
+    // the recorded frame
     if (!enabled) {
-      this.pipes.forEach(pipe => {
+      const pipes = this.solo ? [...this.pipes, ...this.solo.pipes] : this.pipes;
+      // Course pipes never move with challenge mode and keep their authored gap
+      pipes.filter(pipe => pipe.verticalVelocity !== undefined).forEach(pipe => {
         pipe.verticalVelocity = undefined;
-        pipe.gapSize = undefined;
+        if (this.settings.pipeGapVariation === 0) pipe.gapSize = undefined;
         pipe.targetGapSize = undefined;
         pipe.directionChangeTimer = undefined;
         pipe.gapChangeTimer = undefined;
@@ -100,6 +515,41 @@ export class GameEngine {
     }
   }
 
+  /**
+   * Set Course - Replaces the random pipes with an authored course
+   *
+   * @param {Object|null} course - Parsed course (see Course.js), or null
+   *   to go back to random pipes
+   *
+   * The course takes over when the next world starts (next generation,
+   * next solo flight); right away if the current one has not run a frame yet.
+   */
+  setCourse(course) {
+    this.pendingCourse = { course };
+    if (this.frameCount === 0) this.resetGame();
+  }
+
+  /**
+   * Apply Curriculum - Sets the difficulty of the current curriculum stage
+   *
+   * Lays the pipe settings of the stage over the configured settings and
+   * switches challenge mode to the stage's vertical speed. Called before
+   * every generation. While the curriculum is off the configured settings
+   * are in effect; the generation after it was turned off also gets the
+   * configured challenge mode back.
+   */
+  applyCurriculum() {
+    const staged = this.settings.curriculum === 'on'; // The previous generation flew a stage
+    if (this.baseSettings.curriculum !== 'on') {
+      this.settings = this.baseSettings;
+      if (staged) this.switchChallengeMode(this.baseChallenge.enabled, this.baseChallenge.speed);
+      return;
+    }
+    const { settings, pipeVerticalSpeed } = this.curriculum.current;
+    this.settings = { ...this.baseSettings, ...settings };
+    this.switchChallengeMode(pipeVerticalSpeed > 0, pipeVerticalSpeed || this.pipeVerticalSpeed);
+  }
+
   /**
    * Reset Game - Resets game state without creating new population
    *
@@ -109,9 +559,20 @@ export class GameEngine {
    * - Changing game settings
    */
   resetGame() {
+    // A queued course starts with the new world
+    if (this.pendingCourse) {
+      this.course = this.pendingCourse.course;
+      this.pendingCourse = null;
+    }
+    this.courseRun = this.course ? new CourseRun(this.course) : null;
+
     this.pipes = []; // Clear all pipes
     this.frameCount = 0; // Reset frame counter
     this.score = 0; // Reset score
+    this.generationOver = false;
+
+    // A human still flying outlasted the birds of the old world
+    if (this.human?.alive) this.finishHuman('outlast');
 
     // Reset all birds to initial state
     this.birds.forEach(b => {
@@ -120,7 +581,49 @@ export class GameEngine {
       b.entity.alive = true; // Alive again
       b.entity.score = 0; // Reset pipe count
       b.entity.fitness = 0; // Reset fitness
+      b.entity.frames = 0; // Reset fitness counters
+      b.entity.flaps = 0;
+      b.entity.gapCloseness = 0;
+      b.entity.framesSinceFlap = 0;
+      b.entity.rays = null;
+      b.entity.deathCause = null;
+      b.net.resetState(); // Clear recurrent memory
     });
+    this.batch = null; // Rebuilt for the (possibly new) population, with cleared memory
+
+    // A new generation of the evolving world starts recording
+    // (solo flights and practice are not recorded)
+    if (!this.solo) this.replays?.start(this);
+  }
+
+  /**
+   * Inference Batch - Packed weights of the current population
+   *
+   * @returns {PopulationBatch|null} - Batch evaluating all birds in one pass,
+   *   or null when the birds predict one by one (per-bird inference or NEAT)
+   *
+   * Built lazily on the first frame after resetGame(), so a generation's
+   * networks are packed exactly once.
+   */
+  getInferenceBatch() {
+    if (this.settings.inference !== 'batched' || this.settings.genomeType !== 'fixed' || this.birds.length === 0) return null;
+    if (!this.batch) this.batch = new PopulationBatch(this.birds.map(b => b.net));
+    return this.batch;
+  }
+
+  /**
+   * Get Brain Structure - Network snapshot of one bird for visualization
+   *
+   * @param {Object} bird - {entity, net} of the current population
+   * @returns {Object} - net.getStructure(), with the activations taken from
+   *   the inference batch when the population is evaluated in batches
+   *
+   * Only called for the bird being shown, never per bird and frame.
+   */
+  getBrainStructure(bird) {
+    const structure = bird.net.getStructure();
+    const index = this.batch ? this.birds.indexOf(bird) : -1;
+    return index >= 0 ? { ...structure, lastLayerOutputs: this.batch.layerOutputs(index) } : structure;
   }
 
   /**
@@ -134,29 +637,35 @@ export class GameEngine {
    */
   update() {
     // ===== 1. MANAGE PIPES =====
-    // Spawn new pipes at regular intervals
-    if (this.frameCount % PIPE_SPAWN_RATE === 0) {
-      const baseGap = PIPE_GAP;
-      const topHeight = Math.random() * (GAME_HEIGHT - baseGap - 100) + 50;
+    // Spawn the course pipes that scrolled into view, or new random
+    // pipes at regular intervals
+    if (this.courseRun) {
+      this.pipes.push(...this.courseRun.spawn());
+    } else if (this.frameCount % this.settings.pipeSpawnRate === 0) {
+      // Each pipe draws its own gap when the gap size varies
+      const { pipeGap, pipeGapVariation } = this.settings;
+      const baseGap = pipeGapVariation > 0 ? pipeGap + (this.rng.next() * 2 - 1) * pipeGapVariation : pipeGap;
+      const topHeight = this.rng.next() * (GAME_HEIGHT - baseGap - 100) + 50;
 
       const newPipe = {
         x: GAME_WIDTH, // Start at right edge
         topHeight, // Random vertical position
         passed: false // No bird has passed this yet
       };
+      if (pipeGapVariation > 0) newPipe.gapSize = baseGap;
 
       // Initialize challenge mode properties if enabled
       if (this.challengeModeEnabled) {
         // Random initial vertical direction
-        newPipe.verticalVelocity = Math.random() > 0.5 ? 1 : -1;
+        newPipe.verticalVelocity = this.rng.next() > 0.5 ? 1 : -1;
 
         // Gap size properties
-        newPipe.gapSize = baseGap; // Start with standard gap
+        newPipe.gapSize = baseGap; // Start with the spawned gap
         newPipe.targetGapSize = baseGap; // No change initially
 
         // Timers for dynamic behavior
-        newPipe.directionChangeTimer = 60 + Math.random() * 120; // 60-180 frames
-        newPipe.gapChangeTimer = 30 + Math.random() * 60; // 30-90 frames
+        newPipe.directionChangeTimer = 60 + this.rng.next() * 120; // 60-180 frames
+        newPipe.gapChangeTimer = 30 + this.rng.next() * 60; // 30-90 frames
       }
 
       this.pipes.push(newPipe);
@@ -167,7 +676,10 @@ export class GameEngine {
       const pipe = this.pipes[i];
 
       // Horizontal movement - pipes scroll left
-      pipe.x -= PIPE_SPEED;
+      pipe.x -= this.settings.pipeSpeed;
+
+      // Course pipes follow their motion script
+      if (pipe.motion) moveScriptedPipe(pipe);
 
       // Challenge mode: dynamic pipe behavior
       if (this.challengeModeEnabled && pipe.verticalVelocity !== undefined) {
@@ -177,12 +689,16 @@ export class GameEngine {
           if (pipe.directionChangeTimer <= 0) {
             // Reverse direction periodically
             pipe.verticalVelocity = pipe.verticalVelocity * -1;
-            pipe.directionChangeTimer = 60 + Math.random() * 120; // Reset timer
+            pipe.directionChangeTimer = 60 + this.rng.next() * 120; // Reset timer
           }
         }
 
-        // Gradual gap size transitions for fairness
-        const currentGap = pipe.gapSize || PIPE_GAP;
+        // Gradual gap size transitions for fairness, within the configured
+        // variation (or 100-250 pixels if the gap does not vary)
+        const variation = this.settings.pipeGapVariation;
+        const minGap = variation > 0 ? this.settings.pipeGap - variation : 100;
+        const maxGap = variation > 0 ? this.settings.pipeGap + variation : 250;
+        const currentGap = pipe.gapSize || this.settings.pipeGap;
         const targetGap = pipe.targetGapSize !== undefined ? pipe.targetGapSize : currentGap;
 
         // Smooth transition to target gap size
@@ -190,7 +706,7 @@ export class GameEngine {
           const gapChangeRate = 1.5; // pixels per frame
           const gapDiff = targetGap - currentGap;
           const change = Math.sign(gapDiff) * Math.min(Math.abs(gapDiff), gapChangeRate);
-          pipe.gapSize = Math.max(100, Math.min(250, currentGap + change));
+          pipe.gapSize = Math.max(minGap, Math.min(maxGap, currentGap + change));
         } else {
           // Snap to target when close enough
           pipe.gapSize = targetGap;
@@ -201,10 +717,10 @@ export class GameEngine {
           pipe.gapChangeTimer--;
           if (pipe.gapChangeTimer <= 0) {
             // Change target gap size by ±10-30px
-            const gapChange = (Math.random() * 20 + 10) * (Math.random() > 0.5 ? 1 : -1);
-            const newTargetGap = Math.max(100, Math.min(250, currentGap + gapChange));
+            const gapChange = (this.rng.next() * 20 + 10) * (this.rng.next() > 0.5 ? 1 : -1);
+            const newTargetGap = Math.max(minGap, Math.min(maxGap, currentGap + gapChange));
             pipe.targetGapSize = newTargetGap;
-            pipe.gapChangeTimer = 30 + Math.random() * 60; // Reset timer
+            pipe.gapChangeTimer = 30 + this.rng.next() * 60; // Reset timer
           }
         }
 
@@ -214,7 +730,7 @@ export class GameEngine {
         pipe.topHeight += verticalMove;
 
         // Keep pipes within screen bounds
-        const updatedGap = pipe.gapSize || PIPE_GAP;
+        const updatedGap = pipe.gapSize || this.settings.pipeGap;
         const minTopHeight = 50;
         const maxTopHeight = GAME_HEIGHT - updatedGap - 50;
         pipe.topHeight = Math.max(minTopHeight, Math.min(maxTopHeight, pipe.topHeight));
@@ -225,72 +741,90 @@ export class GameEngine {
         this.pipes.splice(i, 1);
       }
     }
+    this.courseRun?.scroll(this.settings.pipeSpeed);
 
-    // Find the closest pipe for neural network inputs
-    let closestPipe = this.pipes.find(p => p.x + PIPE_WIDTH > 50); // 50 is roughly bird X
+    // Find the closest pipe (and the one after it) for neural network inputs
+    const closestIndex = this.pipes.findIndex(p => p.x + PIPE_WIDTH > 50); // 50 is roughly bird X
+    const closestPipe = this.pipes[closestIndex]; // undefined if there is none
+    const sensorView = {
+      nextPipe: closestPipe,
+      secondPipe: closestIndex >= 0 ? this.pipes[closestIndex + 1] : undefined,
+      settings: this.settings,
+      pipeVerticalSpeed: this.pipeVerticalSpeed
+    };
 
     // ===== 2. UPDATE BIRDS =====
     let anyAlive = false;
+    const batch = this.getInferenceBatch();
+    const outputs = []; // Flap output per bird index (per-bird inference)
 
-    this.birds.forEach(item => {
+    this.birds.forEach((item, index) => {
       if (!item.entity.alive) return;
-      anyAlive = true;
 
       // Apply physics
-      item.entity.velocity += GRAVITY; // Accelerate downward
+      item.entity.velocity += this.settings.gravity; // Accelerate downward
       item.entity.velocity *= 0.9; // Velocity damping
       item.entity.velocity = Math.max(Math.min(item.entity.velocity, VELOCITY_LIMIT), -VELOCITY_LIMIT); // Clamp
       item.entity.y += item.entity.velocity; // Update position
 
-      // Increase fitness for surviving another frame
-      item.entity.fitness += 1;
-
       // ===== NEURAL NETWORK DECISION MAKING =====
-      // Prepare normalized inputs for neural network [0, 1] range
-      const pipeX = closestPipe ? closestPipe.x : GAME_WIDTH;
-      const currentGap = closestPipe?.gapSize || PIPE_GAP;
-      const pipeGapY = closestPipe ? closestPipe.topHeight + currentGap / 2 : GAME_HEIGHT / 2;
+      // One normalized input per active sensor (see Sensors.js; the
+      // default sensors are bird Y, pipe X, gap center Y and velocity),
+      // or per vision ray with raycast perception (see Raycast.js)
+      let neuralInputs;
+      if (this.settings.perception === 'raycast') {
+        item.entity.rays = castRays(item.entity, this.pipes, this.settings);
+        neuralInputs = item.entity.rays.map(ray => ray.distance / this.settings.rayLength);
+      } else {
+        neuralInputs = readSensors(this.settings.sensors, item.entity, sensorView);
+      }
+
+      // Collect the inputs for the batch, or predict right away
+      if (batch) {
+        batch.setInputs(index, neuralInputs);
+      } else {
+        outputs[index] = item.net.predict(neuralInputs)[0];
+      }
+    });
+
+    // Evaluate all networks of the population in one pass
+    if (batch) batch.predict();
 
-      // 4 normalized inputs:
-      // 1. Bird Y position (0 = top, 1 = bottom)
-      // 2. Pipe X position (0 = left, 1 = right)
-      // 3. Pipe gap center Y position (0 = top, 1 = bottom)
-      // 4. Bird velocity (0 = max upward, 1 = max downward)
-      const neuralInputs = [
-        item.entity.y / GAME_HEIGHT,
-        pipeX / GAME_WIDTH,
-        pipeGapY / GAME_HEIGHT,
-        (item.entity.velocity + VELOCITY_LIMIT) / (VELOCITY_LIMIT * 2) // Normalize -VELOCITY_LIMIT to VELOCITY_LIMIT
-      ];
+    this.birds.forEach((item, index) => {
+      if (!item.entity.alive) return;
+      anyAlive = true;
 
       // Get neural network decision
-      const outputs = item.net.predict(neuralInputs);
+      const output = batch ? batch.output(index) : outputs[index];
 
       // If output > 0.5, flap!
-      if (outputs[0] > 0.5) {
+      if (output > 0.5) {
         this.jump(item.entity);
+        item.entity.flaps++;
+        item.entity.framesSinceFlap = 0;
+      } else {
+        item.entity.framesSinceFlap++;
       }
 
-      // Update brain structure for visualization
-      item.entity.brain = item.net.getStructure();
+      // Update fitness counters for surviving another frame
+      const currentGap = closestPipe?.gapSize || this.settings.pipeGap;
+      const pipeGapY = closestPipe ? closestPipe.topHeight + currentGap / 2 : GAME_HEIGHT / 2;
+      const birdCenterY = item.entity.y + 12; // Half the bird hitbox
+      item.entity.frames++;
+      item.entity.gapCloseness += 1 - Math.min(1, Math.abs(birdCenterY - pipeGapY) / (GAME_HEIGHT / 2));
+      item.entity.fitness = evaluateFitness(this.settings, item.entity);
 
       // ===== COLLISION DETECTION =====
-      const birdSize = 24; // Bird hitbox size
-      const groundHeight = 10; // Ground height
-
-      // Check for collisions with:
-      // 1. Ground (bottom of screen)
-      // 2. Ceiling (top of screen)
-      // 3. Pipes
-      if (
-        item.entity.y + birdSize > GAME_HEIGHT - groundHeight || // Hit ground
-        item.entity.y < 0 || // Hit ceiling
-        this.checkPipeCollision(item.entity, closestPipe) // Hit pipe
-      ) {
+      const cause = this.crashCause(item.entity, closestPipe);
+      if (cause) {
         item.entity.alive = false; // Bird dies
+        item.entity.deathCause = cause;
       }
     });
 
+    // ===== HUMAN BIRD =====
+    this.updateHuman(closestPipe);
+
     // ===== SCORE TRACKING =====
     this.pipes.forEach(p => {
       // When pipe passes bird position (x=50)
@@ -300,20 +834,37 @@ export class GameEngine {
 
         // Give score to all alive birds
         this.birds.forEach(b => {
-          if (b.entity.alive) b.entity.score++;
+          if (b.entity.alive) {
+            b.entity.score++;
+            b.entity.fitness = evaluateFitness(this.settings, b.entity);
+          }
         });
+        if (this.human?.alive) this.human.score++;
       }
     });
 
-    // Update high score
-    if (this.score > this.highScore) this.highScore = this.score;
+    // Update high score (solo flights are replays, not evolution progress)
+    if (!this.solo && this.score > this.highScore) this.highScore = this.score;
 
     this.frameCount++; // Increment frame counter
 
     // ===== GENERATION TRANSITION =====
     // If all birds are dead, evolve to next generation
-    if (!anyAlive) {
-      this.nextGeneration();
+    // (a solo bird simply starts another flight; an island waits for the
+    // other islands of its IslandModel; a practicing human has no birds).
+    // Birds that reach the finish line of a course have completed it and
+    // count as survivors.
+    const finished = this.courseRun !== null && this.courseRun.finishX() < 50;
+    if (finished && this.practice && this.human?.alive) this.finishHuman('finish');
+    if ((!anyAlive || finished) && this.birds.length > 0) {
+      if (this.human?.alive) this.finishHuman(finished ? 'finish' : 'outlast');
+      if (this.solo) {
+        this.resetGame();
+      } else if (this.autoEvolve) {
+        this.nextGeneration();
+      } else {
+        this.generationOver = true;
+      }
     }
   }
 
@@ -323,7 +874,29 @@ export class GameEngine {
    * @param {Object} bird - Bird entity
    */
   jump(bird) {
-    bird.velocity = LIFT; // Instant upward velocity
+    bird.velocity = this.settings.lift; // Instant upward velocity
+  }
+
+  /**
+   * Crash Cause - Checks a bird against the world
+   *
+   * @param {Object} bird - Bird entity (AI or human)
+   * @param {Object} pipe - Pipe the bird has to pass next
+   * @returns {string|null} - What the bird hit ('ground', 'ceiling' or
+   *   'pipe'), or null if it is still flying
+   */
+  crashCause(bird, pipe) {
+    const birdSize = 24; // Bird hitbox size
+    const groundHeight = 10; // Ground height
+
+    // Check for collisions with:
+    // 1. Ground (bottom of screen)
+    // 2. Ceiling (top of screen)
+    // 3. Pipes
+    if (bird.y + birdSize > GAME_HEIGHT - groundHeight) return 'ground';
+    if (bird.y < 0) return 'ceiling';
+    if (this.checkPipeCollision(bird, pipe)) return 'pipe';
+    return null;
   }
 
   /**
@@ -339,7 +912,7 @@ export class GameEngine {
     // Bird position and size
     const birdX = 50; // Fixed X position
     const birdSize = 24; // Hitbox size
-    const currentGap = pipe.gapSize || PIPE_GAP;
+    const currentGap = pipe.gapSize || this.settings.pipeGap;
 
     // Check if bird is within pipe's horizontal bounds
     if (birdX + birdSize > pipe.x && birdX < pipe.x + PIPE_WIDTH) {
@@ -357,59 +930,109 @@ export class GameEngine {
    * This is where evolution happens:
    * 1. Calculate fitness scores
    * 2. Sort birds by fitness
-   * 3. Apply elitism (preserve best bird)
-   * 4. Create offspring through reproduction + mutation
+   * 3. Apply elitism (preserve the top eliteCount birds)
+   * 4. Create offspring through reproduction (optionally crossover) + mutation
+   *    (with NEAT genomes: per species, after speciation)
    * 5. Start new generation
    */
   nextGeneration() {
     // ===== 1. CALCULATE FITNESS =====
-    // Sum total fitness for probability calculations
+    // Sum total fitness and count what the birds died of, for statistics
+    // (birds still alive when a generation is ended early survived)
     let sumFitness = 0;
-    this.birds.forEach(b => sumFitness += b.entity.fitness);
+    const deaths = { ground: 0, ceiling: 0, pipe: 0, survived: 0 };
+    this.birds.forEach(b => {
+      sumFitness += b.entity.fitness;
+      deaths[b.entity.alive ? 'survived' : b.entity.deathCause]++;
+    });
 
     // Sort birds by fitness (descending)
     const sortedBirds = [...this.birds].sort((a, b) => b.entity.fitness - a.entity.fitness);
+    this.lineage.evaluate(sortedBirds);
 
-    const newBirds = [];
+    // Remember how the finished generation performed (statistics history,
+    // charts and the CLI trainer)
+    const middle = Math.floor(sortedBirds.length / 2);
+    this.lastGeneration = {
+      generation: this.generation,
+      bestFitness: sortedBirds[0].entity.fitness,
+      meanFitness: sumFitness / sortedBirds.length,
+      medianFitness: sortedBirds.length % 2 === 1
+        ? sortedBirds[middle].entity.fitness
+        : (sortedBirds[middle - 1].entity.fitness + sortedBirds[middle].entity.fitness) / 2,
+      worstFitness: sortedBirds[sortedBirds.length - 1].entity.fitness,
+      score: this.score, // Pipes passed by the best bird
+      frames: this.frameCount, // Length of the generation
+      ...diversityMetrics(sortedBirds.map(b => b.net)), // diversity, weightVariance, clusters
+      deaths,
+      // Conditions the generation ran under
+      settings: pickSettings(this.settings, STATS_SETTINGS),
+      challengeMode: this.challengeModeEnabled,
+      pipeVerticalSpeed: this.pipeVerticalSpeed,
+      curriculumStage: this.settings.curriculum === 'on' ? this.curriculum.stage : null
+    };
+    this.history.push(this.lastGeneration);
+    // The finished population itself, for the genome space projection
+    // (its networks are never touched again: the next generation copies them)
+    this.lastPopulation = sortedBirds.map(b => ({ id: b.entity.id, net: b.net, fitness: b.entity.fitness }));
 
-    // ===== 2. ELITISM =====
-    // Preserve the champion unchanged
-    // This ensures we never lose the best solution found so far
-    const champion = sortedBirds[0];
-    const bestNet = champion.net.copy(); // Deep copy
-
-    newBirds.push({
-      entity: { ...champion.entity, id: 'Champ', fitness: 0, score: 0, alive: true, y: GAME_HEIGHT/2, velocity: 0 },
-      net: bestNet
-    });
+    // Archive this generation's champion before it can be lost
+    this.hallOfFame.record(this.generation, sortedBirds[0]);
+    this.replays?.finish(this);
 
-    // ===== 3. REPRODUCTION WITH MUTATION =====
-    // Fill rest of population through fitness-proportional selection
-    while (newBirds.length < POPULATION_SIZE) {
-      // Select parent based on fitness probability
-      const parent = this.pickOne(sortedBirds, sumFitness);
+    // A generation played under the curriculum counts towards its next stage
+    if (this.settings.curriculum === 'on') this.curriculum.record(this.score, this.settings);
 
-      // Create child by copying parent's network
-      const childNet = parent.net.copy();
+    // Switch to queued settings (and the curriculum's difficulty) before
+    // building the new population
+    if (this.pendingSettings) {
+      this.baseSettings = this.pendingSettings;
+      this.pendingSettings = null;
+    }
+    this.applyCurriculum();
+    const { populationSize, eliteCount } = this.settings;
 
-      // Apply mutation to introduce genetic diversity
-      childNet.mutate();
+    const newBirds = [];
 
-      // Add new bird to population
+    // ===== 2. ELITISM =====
+    // Preserve the top eliteCount birds unchanged
+    // This ensures we never lose the best solutions found so far
+    // (an elite keeps its ID and lineage: it is the same individual)
+    sortedBirds.slice(0, Math.min(eliteCount, populationSize)).forEach(elite => {
       newBirds.push({
-        entity: {
-          id: Math.random().toString(36).substr(2, 9), // Random ID
-          y: GAME_HEIGHT/2, // Start in middle
-          velocity: 0, // No initial velocity
-          alive: true, // Alive
-          fitness: 0, // Start with 0 fitness
-          score: 0, // No pipes passed yet
-          brain: null // Will be filled during update
-        },
-        net: childNet
+        entity: { ...elite.entity, fitness: 0, score: 0, alive: true, y: GAME_HEIGHT/2, velocity: 0 },
+        net: elite.net.copy() // Deep copy
+      });
+    });
+
+    // Reinjected Hall of Fame genomes join unchanged
+    this.pendingInjections.splice(0).forEach(genome => {
+      if (newBirds.length < populationSize) {
+        newBirds.push(this.createBird(this.networkFromJSON(genome), [], 0, this.generation + 1));
+      }
+    });
+
+    // ===== 3. REPRODUCTION WITH CROSSOVER AND MUTATION =====
+    // Fill rest of population with children of selected parents
+    const offspringCount = populationSize - newBirds.length;
+    if (this.settings.genomeType === 'neat') {
+      // NEAT: parents compete only within their species
+      this.speciation.speciate(sortedBirds, this.settings.neatCompatibilityThreshold, NEAT_COMPATIBILITY_COEFFICIENTS);
+      this.lastGeneration.species = this.speciation.species.length;
+      this.speciation.allocateOffspring(offspringCount, this.settings.neatStagnationLimit).forEach(({ species, offspring }) => {
+        const pickParent = createSelector(this.settings.selectionStrategy, species.members, this.rng, this.settings, offspring);
+        newBirds.push(...this.breed(pickParent, offspring));
       });
+    } else {
+      // Parent picker for this generation (roulette, tournament, rank, ...)
+      const pickParent = createSelector(this.settings.selectionStrategy, sortedBirds, this.rng, this.settings, offspringCount);
+      newBirds.push(...this.breed(pickParent, offspringCount));
     }
 
+    // Track the ancestry of the new population, forget extinct lines
+    this.lineage.register(newBirds);
+    this.lineage.prune([newBirds, sortedBirds]);
+
     // Replace old population with new generation
     this.birds = newBirds;
     this.generation++; // Increment generation counter
@@ -417,29 +1040,47 @@ export class GameEngine {
   }
 
   /**
-   * Pick One - Fitness-proportional selection (roulette wheel)
+   * Breed - Creates children from parents chosen by a selector
    *
-   * @param {Array} sortedList - Birds sorted by fitness
-   * @param {number} sumFitness - Total fitness of population
-   * @returns {Object} - Selected bird
+   * @param {Function} pickParent - Selector returning one parent per call
+   * @param {number} count - Number of children to create
+   * @returns {Array} - New {entity, net} pairs
    *
-   * Higher fitness = higher probability of being selected
-   * This implements "survival of the fittest" principle
+   * With probability crossoverRate a child recombines two parents,
+   * otherwise it copies one; every child is then mutated.
    */
-  pickOne(sortedList, sumFitness) {
-    let index = 0;
-    let r = Math.random() * sumFitness; // Random fitness threshold
+  breed(pickParent, count) {
+    const { crossoverRate, crossoverStrategy } = this.settings;
+    const children = [];
 
-    // Find bird whose cumulative fitness exceeds threshold
-    while (r > 0 && index < sortedList.length) {
-      r -= sortedList[index].entity.fitness;
-      index++;
-    }
+    for (let i = 0; i < count; i++) {
+      // Select parent using the configured selection strategy
+      const parent = pickParent();
+
+      // Create child by recombining two parents (crossover) or by
+      // copying a single parent's network
+      let childNet;
+      let parents = [parent.entity.id];
+      if (crossoverRate > 0 && this.rng.next() < crossoverRate) {
+        const partner = pickParent();
+        if (partner.entity.id !== parent.entity.id) parents = [parent.entity.id, partner.entity.id];
+        if (parent.net instanceof NeatGenome) {
+          // NEAT crossover takes disjoint and excess genes from the fitter parent
+          const [fitter, weaker] = partner.entity.fitness > parent.entity.fitness ? [partner, parent] : [parent, partner];
+          childNet = fitter.net.crossover(weaker.net);
+        } else {
+          childNet = parent.net.crossover(partner.net, crossoverStrategy);
+        }
+      } else {
+        childNet = parent.net.copy();
+      }
 
-    index--; // Adjust for loop exit condition
-    if (index < 0) index = 0; // Safety check
+      // Apply mutation to introduce genetic diversity
+      const mutations = this.mutateNetwork(childNet);
 
-    return sortedList[index];
+      children.push(this.createBird(childNet, parents, mutations, this.generation + 1));
+    }
+    return children;
   }
 
   /**
@@ -462,29 +1103,43 @@ export class GameEngine {
  *
  * This implementation uses a simplified genetic algorithm:
  *
- * 1. POPULATION: 50 birds with random neural networks
+ * 1. POPULATION: 50 birds with random neural networks (configurable)
  *
- * 2. FITNESS FUNCTION:
- *    - Fitness = survival time + pipes passed
- *    - Implicit: birds that survive longer get higher fitness
+ * 2. FITNESS FUNCTION (see Fitness.js):
+ *    - Weighted sum of terms: survival, pipes, gap-center closeness,
+ *      flaps, squared/exponential score
+ *    - Default: +1 per frame survived (birds that survive longer
+ *      get higher fitness)
  *    - This is the "objective function" we're optimizing
  *
- * 3. SELECTION: Fitness-proportional selection (roulette wheel)
- *    - P(select) = fitness_i / total_fitness
+ * 3. SELECTION: Pluggable strategies (see Selection.js)
+ *    - Default: fitness-proportional roulette wheel,
+ *      P(select) = fitness_i / total_fitness
+ *    - Alternatives: tournament, rank, truncation, stochastic
+ *      universal sampling
  *    - Better birds have higher chance to reproduce
  *
  * 4. REPRODUCTION:
  *    - Offspring inherit parent's neural network weights
- *    - No crossover implemented (simplified approach)
+ *    - With probability crossoverRate, two parents are recombined
+ *      (uniform, single-point per layer or arithmetic blend)
+ *    - Default crossoverRate is 0: pure clone + mutate
  *
  * 5. MUTATION:
- *    - Each weight has 10% chance to mutate
+ *    - Each weight has 10% chance to mutate (configurable)
  *    - Mutation amount follows Gaussian distribution
  *    - This introduces genetic diversity
  *
- * 6. ELITISM:
- *    - Best bird is preserved unchanged
+ * 6. NEAT (genomeType 'neat', see NeatGenome.js and Speciation.js):
+ *    - Topology evolves too: mutations add neurons and connections
+ *    - Genomes are grouped into species by compatibility distance
+ *    - Species share fitness and breed their own offspring, protecting
+ *      new structure until its weights are tuned
+ *
+ * 7. ELITISM:
+ *    - Top eliteCount birds (default 1) are preserved unchanged
  *    - Ensures monotonic improvement
+ *    - Every generation's champion is also archived in the Hall of Fame
  *
  * THE EVOLUTIONARY PROCESS:
  * Generation 1: Random networks → Most die quickly
@@ -0,0 +1,79 @@
+/**
+ * NeuroEvolution Bird - Hall of Fame
+ *
+ * Elitism only keeps the current champions alive; once a champion is
+ * out-competed, its genome is gone. The Hall of Fame archives the best
+ * genome of every finished generation together with its generation
+ * number, fitness and score, so any past champion can be inspected,
+ * flown again, or reinjected into the population.
+ */
+
+// =============================================
+// HALL OF FAME CLASS
+// =============================================
+
+export class HallOfFame {
+  /**
+   * Constructor - Creates an empty archive
+   *
+   * @param {Array} entries - Previously archived entries (e.g. from a genome file)
+   */
+  constructor(entries = []) {
+    this.entries = entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Record - Archives the champion of a finished generation
+   *
+   * @param {number} generation - Generation the champion lived in
+   * @param {Object} champion - Best {entity, net} pair of that generation
+   * @returns {Object} - The new archive entry
+   */
+  record(generation, champion) {
+    const entry = {
+      generation,
+      fitness: champion.entity.fitness,
+      score: champion.entity.score,
+      genome: champion.net.toJSON()
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Get - Looks up the entry of a generation
+   *
+   * @param {number} generation - Generation number
+   * @returns {Object|undefined} - Archive entry, if that generation was recorded
+   */
+  get(generation) {
+    return this.entries.find(entry => entry.generation === generation);
+  }
+
+  /**
+   * Best - Returns the entry with the highest fitness
+   *
+   * @returns {Object|undefined} - Best archived champion
+   */
+  best() {
+    return this.entries.reduce((best, entry) => (!best || entry.fitness > best.fitness ? entry : best), undefined);
+  }
+
+  /**
+   * Size - Number of archived champions
+   *
+   * @returns {number} - Entry count
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * To JSON - Serializable copy of all entries
+   *
+   * @returns {Array} - Archive entries
+   */
+  toJSON() {
+    return this.entries;
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * NeuroEvolution Bird - Island Model
+ *
+ * A single population tends to converge on one strategy: once a good
+ * genome appears, its descendants take over. The island model splits the
+ * birds into several sub-populations ("islands") that evolve in separate
+ * worlds - each island is a complete GameEngine with its own pipes,
+ * random generator and settings - and only occasionally exchange their
+ * best genomes (migration). Islands explore different strategies in
+ * parallel, and migrants spread good building blocks between them.
+ *
+ * Generations are synchronized: an island whose birds are all dead waits
+ * until every island has finished the generation, then all islands
+ * migrate and breed together. Island numbers in the UI start at 1,
+ * indices in code at 0.
+ *
+ * With one island (the default) the model behaves exactly like a single
+ * GameEngine with the same seed.
+ */
+
+import { GameEngine } from './GameEngine.js';
+import { InnovationTracker } from './NeatGenome.js';
+import { SeededRandom } from './Random.js';
+import { createSettings, validateSettings, changesRequiringReset, inputCount } from './Settings.js';
+import { OUTPUT_NODES } from '../constants.js';
+
+/**
+ * MIGRATION_TOPOLOGIES
+ * Destination islands of the migrants of island `from`, keyed by name.
+ */
+export const MIGRATION_TOPOLOGIES = {
+  ring: (from, count) => (count > 1 ? [(from + 1) % count] : []),
+  full: (from, count) => Array.from({ length: count }, (_, to) => to).filter(to => to !== from)
+};
+
+/**
+ * Island Seed - Seed of one island's world and evolution
+ *
+ * @param {number} seed - Normalized seed of the whole model
+ * @param {number} index - Island index
+ * @returns {number} - The model seed itself for the first island, so a
+ *   one-island model repeats a plain GameEngine run; derived seeds for the others
+ */
+export const islandSeed = (seed, index) => (index === 0 ? seed : (seed ^ Math.imul(index, 0x9E3779B9)) >>> 0);
+
+/**
+ * Validate Island Settings - Checks per-island setting overrides
+ *
+ * @param {Object} settings - Complete settings shared by all islands
+ * @param {Array<Object>} islandSettings - Overrides per island
+ * @returns {Array<string>} - Error messages (empty if all islands are valid)
+ *
+ * Besides the usual value checks, an override must not change a
+ * reset-only setting: all islands share one network topology, otherwise
+ * migrants could not live on their new island.
+ */
+export const validateIslandSettings = (settings, islandSettings) => {
+  const errors = [];
+  islandSettings.forEach((overrides, index) => {
+    const island = { ...settings, ...overrides };
+    validateSettings(island).forEach(error => errors.push(`Island ${index + 1}: ${error}`));
+    const resetOnly = changesRequiringReset(settings, island);
+    if (resetOnly.length > 0) {
+      errors.push(`Island ${index + 1}: ${resetOnly.map(def => def.label).join(', ')} must be the same on every island.`);
+    }
+  });
+  return errors;
+};
+
+// =============================================
+// ISLAND MODEL CLASS
+// =============================================
+
+export class IslandModel {
+  /**
+   * Constructor - Creates all islands
+   *
+   * @param {number|string} seed - Seed for all islands (random if omitted)
+   * @param {Object} settings - Settings of every island, including the
+   *   island layout (islandCount, migrationInterval, migrationSize, migrationTopology)
+   * @param {Array<Object>} islandSettings - Optional per-island overrides,
+   *   e.g. [{mutationRate: 0.05}, {mutationRate: 0.3}]
+   * @throws {Error} - If a setting or override is invalid (see validateIslandSettings)
+   */
+  constructor(seed = SeededRandom.createSeed(), settings = {}, islandSettings = []) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.settings = createSettings(settings);
+
+    const errors = validateIslandSettings(this.settings, islandSettings);
+    if (errors.length > 0) {
+      throw new Error(errors.join(' '));
+    }
+
+    // One innovation tracker for all islands: a NEAT migrant's innovation
+    // numbers and node IDs must mean the same genes on its new island
+    this.innovations = new InnovationTracker(inputCount(this.settings), OUTPUT_NODES);
+
+    this.islands = Array.from({ length: this.settings.islandCount }, (_, index) => {
+      const engine = new GameEngine(islandSeed(this.seed, index), { ...this.settings, ...islandSettings[index] }, this.innovations);
+      engine.autoEvolve = false; // Generations end together, in nextGeneration()
+      return engine;
+    });
+
+    this.maxFrames = Infinity; // A generation also ends when an island reaches this frame count
+    this.lastMigration = null; // {generation, migrants} of the most recent migration
+  }
+
+  /**
+   * Generation - Current generation number (the same on every island)
+   *
+   * @returns {number} - Generation number
+   */
+  get generation() {
+    return this.islands[0].generation;
+  }
+
+  /**
+   * Is Finished - Whether an island is done with the current generation
+   *
+   * @param {GameEngine} engine - One of the islands
+   * @returns {boolean} - True if the engine found all its birds dead
+   *   (see GameEngine.update()) or it hit maxFrames
+   */
+  isFinished(engine) {
+    return engine.generationOver || engine.frameCount >= this.maxFrames;
+  }
+
+  /**
+   * Update - Advances every island by one frame
+   *
+   * Islands that finished the generation wait. When the last island
+   * finishes, all islands move on to the next generation.
+   */
+  update() {
+    let allFinished = true;
+    this.islands.forEach(engine => {
+      if (this.isFinished(engine)) return;
+      engine.update();
+      if (!this.isFinished(engine)) allFinished = false;
+    });
+    if (allFinished) this.nextGeneration();
+  }
+
+  /**
+   * Next Generation - Migrates (when due) and evolves every island
+   *
+   * Can also be called early, e.g. by the CLI trainer, to end a
+   * generation that runs too long.
+   */
+  nextGeneration() {
+    const { islandCount, migrationInterval, migrationSize } = this.settings;
+    if (islandCount > 1 && migrationSize > 0 && this.generation % migrationInterval === 0) {
+      this.migrate();
+    }
+    this.islands.forEach(engine => engine.nextGeneration());
+  }
+
+  /**
+   * Migrate - Sends the top genomes of every island to its neighbours
+   *
+   * Called at the end of a generation, while every island still holds
+   * the fitness of its birds. Migrants are queued like Hall of Fame
+   * injections: they join the destination's next generation unchanged,
+   * right after its elites, replacing offspring.
+   */
+  migrate() {
+    const { migrationSize, migrationTopology } = this.settings;
+    const destinations = MIGRATION_TOPOLOGIES[migrationTopology];
+
+    // Pick all emigrants first, so genomes travel at most one hop per migration
+    const emigrants = this.islands.map(engine =>
+      [...engine.birds]
+        .sort((a, b) => b.entity.fitness - a.entity.fitness)
+        .slice(0, migrationSize)
+        .map(b => b.net.toJSON())
+    );
+
+    let migrants = 0;
+    emigrants.forEach((genomes, from) => {
+      destinations(from, this.islands.length).forEach(to => {
+        genomes.forEach(genome => this.islands[to].injectGenome(genome));
+        migrants += genomes.length;
+      });
+    });
+    this.lastMigration = { generation: this.generation, migrants };
+  }
+
+  /**
+   * Set Challenge Mode - Enables/disables dynamic pipes on every island
+   *
+   * @param {boolean} enabled - Whether to enable challenge mode
+   * @param {number} speed - Vertical movement speed (1-10)
+   */
+  setChallengeMode(enabled, speed) {
+    this.islands.forEach(engine => engine.setChallengeMode(enabled, speed));
+  }
+
+  /**
+   * Set Course - Lets every island fly an authored course
+   *
+   * @param {Object|null} course - Parsed course (see Course.js), or null for random pipes
+   */
+  setCourse(course) {
+    this.islands.forEach(engine => engine.setCourse(course));
+  }
+
+  /**
+   * Load Population - Restores a genome file on every island
+   *
+   * @param {Object} data - Parsed population file (see PopulationFile.js)
+   *
+   * Every island starts from the same genomes (and generation number);
+   * they drift apart as the islands evolve.
+   */
+  loadPopulation(data) {
+    this.islands.forEach(engine => engine.loadPopulation(data));
+    this.lastMigration = null;
+  }
+
+  /**
+   * Best Champion - Fittest archived champion over all islands
+   *
+   * @returns {Object|undefined} - {island, entry} with the island index
+   *   and its Hall of Fame entry
+   */
+  bestChampion() {
+    return this.islands.reduce((best, engine, island) => {
+      const entry = engine.hallOfFame.best();
+      return entry && (!best || entry.fitness > best.entry.fitness) ? { island, entry } : best;
+    }, undefined);
+  }
+
+  /**
+   * Summary - Current statistics of every island
+   *
+   * @returns {Array<Object>} - Per island: generation, alive, population,
+   *   score, highScore, bestFitness of the last finished generation (null
+   *   before the first one) and whether it waits for the other islands
+   */
+  summary() {
+    return this.islands.map(engine => ({
+      generation: engine.generation,
+      alive: engine.birds.filter(b => b.entity.alive).length,
+      population: engine.birds.length,
+      score: engine.score,
+      highScore: engine.highScore,
+      bestFitness: engine.lastGeneration ? engine.lastGeneration.bestFitness : null,
+      waiting: this.isFinished(engine)
+    }));
+  }
+}
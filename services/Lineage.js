@@ -0,0 +1,142 @@
+/**
+ * NeuroEvolution Bird - Lineage Tracking
+ *
+ * Every bird carries its ancestry: the IDs of its parents (none for
+ * birds of the first generation, imported, injected or migrated genomes;
+ * one for a mutated copy; two for a crossover child), the generation it
+ * was born in and how many genes mutation changed at its birth. Elites
+ * survive with their ID, so one individual can live for many generations.
+ *
+ * The Lineage keeps a record of every individual that still matters:
+ * the living population, the population that just finished and all of
+ * their ancestors. Everyone else is forgotten when a generation ends,
+ * so the records grow with the length of the surviving family lines,
+ * not with the number of birds ever born.
+ *
+ * Record: {id, parents, born, mutations, net, fitness, generations, elite}
+ * - fitness: best fitness the individual reached in any generation
+ * - generations: number of generations it was evaluated in
+ * - elite: whether it ever survived a generation as an elite
+ */
+
+/**
+ * FAMILY_TREE_LIMIT (60 ancestors)
+ * Maximum number of individuals in a family tree; with crossover the
+ * number of ancestors doubles every generation, so only the closest
+ * ones are shown.
+ */
+export const FAMILY_TREE_LIMIT = 60;
+
+// =============================================
+// LINEAGE CLASS
+// =============================================
+
+export class Lineage {
+  /**
+   * Constructor - Creates an empty lineage
+   */
+  constructor() {
+    this.records = new Map(); // Bird ID -> record
+  }
+
+  /**
+   * Register - Records the birds of a new population
+   *
+   * @param {Array<Object>} birds - {entity, net} pairs; birds that are
+   *   already known (elites) keep their record and are marked as elites
+   */
+  register(birds) {
+    birds.forEach(({ entity, net }) => {
+      const record = this.records.get(entity.id);
+      if (record) {
+        record.elite = true;
+        return;
+      }
+      this.records.set(entity.id, {
+        id: entity.id,
+        parents: entity.parents,
+        born: entity.born,
+        mutations: entity.mutations,
+        net,
+        fitness: null,
+        generations: 0,
+        elite: false
+      });
+    });
+  }
+
+  /**
+   * Evaluate - Notes the fitness a finished generation reached
+   *
+   * @param {Array<Object>} birds - {entity, net} pairs of the finished generation
+   */
+  evaluate(birds) {
+    birds.forEach(({ entity }) => {
+      const record = this.records.get(entity.id);
+      if (!record) return;
+      record.fitness = record.fitness === null ? entity.fitness : Math.max(record.fitness, entity.fitness);
+      record.generations++;
+    });
+  }
+
+  /**
+   * Prune - Forgets everyone who is no ancestor of the given birds
+   *
+   * @param {Array<Array<Object>>} populations - Populations whose
+   *   members and ancestors are kept
+   */
+  prune(populations) {
+    const keep = new Set();
+    const stack = populations.flat().map(b => b.entity.id);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (keep.has(id)) continue;
+      const record = this.records.get(id);
+      if (!record) continue;
+      keep.add(id);
+      stack.push(...record.parents);
+    }
+    [...this.records.keys()].forEach(id => {
+      if (!keep.has(id)) this.records.delete(id);
+    });
+  }
+
+  /**
+   * Get - Looks up an individual
+   *
+   * @param {string} id - Bird ID
+   * @returns {Object|undefined} - Record, if the individual is still tracked
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Family Tree - Ancestry of one individual
+   *
+   * @param {string} id - Bird ID of the descendant
+   * @param {number} limit - Maximum number of individuals
+   * @returns {Array<Object>} - {id, parents, born, mutations, fitness,
+   *   generations, elite} of the descendant and its closest ancestors
+   *   (breadth first, without networks); parents outside the tree are
+   *   still listed by ID
+   */
+  familyTree(id, limit = FAMILY_TREE_LIMIT) {
+    const nodes = [];
+    const seen = new Set([id]);
+    const queue = [id];
+    while (queue.length > 0 && nodes.length < limit) {
+      const record = this.records.get(queue.shift());
+      if (!record) continue;
+      const { net, ...node } = record;
+      nodes.push(node);
+      record.parents.forEach(parent => {
+        if (!seen.has(parent)) {
+          seen.add(parent);
+          queue.push(parent);
+        }
+      });
+    }
+    return nodes;
+  }
+}
@@ -0,0 +1,516 @@
+/**
+ * NeuroEvolution Bird - NEAT Genome (NeuroEvolution of Augmenting Topologies)
+ *
+ * An alternative to the fixed 4-6-1 NeuralNetwork whose topology evolves
+ * together with its weights (Stanley & Miikkulainen, 2002).
+ *
+ * GENOME ENCODING
+ * - Node genes: input, hidden and output neurons (each with a bias)
+ * - Connection genes: from → to, weight, enabled flag and an
+ *   innovation number that identifies the structural change that
+ *   first created the connection
+ *
+ * A new genome starts minimal: every input connected directly to every
+ * output, no hidden neurons. Structure is added by mutation:
+ * - Add connection: links two previously unconnected neurons
+ * - Add node: splits an existing connection in two
+ *
+ * NeatGenome implements the same interface as NeuralNetwork
+ * (predict, mutate, crossover, copy, toJSON, getStructure), so the
+ * GameEngine can use either genome type for its birds.
+ */
+
+import { MUTATION_RATE, MUTATION_AMOUNT } from '../constants.js';
+import { SeededRandom } from './Random.js';
+
+// =============================================
+// ACTIVATION FUNCTIONS
+// =============================================
+
+/**
+ * Hidden neurons use tanh (like the fixed network's hidden layer),
+ * output neurons use sigmoid so the flap decision stays in [0, 1].
+ */
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// =============================================
+// INNOVATION TRACKER
+// =============================================
+
+/**
+ * InnovationTracker Class
+ *
+ * Hands out innovation numbers and hidden node IDs for the whole
+ * population. The same structural mutation (e.g. connecting node 2 to
+ * node 7) always receives the same innovation number, which is what
+ * allows crossover to line up the genes of two different genomes.
+ */
+export class InnovationTracker {
+  /**
+   * Constructor - Creates a tracker for a given input/output layout
+   *
+   * @param {number} inputCount - Number of input neurons
+   * @param {number} outputCount - Number of output neurons
+   */
+  constructor(inputCount, outputCount) {
+    this.nextInnovation = 0;
+    this.nextNodeId = inputCount + outputCount; // IDs below are inputs and outputs
+    this.connectionInnovations = new Map(); // "from->to" -> innovation number
+    this.splitNodes = new Map(); // innovation of split connection -> new node ID
+  }
+
+  /**
+   * Connection Innovation - Innovation number for a connection
+   *
+   * @param {number} from - Source node ID
+   * @param {number} to - Target node ID
+   * @returns {number} - Existing or newly assigned innovation number
+   */
+  connectionInnovation(from, to) {
+    const key = `${from}->${to}`;
+    if (!this.connectionInnovations.has(key)) {
+      this.connectionInnovations.set(key, this.nextInnovation++);
+    }
+    return this.connectionInnovations.get(key);
+  }
+
+  /**
+   * Split Node - Node ID for splitting a connection
+   *
+   * @param {number} innovation - Innovation number of the split connection
+   * @param {Set<number>} existingIds - Node IDs already in the genome
+   * @returns {number} - Node ID shared by all genomes making the same split
+   */
+  splitNode(innovation, existingIds) {
+    let nodeId = this.splitNodes.get(innovation);
+    if (nodeId === undefined) {
+      nodeId = this.nextNodeId++;
+      this.splitNodes.set(innovation, nodeId);
+    }
+    // A genome that already made this split (and re-enabled the
+    // connection through crossover) needs a genuinely new node
+    return existingIds.has(nodeId) ? this.nextNodeId++ : nodeId;
+  }
+
+  /**
+   * Observe - Makes sure future IDs don't collide with a loaded genome
+   *
+   * @param {NeatGenome} genome - Genome restored from a file
+   */
+  observe(genome) {
+    genome.nodes.forEach(node => { this.nextNodeId = Math.max(this.nextNodeId, node.id + 1); });
+    genome.connections.forEach(conn => {
+      this.nextInnovation = Math.max(this.nextInnovation, conn.innovation + 1);
+      const key = `${conn.from}->${conn.to}`;
+      if (!this.connectionInnovations.has(key)) this.connectionInnovations.set(key, conn.innovation);
+    });
+  }
+}
+
+// =============================================
+// NEAT GENOME CLASS
+// =============================================
+
+export class NeatGenome {
+  /**
+   * Constructor - Creates a minimal, fully connected genome
+   *
+   * @param {number} inputCount - Number of input neurons
+   * @param {number} outputCount - Number of output neurons
+   * @param {SeededRandom} rng - Random number generator (shared with the GameEngine)
+   * @param {InnovationTracker} tracker - Population-wide innovation tracker
+   *
+   * Weights and biases start random in [-1, 1], like the fixed network.
+   */
+  constructor(inputCount, outputCount, rng = new SeededRandom(), tracker = new InnovationTracker(inputCount, outputCount)) {
+    this.type = 'neat';
+    this.inputCount = inputCount;
+    this.outputCount = outputCount;
+    this.rng = rng;
+    this.tracker = tracker;
+
+    this.nodes = [];
+    for (let i = 0; i < inputCount; i++) {
+      this.nodes.push({ id: i, type: 'input', bias: 0 });
+    }
+    for (let i = 0; i < outputCount; i++) {
+      this.nodes.push({ id: inputCount + i, type: 'output', bias: this.rng.next() * 2 - 1 });
+    }
+
+    this.connections = [];
+    for (let i = 0; i < inputCount; i++) {
+      for (let o = 0; o < outputCount; o++) {
+        this.addConnectionGene(i, inputCount + o, this.rng.next() * 2 - 1);
+      }
+    }
+
+    // For visualization tracking - activation of every node by ID
+    this.lastValues = new Map();
+    this.order = null; // Cached evaluation order, rebuilt after structural changes
+  }
+
+  /**
+   * Add Connection Gene - Appends a connection with its innovation number
+   *
+   * @param {number} from - Source node ID
+   * @param {number} to - Target node ID
+   * @param {number} weight - Connection weight
+   */
+  addConnectionGene(from, to, weight) {
+    this.connections.push({
+      innovation: this.tracker.connectionInnovation(from, to),
+      from,
+      to,
+      weight,
+      enabled: true
+    });
+    this.order = null;
+  }
+
+  /**
+   * Reset State - NEAT genomes are feedforward and keep no memory
+   *
+   * Present so the GameEngine can treat both genome types alike.
+   */
+  resetState() {}
+
+  // =============================================
+  // FORWARD PROPAGATION
+  // =============================================
+
+  /**
+   * Evaluation Order - Topological order of the nodes
+   *
+   * @returns {Array<Object>} - Nodes sorted so every source precedes its targets
+   *
+   * Kahn's algorithm over the enabled connections. Mutation never creates
+   * cycles, but crossover can combine two parents' connections into one;
+   * nodes caught in such a cycle are appended at the end and read 0 from
+   * sources that haven't been evaluated yet.
+   *
+   * Also caches the enabled incoming connections of every node
+   * (this.incoming), so predict() only has to walk the cached plan.
+   */
+  evaluationOrder() {
+    if (this.order) return this.order;
+
+    const incoming = new Map(this.nodes.map(n => [n.id, 0]));
+    const outgoing = new Map(this.nodes.map(n => [n.id, []]));
+    this.incoming = new Map(this.nodes.map(n => [n.id, []]));
+    this.connections.forEach(conn => {
+      if (!conn.enabled) return;
+      incoming.set(conn.to, incoming.get(conn.to) + 1);
+      outgoing.get(conn.from).push(conn.to);
+      this.incoming.get(conn.to).push(conn);
+    });
+
+    const queue = this.nodes.filter(n => incoming.get(n.id) === 0).map(n => n.id);
+    const order = [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      outgoing.get(id).forEach(to => {
+        incoming.set(to, incoming.get(to) - 1);
+        if (incoming.get(to) === 0) queue.push(to);
+      });
+    }
+
+    const placed = new Set(order);
+    this.nodes.forEach(n => { if (!placed.has(n.id)) order.push(n.id); });
+
+    const byId = new Map(this.nodes.map(n => [n.id, n]));
+    this.order = order.map(id => byId.get(id));
+    return this.order;
+  }
+
+  /**
+   * Predict - Propagates inputs through the evolved graph
+   *
+   * @param {Array} inputArray - Normalized input values
+   * @returns {Array} - Output values (0-1)
+   */
+  predict(inputArray) {
+    const values = new Map();
+
+    this.evaluationOrder().forEach(node => {
+      if (node.type === 'input') {
+        values.set(node.id, inputArray[node.id]);
+        return;
+      }
+      // Weighted sum of all enabled incoming connections plus bias
+      let sum = node.bias;
+      this.incoming.get(node.id).forEach(conn => {
+        sum += (values.get(conn.from) || 0) * conn.weight;
+      });
+      values.set(node.id, node.type === 'output' ? sigmoid(sum) : Math.tanh(sum));
+    });
+
+    this.lastValues = values;
+    const output = [];
+    for (let o = 0; o < this.outputCount; o++) {
+      output.push(values.get(this.inputCount + o));
+    }
+    return output;
+  }
+
+  // =============================================
+  // GENETIC ALGORITHM METHODS
+  // =============================================
+
+  /**
+   * Mutate - Weight and structural mutation
+   *
+   * @param {number} mutationRate - Probability of perturbing each weight/bias
+   * @param {number} mutationAmount - Scale of the Gaussian perturbation
+   * @param {Object} structural - {addNodeRate, addConnectionRate} probabilities
+   * @returns {number} - Number of changes (perturbed weights and biases
+   *   plus added connections and nodes)
+   */
+  mutate(mutationRate = MUTATION_RATE, mutationAmount = MUTATION_AMOUNT, structural = {}) {
+    let mutations = 0;
+    const mutateValue = (val) => {
+      if (this.rng.next() >= mutationRate) return val;
+      mutations++;
+      return val + this.rng.gaussian() * mutationAmount;
+    };
+
+    this.connections.forEach(conn => { conn.weight = mutateValue(conn.weight); });
+    this.nodes.forEach(node => {
+      if (node.type !== 'input') node.bias = mutateValue(node.bias);
+    });
+
+    if (this.rng.next() < (structural.addConnectionRate || 0) && this.mutateAddConnection()) mutations++;
+    if (this.rng.next() < (structural.addNodeRate || 0) && this.mutateAddNode()) mutations++;
+    return mutations;
+  }
+
+  /**
+   * Mutate Add Connection - Links two unconnected neurons
+   *
+   * Targets are never inputs, sources never outputs, and connections
+   * that would create a cycle are rejected, keeping the network
+   * feedforward. Gives up after a few attempts on dense genomes.
+   *
+   * @returns {boolean} - True if a connection was added
+   */
+  mutateAddConnection() {
+    const sources = this.nodes.filter(n => n.type !== 'output');
+    const targets = this.nodes.filter(n => n.type !== 'input');
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const from = sources[Math.floor(this.rng.next() * sources.length)].id;
+      const to = targets[Math.floor(this.rng.next() * targets.length)].id;
+      if (from === to) continue;
+      if (this.connections.some(c => c.from === from && c.to === to)) continue;
+      if (this.reaches(to, from)) continue; // Would close a cycle
+
+      this.addConnectionGene(from, to, this.rng.next() * 2 - 1);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Mutate Add Node - Splits an enabled connection with a new neuron
+   *
+   * The old connection is disabled; the new path in → node gets weight 1
+   * and node → out inherits the old weight, so behaviour barely changes
+   * and the new structure gets time to be optimized.
+   *
+   * @returns {boolean} - True if a node was added
+   */
+  mutateAddNode() {
+    const enabled = this.connections.filter(c => c.enabled);
+    if (enabled.length === 0) return false;
+
+    const conn = enabled[Math.floor(this.rng.next() * enabled.length)];
+    conn.enabled = false;
+
+    const nodeId = this.tracker.splitNode(conn.innovation, new Set(this.nodes.map(n => n.id)));
+    this.nodes.push({ id: nodeId, type: 'hidden', bias: 0 });
+    this.addConnectionGene(conn.from, nodeId, 1);
+    this.addConnectionGene(nodeId, conn.to, conn.weight);
+    return true;
+  }
+
+  /**
+   * Reaches - Checks whether a path exists between two nodes
+   *
+   * @param {number} from - Start node ID
+   * @param {number} to - Destination node ID
+   * @returns {boolean} - True if `to` is reachable from `from`
+   *
+   * Disabled connections count too, since crossover may re-enable them.
+   */
+  reaches(from, to) {
+    const stack = [from];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === to) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      this.connections.forEach(c => { if (c.from === id) stack.push(c.to); });
+    }
+    return false;
+  }
+
+  /**
+   * Crossover - Breeds a child by aligning genes on innovation numbers
+   *
+   * @param {NeatGenome} other - Less (or equally) fit parent
+   * @returns {NeatGenome} - New child genome
+   *
+   * `this` must be the fitter parent:
+   * - Matching genes (same innovation) are inherited from either parent
+   * - Disjoint and excess genes are inherited from the fitter parent
+   * - A gene disabled in either parent stays disabled with 75% chance
+   */
+  crossover(other) {
+    const otherGenes = new Map(other.connections.map(c => [c.innovation, c]));
+    const child = this.copy();
+
+    child.connections = this.connections.map(gene => {
+      const match = otherGenes.get(gene.innovation);
+      const source = match && this.rng.next() < 0.5 ? match : gene;
+      const inherited = { ...source };
+      if (match) {
+        inherited.enabled = (gene.enabled && match.enabled) || this.rng.next() >= 0.75;
+      }
+      return inherited;
+    });
+
+    // Node biases of shared neurons are inherited from either parent
+    const otherNodes = new Map(other.nodes.map(n => [n.id, n]));
+    child.nodes = this.nodes.map(node => {
+      const match = otherNodes.get(node.id);
+      return match && node.type !== 'input' && this.rng.next() < 0.5 ? { ...match } : { ...node };
+    });
+    child.order = null;
+    return child;
+  }
+
+  /**
+   * Compatibility - NEAT compatibility distance to another genome
+   *
+   * @param {NeatGenome} other - Genome to compare with
+   * @param {Object} coefficients - {excess, disjoint, weight} (c1, c2, c3)
+   * @returns {number} - δ = c1·E + c2·D + c3·W̄
+   *
+   * E = excess genes, D = disjoint genes, W̄ = mean weight difference of
+   * matching genes. The paper divides E and D by the genome size N, but
+   * recommends N = 1 for small genomes; genomes in this game stay small,
+   * and switching normalization on at some size would suddenly merge
+   * all species, so E and D are never normalized.
+   */
+  compatibility(other, coefficients) {
+    const a = new Map(this.connections.map(c => [c.innovation, c]));
+    const b = new Map(other.connections.map(c => [c.innovation, c]));
+    const maxA = Math.max(-1, ...a.keys());
+    const maxB = Math.max(-1, ...b.keys());
+    const cutoff = Math.min(maxA, maxB);
+
+    let excess = 0, disjoint = 0, matching = 0, weightDiff = 0;
+    new Set([...a.keys(), ...b.keys()]).forEach(innovation => {
+      const geneA = a.get(innovation);
+      const geneB = b.get(innovation);
+      if (geneA && geneB) {
+        matching++;
+        weightDiff += Math.abs(geneA.weight - geneB.weight);
+      } else if (innovation > cutoff) {
+        excess++;
+      } else {
+        disjoint++;
+      }
+    });
+
+    return coefficients.excess * excess +
+      coefficients.disjoint * disjoint +
+      coefficients.weight * (matching > 0 ? weightDiff / matching : 0);
+  }
+
+  /**
+   * Copy - Deep copy sharing the random generator and innovation tracker
+   *
+   * @returns {NeatGenome} - Identical genome
+   */
+  copy() {
+    return NeatGenome.fromJSON(this.toJSON(), this.rng, this.tracker);
+  }
+
+  // =============================================
+  // SERIALIZATION METHODS
+  // =============================================
+
+  /**
+   * To JSON - Exports node and connection genes
+   *
+   * @returns {Object} - Serializable genome (type 'neat')
+   */
+  toJSON() {
+    return {
+      type: 'neat',
+      inputCount: this.inputCount,
+      outputCount: this.outputCount,
+      nodes: this.nodes.map(n => ({ ...n })),
+      connections: this.connections.map(c => ({ ...c }))
+    };
+  }
+
+  /**
+   * From JSON - Rebuilds a genome from exported genes
+   *
+   * @param {Object} genome - Genome created by toJSON()
+   * @param {SeededRandom} rng - Random number generator for future mutations
+   * @param {InnovationTracker} tracker - Population-wide innovation tracker
+   * @returns {NeatGenome} - Restored genome
+   */
+  static fromJSON(genome, rng, tracker) {
+    const net = Object.create(NeatGenome.prototype);
+    net.type = 'neat';
+    net.inputCount = genome.inputCount;
+    net.outputCount = genome.outputCount;
+    net.rng = rng;
+    net.tracker = tracker;
+    net.nodes = genome.nodes.map(n => ({ ...n }));
+    net.connections = genome.connections.map(c => ({ ...c }));
+    net.lastValues = new Map();
+    net.order = null;
+    return net;
+  }
+
+  /**
+   * Get Structure - Exports the graph for visualization
+   *
+   * @returns {Object} - {type: 'neat', nodes, connections}
+   *
+   * Each node carries a depth (longest path from the inputs) so the
+   * visualizer can lay hidden neurons out in columns; outputs are
+   * always placed in the last column.
+   */
+  getStructure() {
+    const depth = new Map();
+    const incoming = new Map();
+    this.connections.forEach(c => {
+      if (!c.enabled) return;
+      if (!incoming.has(c.to)) incoming.set(c.to, []);
+      incoming.get(c.to).push(c.from);
+    });
+    this.evaluationOrder().forEach(node => {
+      const sources = incoming.get(node.id) || [];
+      depth.set(node.id, node.type === 'input' ? 0 : Math.max(1, ...sources.map(id => (depth.get(id) || 0) + 1)));
+    });
+    const maxDepth = Math.max(1, ...this.nodes.filter(n => n.type !== 'output').map(n => depth.get(n.id) + 1));
+
+    return {
+      type: 'neat',
+      nodes: this.nodes.map(n => ({
+        id: n.id,
+        type: n.type,
+        depth: n.type === 'output' ? maxDepth : depth.get(n.id),
+        value: this.lastValues.get(n.id) || 0
+      })),
+      connections: this.connections.map(c => ({ from: c.from, to: c.to, weight: c.weight, enabled: c.enabled }))
+    };
+  }
+}
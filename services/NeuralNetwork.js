@@ -5,18 +5,23 @@
  * as the "brain" for each bird. The neural network processes game state
  * information and makes decisions about when to flap.
  *
- * ARCHITECTURE: Feedforward Neural Network (4-6-1)
+ * ARCHITECTURE: Feedforward Neural Network (default 4-6-1)
  * - Input Layer: 4 neurons (game state information)
- * - Hidden Layer: 6 neurons (feature extraction)
+ * - Hidden Layers: any number, 6 neurons in one layer by default
+ *   (feature extraction)
  * - Output Layer: 1 neuron (flap decision)
  *
  * This is a classic multilayer perceptron (MLP) with:
- * - Tanh activation in hidden layer
- * - Sigmoid activation in output layer
- * - Full connectivity between layers
+ * - A layer list such as [4, 8, 8, 1] describing the topology
+ * - One activation function per layer (default: tanh for hidden
+ *   layers, sigmoid for the output layer)
+ * - Full connectivity between consecutive layers
+ * - Optional Elman-style recurrence: every hidden layer also receives
+ *   its own activations from the previous frame
  */
 
-import { MUTATION_RATE, MUTATION_AMOUNT } from '../constants.js';
+import { MUTATION_RATE, MUTATION_AMOUNT, CROSSOVER_STRATEGY } from '../constants.js';
+import { SeededRandom } from './Random.js';
 
 // =============================================
 // ACTIVATION FUNCTIONS
@@ -38,6 +43,29 @@ import { MUTATION_RATE, MUTATION_AMOUNT } from '../constants.js';
  */
 const sigmoid = (x) => 1 / (1 + Math.exp(-x));
 
+/**
+ * ACTIVATIONS
+ * All activation functions a layer can use, keyed by name:
+ * - tanh: range [-1, 1], centered at 0 (default for hidden layers)
+ * - sigmoid: range [0, 1] (default for the output layer)
+ * - relu: max(0, x), cheap and unbounded above
+ * - leaky-relu: like ReLU, but keeps a small slope (0.01) for x < 0
+ * - linear: identity, no squashing at all
+ */
+export const ACTIVATIONS = {
+  tanh: Math.tanh,
+  sigmoid,
+  relu: (x) => Math.max(0, x),
+  'leaky-relu': (x) => (x > 0 ? x : 0.01 * x),
+  linear: (x) => x
+};
+
+/**
+ * ACTIVATION_NAMES
+ * Names of the supported activation functions (see ACTIVATIONS).
+ */
+export const ACTIVATION_NAMES = Object.keys(ACTIVATIONS);
+
 /**
  * GAUSSIAN (NORMAL) DISTRIBUTION FOR MUTATION
  * Uses Box-Muller transform to generate normally distributed random numbers.
@@ -48,14 +76,19 @@ const sigmoid = (x) => 1 / (1 + Math.exp(-x));
  * - Mimics natural evolution where most mutations are neutral/slight
  * - Mean = 0, Standard deviation = 1
  *
- * The mutation amount is scaled by MUTATION_AMOUNT constant
+ * The mutation amount is scaled by MUTATION_AMOUNT constant.
+ * Samples are drawn from the network's seeded generator so that
+ * mutations are reproducible.
+ *
+ * @param {SeededRandom} rng - Random number generator
  */
-const randomGaussian = () => {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-};
+const randomGaussian = (rng) => rng.gaussian();
+
+/**
+ * CROSSOVER STRATEGIES
+ * Names of the supported recombination operators (see crossover()).
+ */
+export const CROSSOVER_STRATEGIES = ['uniform', 'single-point', 'arithmetic'];
 
 // =============================================
 // NEURAL NETWORK CLASS
@@ -67,8 +100,9 @@ const randomGaussian = () => {
  * A feedforward neural network that implements:
  * 1. Forward propagation (predict method)
  * 2. Genetic mutation (mutate method)
- * 3. Network copying (copy method)
- * 4. State export (getStructure method)
+ * 3. Genetic crossover (crossover method)
+ * 4. Network copying (copy method)
+ * 5. State export (getStructure method)
  *
  * This is the "genome" that evolves through genetic algorithms.
  */
@@ -76,95 +110,114 @@ export class NeuralNetwork {
   /**
    * Constructor - Initializes neural network with random weights
    *
-   * @param {number} inputNodes - Number of input neurons (4)
-   * @param {number} hiddenNodes - Number of hidden neurons (6)
-   * @param {number} outputNodes - Number of output neurons (1)
+   * @param {Array<number>} layers - Neuron count per layer, inputs first (e.g. [4, 6, 1])
+   * @param {Array<string>} activations - Activation name per layer after the input layer
+   * @param {SeededRandom} rng - Random number generator (shared with the GameEngine)
+   * @param {boolean} recurrent - Add Elman context connections to every hidden layer
    *
    * Weight initialization: Random values in range [-1, 1]
    * This provides initial diversity in the population.
    */
-  constructor(inputNodes, hiddenNodes, outputNodes) {
-    this.inputNodes = inputNodes;
-    this.hiddenNodes = hiddenNodes;
-    this.outputNodes = outputNodes;
+  constructor(layers, activations = NeuralNetwork.defaultActivations(layers), rng = new SeededRandom(), recurrent = false) {
+    if (activations.length !== layers.length - 1) {
+      throw new Error(`Expected ${layers.length - 1} activations for layers ${layers.join('-')}`);
+    }
+    activations.forEach(name => {
+      if (!ACTIVATIONS[name]) throw new Error(`Unknown activation function "${name}"`);
+    });
 
-    // Initialize weights with random values [-1, 1]
-    // weightsIH: Input -> Hidden weights [inputNodes][hiddenNodes]
-    this.weightsIH = Array(this.inputNodes).fill(0).map(() => Array(this.hiddenNodes).fill(0).map(() => Math.random() * 2 - 1));
+    this.layers = [...layers];
+    this.activations = [...activations];
+    this.rng = rng;
 
-    // weightsHO: Hidden -> Output weights [hiddenNodes][outputNodes]
-    this.weightsHO = Array(this.hiddenNodes).fill(0).map(() => Array(this.outputNodes).fill(0).map(() => Math.random() * 2 - 1));
+    // Initialize weights with random values [-1, 1]
+    // weights[l]: Layer l -> layer l+1 weights [layers[l]][layers[l+1]]
+    this.weights = this.layers.slice(0, -1).map((size, l) =>
+      Array(size).fill(0).map(() => Array(this.layers[l + 1]).fill(0).map(() => this.rng.next() * 2 - 1))
+    );
 
     // Bias terms - allow the network to shift activation functions
-    // biasH: Hidden layer biases [hiddenNodes]
-    this.biasH = Array(this.hiddenNodes).fill(0).map(() => Math.random() * 2 - 1);
+    // biases[l]: Biases of layer l+1 [layers[l+1]]
+    this.biases = this.layers.slice(1).map(size => Array(size).fill(0).map(() => this.rng.next() * 2 - 1));
+
+    // Elman context weights - hidden layer h's previous activations feed back
+    // into the same layer: recurrentWeights[h] [layers[h+1]][layers[h+1]]
+    this.recurrent = recurrent;
+    this.recurrentWeights = recurrent
+      ? this.layers.slice(1, -1).map(size => Array(size).fill(0).map(() => Array(size).fill(0).map(() => this.rng.next() * 2 - 1)))
+      : [];
+    this.resetState();
+
+    // For visualization tracking - store last activations of every layer
+    this.lastLayerOutputs = [];
+  }
 
-    // biasO: Output layer biases [outputNodes]
-    this.biasO = Array(this.outputNodes).fill(0).map(() => Math.random() * 2 - 1);
+  /**
+   * Reset State - Clears the recurrent memory
+   *
+   * Called whenever a bird starts a new flight, so that no information
+   * leaks from one game into the next. A no-op for feedforward networks.
+   */
+  resetState() {
+    this.state = this.recurrentWeights.map(matrix => Array(matrix.length).fill(0));
+  }
 
-    // For visualization tracking - store last activations
-    this.lastInputs = [];
-    this.lastHidden = [];
-    this.lastOutputs = [];
+  /**
+   * Default Activations - Tanh for hidden layers, sigmoid for the output
+   *
+   * @param {Array<number>} layers - Neuron count per layer
+   * @returns {Array<string>} - Activation name per layer after the input layer
+   */
+  static defaultActivations(layers) {
+    return layers.slice(1).map((_, l) => (l === layers.length - 2 ? 'sigmoid' : 'tanh'));
   }
 
   /**
    * Forward Propagation - Predicts output given input
    *
-   * @param {Array} inputArray - Array of 4 normalized input values
-   * @returns {Array} - Array with single output value (0-1)
+   * @param {Array} inputArray - Array of normalized input values
+   * @returns {Array} - Output layer values (0-1 with a sigmoid output)
    *
-   * This is the core computation: input → hidden → output
+   * This is the core computation: input → hidden layers → output
    * Each layer applies: sum(inputs * weights) + bias → activation
    */
   predict(inputArray) {
-    // Store inputs for visualization
-    this.lastInputs = [...inputArray];
-
-    // ===== INPUT → HIDDEN LAYER =====
-    let hidden = Array(this.hiddenNodes).fill(0);
-
-    // For each hidden neuron
-    for (let i = 0; i < this.hiddenNodes; i++) {
-      let sum = 0;
-
-      // Sum weighted inputs
-      for (let j = 0; j < this.inputNodes; j++) {
-        sum += inputArray[j] * this.weightsIH[j][i];
+    let values = [...inputArray];
+    const layerOutputs = [values]; // Store inputs for visualization
+
+    // ===== PROPAGATE LAYER BY LAYER =====
+    this.weights.forEach((matrix, l) => {
+      const activate = ACTIVATIONS[this.activations[l]];
+      const next = Array(this.layers[l + 1]).fill(0);
+
+      // For each neuron of the next layer
+      for (let i = 0; i < next.length; i++) {
+        let sum = 0;
+
+        // Sum weighted activations of the previous layer
+        for (let j = 0; j < values.length; j++) {
+          sum += values[j] * matrix[j][i];
+        }
+
+        // Recurrent hidden layers also see their own previous activations
+        if (this.recurrent && l < this.recurrentWeights.length) {
+          const context = this.state[l];
+          for (let k = 0; k < context.length; k++) {
+            sum += context[k] * this.recurrentWeights[l][k][i];
+          }
+        }
+
+        // Add bias term and apply the layer's activation function
+        next[i] = activate(sum + this.biases[l][i]);
       }
 
-      // Add bias term
-      sum += this.biasH[i];
+      if (this.recurrent && l < this.state.length) this.state[l] = next; // Remember for the next frame
+      values = next;
+      layerOutputs.push(values);
+    });
 
-      // Apply TANH activation function
-      // Why Tanh? Range [-1, 1] centered at 0, better for hidden layers
-      // Tanh = (e^x - e^-x) / (e^x + e^-x)
-      hidden[i] = Math.tanh(sum);
-    }
-    this.lastHidden = [...hidden];
-
-    // ===== HIDDEN → OUTPUT LAYER =====
-    let output = Array(this.outputNodes).fill(0);
-
-    // For each output neuron (just 1 in this case)
-    for (let i = 0; i < this.outputNodes; i++) {
-      let sum = 0;
-
-      // Sum weighted hidden activations
-      for (let j = 0; j < this.hiddenNodes; j++) {
-        sum += hidden[j] * this.weightsHO[j][i];
-      }
-
-      // Add bias term
-      sum += this.biasO[i];
-
-      // Apply SIGMOID activation function
-      // Converts to probability-like output [0, 1]
-      output[i] = sigmoid(sum);
-    }
-    this.lastOutputs = [...output];
-
-    return output;
+    this.lastLayerOutputs = layerOutputs;
+    return [...values];
   }
 
   // =============================================
@@ -174,28 +227,84 @@ export class NeuralNetwork {
   /**
    * MUTATION - Introduces random changes to network weights
    *
+   * @param {number} mutationRate - Probability of mutating each value
+   * @param {number} mutationAmount - Scale of the Gaussian change
+   * @returns {number} - Number of values that were changed
+   *
    * This implements the genetic mutation operator:
-   * 1. Each weight has MUTATION_RATE chance to be mutated
+   * 1. Each weight has mutationRate chance to be mutated
    * 2. Mutation amount follows Gaussian distribution
-   * 3. Both weights and biases can mutate
+   * 3. Weights, biases and recurrent weights can all mutate
+   *
+   * Both parameters come from the engine settings and default to the
+   * MUTATION_RATE and MUTATION_AMOUNT constants.
    *
    * Mutation is the source of genetic diversity that allows
    * the population to explore new strategies.
    */
-  mutate() {
+  mutate(mutationRate = MUTATION_RATE, mutationAmount = MUTATION_AMOUNT) {
+    let mutations = 0;
     const mutateValue = (val) => {
-      if (Math.random() < MUTATION_RATE) {
-        // Apply Gaussian mutation scaled by MUTATION_AMOUNT
-        return val + randomGaussian() * MUTATION_AMOUNT;
+      if (this.rng.next() < mutationRate) {
+        // Apply Gaussian mutation scaled by mutationAmount
+        mutations++;
+        return val + randomGaussian(this.rng) * mutationAmount;
       }
       return val;
     };
 
     // Mutate all weights and biases
-    this.weightsIH = this.weightsIH.map(row => row.map(mutateValue));
-    this.weightsHO = this.weightsHO.map(row => row.map(mutateValue));
-    this.biasH = this.biasH.map(mutateValue);
-    this.biasO = this.biasO.map(mutateValue);
+    this.weights = this.weights.map(matrix => matrix.map(row => row.map(mutateValue)));
+    this.biases = this.biases.map(vector => vector.map(mutateValue));
+    this.recurrentWeights = this.recurrentWeights.map(matrix => matrix.map(row => row.map(mutateValue)));
+    return mutations;
+  }
+
+  /**
+   * CROSSOVER - Breeds a child network from this network and a partner
+   *
+   * @param {NeuralNetwork} other - Second parent (same topology and recurrence)
+   * @param {string} strategy - 'uniform', 'single-point' or 'arithmetic'
+   * @returns {NeuralNetwork} - New child network
+   *
+   * Each weight matrix and bias vector is recombined as one "layer
+   * chromosome":
+   * - Uniform: every gene is taken from either parent (50/50)
+   * - Single-point: genes up to a random cut come from this parent,
+   *   the remaining genes from the other parent
+   * - Arithmetic: every gene is α·this + (1-α)·other, with one random α
+   *   per child, so the child lies between its parents in weight space
+   */
+  crossover(other, strategy = CROSSOVER_STRATEGY) {
+    if (!CROSSOVER_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown crossover strategy "${strategy}"`);
+    }
+    const alpha = strategy === 'arithmetic' ? this.rng.next() : 0;
+
+    // Recombines two flat gene lists according to the strategy
+    const combine = (a, b) => {
+      if (strategy === 'uniform') {
+        return a.map((gene, i) => (this.rng.next() < 0.5 ? gene : b[i]));
+      }
+      if (strategy === 'single-point') {
+        const cut = Math.floor(this.rng.next() * (a.length + 1));
+        return a.map((gene, i) => (i < cut ? gene : b[i]));
+      }
+      return a.map((gene, i) => alpha * gene + (1 - alpha) * b[i]);
+    };
+
+    // Matrices are flattened so a single cut point spans the whole layer
+    const combineMatrix = (a, b) => {
+      const cols = a[0].length;
+      const genes = combine(a.flat(), b.flat());
+      return a.map((row, r) => genes.slice(r * cols, (r + 1) * cols));
+    };
+
+    const child = this.copy();
+    child.weights = this.weights.map((matrix, l) => combineMatrix(matrix, other.weights[l]));
+    child.biases = this.biases.map((vector, l) => combine(vector, other.biases[l]));
+    child.recurrentWeights = this.recurrentWeights.map((matrix, l) => combineMatrix(matrix, other.recurrentWeights[l]));
+    return child;
   }
 
   /**
@@ -207,15 +316,56 @@ export class NeuralNetwork {
    * @returns {NeuralNetwork} - New network with identical weights
    */
   copy() {
-    const newNet = new NeuralNetwork(this.inputNodes, this.hiddenNodes, this.outputNodes);
+    return NeuralNetwork.fromJSON(this.toJSON(), this.rng);
+  }
+
+  // =============================================
+  // SERIALIZATION METHODS
+  // =============================================
 
-    // Deep copy all weights and biases
-    newNet.weightsIH = this.weightsIH.map(row => [...row]);
-    newNet.weightsHO = this.weightsHO.map(row => [...row]);
-    newNet.biasH = [...this.biasH];
-    newNet.biasO = [...this.biasO];
+  /**
+   * TO JSON - Exports the genome (topology, weights and biases) as plain arrays
+   *
+   * @returns {Object} - Serializable genome
+   *
+   * Used when saving a population to a genome file. Recurrent networks
+   * also carry their recurrentWeights; the memory itself is not saved.
+   */
+  toJSON() {
+    const genome = {
+      layers: [...this.layers],
+      activations: [...this.activations],
+      weights: this.weights.map(matrix => matrix.map(row => [...row])),
+      biases: this.biases.map(vector => [...vector])
+    };
+    if (this.recurrent) {
+      genome.recurrentWeights = this.recurrentWeights.map(matrix => matrix.map(row => [...row]));
+    }
+    return genome;
+  }
 
-    return newNet;
+  /**
+   * FROM JSON - Rebuilds a network from an exported genome
+   *
+   * @param {Object} genome - Genome created by toJSON()
+   * @param {SeededRandom} rng - Random number generator for future mutations
+   * @returns {NeuralNetwork} - Network with the stored weights
+   *
+   * The genome shape is expected to be validated by the caller.
+   * Weights are copied without drawing random numbers.
+   */
+  static fromJSON(genome, rng) {
+    const net = Object.create(NeuralNetwork.prototype);
+    net.layers = [...genome.layers];
+    net.activations = [...genome.activations];
+    net.rng = rng;
+    net.weights = genome.weights.map(matrix => matrix.map(row => [...row]));
+    net.biases = genome.biases.map(vector => [...vector]);
+    net.recurrent = Array.isArray(genome.recurrentWeights);
+    net.recurrentWeights = net.recurrent ? genome.recurrentWeights.map(matrix => matrix.map(row => [...row])) : [];
+    net.resetState();
+    net.lastLayerOutputs = [];
+    return net;
   }
 
   /**
@@ -228,13 +378,13 @@ export class NeuralNetwork {
    */
   getStructure() {
     return {
-      inputWeights: this.weightsIH,
-      outputWeights: this.weightsHO,
-      inputBiases: this.biasH,
-      outputBiases: this.biasO,
-      lastInputs: this.lastInputs,
-      lastHiddenOutputs: this.lastHidden,
-      lastOutput: this.lastOutputs
+      type: 'mlp',
+      layers: this.layers,
+      activations: this.activations,
+      weights: this.weights,
+      biases: this.biases,
+      recurrentWeights: this.recurrentWeights,
+      lastLayerOutputs: this.lastLayerOutputs
     };
   }
 }
@@ -251,16 +401,25 @@ export class NeuralNetwork {
  * This is the fundamental "perceptron" model from 1958.
  *
  * 2. FEEDFORWARD PROPAGATION
- * Information flows: Input → Hidden → Output
+ * Information flows: Input → Hidden layer(s) → Output
  * No cycles, no feedback - purely reactive decision making.
  *
- * 3. ACTIVATION FUNCTIONS
+ * 2b. RECURRENCE (optional, Elman network)
+ * Each hidden layer also receives its own activations from the
+ * previous frame through a "context" weight matrix:
+ *   h(t) = activation(W·x(t) + R·h(t-1) + b)
+ * This short-term memory lets a bird infer how things move - e.g. the
+ * vertical motion of challenge-mode pipes - from single-frame inputs.
+ *
+ * 3. ACTIVATION FUNCTIONS (chosen per layer)
  * - Tanh: Hyperbolic tangent, range [-1, 1]
  *   * Better for hidden layers because centered at 0
  *   * Helps with gradient flow during learning
  * - Sigmoid: Logistic function, range [0, 1]
  *   * Perfect for binary output (flap/don't flap)
  *   * Output can be interpreted as probability
+ * - ReLU / Leaky ReLU: piecewise linear, cheap, unbounded above
+ * - Linear: no squashing; mostly useful for experiments
  *
  * 4. UNIVERSAL APPROXIMATION THEOREM
  * A feedforward network with a single hidden layer containing
@@ -271,7 +430,8 @@ export class NeuralNetwork {
  * 5. LEARNING THROUGH EVOLUTION
  * Instead of backpropagation, we use genetic algorithms:
  * - Selection: Better performing networks reproduce more
- * - Crossover: Not implemented here (simplified)
+ * - Crossover: Optional recombination of two parents (uniform,
+ *   single-point per layer or arithmetic blend)
  * - Mutation: Random changes to weights create diversity
  * - Elitism: Best network is preserved unchanged
  *
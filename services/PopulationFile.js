@@ -0,0 +1,337 @@
+/**
+ * NeuroEvolution Bird - Population File Format
+ *
+ * Saves and loads a complete population as a versioned JSON "genome file".
+ * A genome file contains:
+ * - Format name and version (so old files can be recognized)
+ * - Network topology (genome type; perception with its sensors or ray
+ *   count; layer sizes, activation functions, recurrence)
+ * - Engine settings the population was evolved with, including a
+ *   readable summary of the fitness function
+ * - Every bird's genome (layers, activations, weights and biases, or the
+ *   node and connection genes of a NEAT genome)
+ * - Evolution progress (generation, high score, seed)
+ * - Challenge mode settings
+ * - The Hall of Fame (champion of every generation)
+ *
+ * Imported files are validated before anything is loaded, so an
+ * incompatible or corrupted file never replaces the running population.
+ *
+ * Version history:
+ * - 1: single hidden layer (weightsIH, weightsHO, biasH, biasO)
+ * - 2: any number of layers with per-layer activations and optional
+ *   recurrence; version 1 files are still read and upgraded on import.
+ *   Files without a perception were evolved with the default sensors.
+ */
+
+import { MAX_PIPE_VERTICAL_SPEED, OUTPUT_NODES, SENSORS } from '../constants.js';
+import { networkLayout, inputCount } from './Settings.js';
+import { describeFitness } from './Fitness.js';
+
+// =============================================
+// FILE FORMAT CONSTANTS
+// =============================================
+
+/**
+ * POPULATION_FILE_FORMAT
+ * Identifies a JSON document as a NeuroEvolution Bird genome file.
+ */
+export const POPULATION_FILE_FORMAT = 'neuroevolution-bird-population';
+
+/**
+ * POPULATION_FILE_VERSION
+ * Incremented whenever the file layout changes incompatibly.
+ */
+export const POPULATION_FILE_VERSION = 2;
+
+// =============================================
+// EXPORT
+// =============================================
+
+/**
+ * Serialize Population - Builds a genome file from the engine state
+ *
+ * @param {GameEngine} engine - Engine whose population is saved
+ * @param {Array} nets - Networks to save (defaults to the whole population)
+ * @returns {Object} - JSON-serializable genome file
+ *
+ * Birds are written in population order, so after the first generation
+ * the elites come first. During a solo flight the evolving population
+ * (not the solo bird) is saved.
+ */
+export const serializePopulation = (engine, nets = (engine.solo ? engine.solo.birds : engine.birds).map(b => b.net)) => ({
+  format: POPULATION_FILE_FORMAT,
+  version: POPULATION_FILE_VERSION,
+  createdAt: new Date().toISOString(),
+  topology: {
+    genomeType: engine.settings.genomeType,
+    perception: engine.settings.perception,
+    ...(engine.settings.perception === 'raycast'
+      ? { rayCount: engine.settings.rayCount }
+      : { sensors: engine.settings.sensors }),
+    inputNodes: inputCount(engine.settings),
+    outputNodes: OUTPUT_NODES,
+    ...(engine.settings.genomeType === 'neat' ? {} : networkLayout(engine.settings))
+  },
+  settings: { ...engine.baseSettings }, // As configured, without a curriculum stage
+  fitness: describeFitness(engine.settings),
+  generation: engine.generation,
+  highScore: engine.highScore,
+  seed: engine.seed,
+  challenge: {
+    enabled: engine.baseChallenge.enabled,
+    pipeVerticalSpeed: engine.baseChallenge.speed
+  },
+  genomes: nets.map(net => net.toJSON()),
+  hallOfFame: engine.hallOfFame.toJSON()
+});
+
+// =============================================
+// IMPORT AND VALIDATION
+// =============================================
+
+/**
+ * Is Matrix - Validates a 2D array of finite numbers
+ *
+ * @param {*} value - Value to check
+ * @param {number} rows - Expected row count
+ * @param {number} cols - Expected column count
+ * @returns {boolean} - True if the shape and contents are valid
+ */
+const isMatrix = (value, rows, cols) =>
+  Array.isArray(value) && value.length === rows && value.every(row => isVector(row, cols));
+
+/**
+ * Is Vector - Validates a 1D array of finite numbers
+ *
+ * @param {*} value - Value to check
+ * @param {number} length - Expected length
+ * @returns {boolean} - True if the shape and contents are valid
+ */
+const isVector = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+
+/**
+ * Upgrade Genome - Converts a version 1 genome to the layer-list format
+ *
+ * @param {*} genome - Genome from a version 1 file
+ * @returns {*} - Equivalent version 2 genome (unchanged if not recognizable)
+ *
+ * Version 1 networks always used tanh hidden and sigmoid output neurons.
+ */
+const upgradeGenome = (genome) => {
+  if (!genome || !Array.isArray(genome.weightsIH) || !Array.isArray(genome.biasH) || !Array.isArray(genome.biasO)) {
+    return genome;
+  }
+  return {
+    layers: [genome.weightsIH.length, genome.biasH.length, genome.biasO.length],
+    activations: ['tanh', 'sigmoid'],
+    weights: [genome.weightsIH, genome.weightsHO],
+    biases: [genome.biasH, genome.biasO]
+  };
+};
+
+/**
+ * Upgrade File - Converts a version 1 file to the current layout
+ *
+ * @param {Object} data - Parsed version 1 file
+ * @returns {Object} - The same file with version 2 topology and genomes
+ */
+const upgradeFile = (data) => {
+  const topology = data.topology || {};
+  const genomeType = topology.genomeType || 'fixed';
+  return {
+    ...data,
+    version: POPULATION_FILE_VERSION,
+    topology: {
+      genomeType,
+      inputNodes: topology.inputNodes,
+      outputNodes: topology.outputNodes,
+      ...(genomeType === 'neat' ? {} : {
+        layers: [topology.inputNodes, topology.hiddenNodes, topology.outputNodes],
+        activations: ['tanh', 'sigmoid']
+      })
+    },
+    genomes: Array.isArray(data.genomes) ? data.genomes.map(upgradeGenome) : data.genomes,
+    hallOfFame: Array.isArray(data.hallOfFame)
+      ? data.hallOfFame.map(entry => (entry ? { ...entry, genome: upgradeGenome(entry.genome) } : entry))
+      : data.hallOfFame
+  };
+};
+
+/**
+ * Is Layered Genome - Validates a fixed-topology genome against a layout
+ *
+ * @param {*} genome - Value to check
+ * @param {Object} layout - Expected {layers, activations, recurrent}
+ * @returns {boolean} - True if topology, activations, recurrence and all shapes match
+ */
+const isLayeredGenome = (genome, layout) => {
+  if (!genome || !Array.isArray(genome.layers) || !Array.isArray(genome.activations)) return false;
+  if (genome.layers.join('-') !== layout.layers.join('-') || genome.activations.join() !== layout.activations.join()) return false;
+  const { layers } = layout;
+  return Array.isArray(genome.weights) && genome.weights.length === layers.length - 1 &&
+    Array.isArray(genome.biases) && genome.biases.length === layers.length - 1 &&
+    genome.weights.every((matrix, l) => isMatrix(matrix, layers[l], layers[l + 1])) &&
+    genome.biases.every((vector, l) => isVector(vector, layers[l + 1])) &&
+    (layout.recurrent
+      ? Array.isArray(genome.recurrentWeights) && genome.recurrentWeights.length === layers.length - 2 &&
+        genome.recurrentWeights.every((matrix, h) => isMatrix(matrix, layers[h + 1], layers[h + 1]))
+      : genome.recurrentWeights === undefined);
+};
+
+/**
+ * Is NEAT Genome - Validates the node and connection genes of a NEAT genome
+ *
+ * @param {*} genome - Value to check
+ * @param {number} inputCount - Number of inputs the engine expects (one per sensor)
+ * @returns {boolean} - True if the genome is complete and consistent
+ *
+ * Inputs and outputs must be the nodes the engine expects (IDs
+ * 0..inputCount-1 and the following OUTPUT_NODES IDs), and every
+ * connection must link existing nodes and never end at an input.
+ */
+const isNeatGenome = (genome, inputCount) => {
+  if (!genome || genome.type !== 'neat' || genome.inputCount !== inputCount || genome.outputCount !== OUTPUT_NODES) return false;
+  if (!Array.isArray(genome.nodes) || !Array.isArray(genome.connections)) return false;
+
+  const types = new Map();
+  const nodesValid = genome.nodes.every(node => node && Number.isInteger(node.id) && !types.has(node.id) &&
+    ['input', 'hidden', 'output'].includes(node.type) && Number.isFinite(node.bias) && types.set(node.id, node.type));
+  if (!nodesValid) return false;
+
+  for (let id = 0; id < inputCount + OUTPUT_NODES; id++) {
+    if (types.get(id) !== (id < inputCount ? 'input' : 'output')) return false;
+  }
+  if ([...types.values()].filter(type => type !== 'hidden').length !== inputCount + OUTPUT_NODES) return false;
+
+  return genome.connections.every(conn => conn && Number.isInteger(conn.innovation) &&
+    types.has(conn.from) && types.has(conn.to) && types.get(conn.to) !== 'input' &&
+    Number.isFinite(conn.weight) && typeof conn.enabled === 'boolean');
+};
+
+/**
+ * Is Valid Genome - Checks a genome against the networks of some settings
+ *
+ * @param {*} genome - Value to check
+ * @param {Object} settings - Complete engine settings
+ * @returns {boolean} - True if the genome is well-formed and has the
+ *   genome type and topology those settings create
+ */
+export const isValidGenome = (genome, settings) => (settings.genomeType === 'neat'
+  ? isNeatGenome(genome, inputCount(settings))
+  : isLayeredGenome(genome, networkLayout(settings)));
+
+/**
+ * Parse Population - Reads and validates a genome file
+ *
+ * @param {string} text - File contents
+ * @param {Object} settings - Engine settings the population will be loaded into
+ * @returns {Object} - Validated genome file
+ * @throws {Error} - With a user-readable message if the file is unusable
+ *
+ * The genome type, perception (sensors or ray count) and topology must
+ * match the networks the engine creates (layer sizes and activations
+ * for fixed networks). Files with a different topology are refused
+ * rather than silently reshaped. Files without a genome type hold fixed
+ * networks.
+ */
+export const parsePopulation = (text, settings) => {
+  const { genomeType } = settings;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!data || data.format !== POPULATION_FILE_FORMAT) {
+    throw new Error('The file is not a NeuroEvolution Bird population file.');
+  }
+  if (!Number.isInteger(data.version) || data.version > POPULATION_FILE_VERSION) {
+    throw new Error(`Unsupported file version ${data.version} (this app reads up to version ${POPULATION_FILE_VERSION}).`);
+  }
+  if (data.version === 1) {
+    data = upgradeFile(data);
+  }
+
+  const topology = data.topology || {};
+  const fileGenomeType = topology.genomeType || 'fixed';
+  if (fileGenomeType !== genomeType) {
+    throw new Error(`The file contains ${fileGenomeType} genomes; the current settings use ${genomeType}. Change Genome Type and reset before importing.`);
+  }
+
+  // Inputs only mean the same thing if they come from the same sensors
+  // (in order) or the same number of vision rays
+  const describeInputs = ({ perception = 'sensors', sensors = SENSORS, rayCount }) =>
+    (perception === 'raycast' ? `${rayCount} vision rays` : `the sensors ${[].concat(sensors).join(', ')}`);
+  if (describeInputs(topology) !== describeInputs(settings)) {
+    throw new Error(`The file was evolved with ${describeInputs(topology)}; the current settings use ${describeInputs(settings)}. Change Perception, Sensors or Ray Count and reset before importing.`);
+  }
+
+  // NEAT genomes evolve their hidden layers, so only inputs and outputs must match
+  const layout = networkLayout(settings);
+  const describe = ({ layers, activations, recurrent }) =>
+    `${(layers || []).join('-')} (${(activations || []).join(', ')})${recurrent ? ' recurrent' : ''}`;
+  const fileTopology = genomeType === 'neat'
+    ? `${topology.inputNodes}-${topology.outputNodes}`
+    : describe(topology);
+  const appTopology = genomeType === 'neat'
+    ? `${inputCount(settings)}-${OUTPUT_NODES}`
+    : describe(layout);
+  if (fileTopology !== appTopology) {
+    throw new Error(`Incompatible network topology ${fileTopology}; the current settings use ${appTopology}. Adjust Hidden Layers, activations and Recurrence and reset before importing.`);
+  }
+
+  // Challenge mode is optional; a bad speed would put NaN into the pipes
+  const { challenge } = data;
+  if (challenge !== undefined && (!challenge || typeof challenge.enabled !== 'boolean' ||
+      !Number.isInteger(challenge.pipeVerticalSpeed) || challenge.pipeVerticalSpeed < 1 ||
+      challenge.pipeVerticalSpeed > MAX_PIPE_VERTICAL_SPEED)) {
+    throw new Error(`The challenge mode in the file must be on or off with a pipe vertical speed from 1 to ${MAX_PIPE_VERTICAL_SPEED}.`);
+  }
+
+  // Progress counters end up in the engine, the stats row and the charts
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  if (data.generation !== undefined && !isCount(data.generation)) {
+    throw new Error('The generation in the file must be a whole number of 0 or more.');
+  }
+  if (data.highScore !== undefined && !isCount(data.highScore)) {
+    throw new Error('The high score in the file must be a whole number of 0 or more.');
+  }
+
+  if (!Array.isArray(data.genomes) || data.genomes.length === 0) {
+    throw new Error('The file contains no genomes.');
+  }
+  // Checks one genome against the expected topology
+  const isGenome = (genome) => isValidGenome(genome, settings);
+
+  data.genomes.forEach((genome, i) => {
+    if (!isGenome(genome)) {
+      throw new Error(`Genome #${i + 1} is malformed or does not match the ${appTopology} topology.`);
+    }
+  });
+
+  // The Hall of Fame is optional (older files don't have one). Entries are
+  // looked up by generation, so each must be a distinct finished generation
+  // before the one the population resumes at (loadPopulation() makes 0 a 1)
+  if (data.hallOfFame !== undefined) {
+    if (!Array.isArray(data.hallOfFame)) {
+      throw new Error('The Hall of Fame in the file is malformed.');
+    }
+    const resumeGeneration = data.generation || 1;
+    const generations = new Set();
+    data.hallOfFame.forEach((entry, i) => {
+      if (!entry || !Number.isInteger(entry.generation) || !Number.isFinite(entry.fitness) || !isCount(entry.score) ||
+          !isGenome(entry.genome)) {
+        throw new Error(`Hall of Fame entry #${i + 1} is malformed or does not match the ${appTopology} topology.`);
+      }
+      if (entry.generation < 1 || entry.generation >= resumeGeneration || generations.has(entry.generation)) {
+        throw new Error(`Hall of Fame entry #${i + 1} has generation ${entry.generation}; entries need distinct generations of 1 or more below the file's generation (${resumeGeneration}).`);
+      }
+      generations.add(entry.generation);
+    });
+  }
+
+  return data;
+};
@@ -0,0 +1,130 @@
+/**
+ * NeuroEvolution Bird - Seedable Random Number Generator
+ *
+ * Every random decision in the simulation (pipe heights, challenge mode
+ * timers, weight initialization, mutation, parent selection, bird IDs)
+ * is drawn from an instance of this generator instead of Math.random().
+ *
+ * Given the same seed and the same settings, the simulation therefore
+ * replays the exact same evolution, generation by generation. This makes
+ * runs comparable and bugs reproducible.
+ *
+ * ALGORITHM: Mulberry32
+ * - 32-bit state, very fast, good statistical quality for simulations
+ * - Not cryptographically secure (and doesn't need to be)
+ */
+
+// =============================================
+// SEED HELPERS
+// =============================================
+
+/**
+ * MAX_SEED (2^32 - 1)
+ * Seeds are unsigned 32-bit integers, matching the generator state size.
+ */
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Hash String - Converts arbitrary text into a 32-bit seed (FNV-1a)
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const hashString = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// =============================================
+// SEEDED RANDOM CLASS
+// =============================================
+
+/**
+ * SeededRandom Class
+ *
+ * Drop-in replacement for Math.random() with a reproducible sequence.
+ * Also provides the helpers the simulation needs (Gaussian samples,
+ * bird IDs) so that none of them fall back to Math.random().
+ */
+export class SeededRandom {
+  /**
+   * Constructor - Creates a generator from a seed
+   *
+   * @param {number|string} seed - Seed value (random if omitted)
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Create Seed - Generates a fresh random seed
+   *
+   * This is the only place that is allowed to use Math.random():
+   * it picks the seed for a new, not-yet-reproducible run.
+   *
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+  }
+
+  /**
+   * Normalize Seed - Converts user input into a valid seed
+   *
+   * Integers are used as-is (wrapped to 32 bits), any other
+   * text is hashed so that e.g. "experiment-a" is a valid seed.
+   *
+   * @param {number|string} value - Raw seed value
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static normalizeSeed(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(BigInt(text) & BigInt(MAX_SEED));
+    }
+    return hashString(text);
+  }
+
+  /**
+   * Next - Returns the next uniform random number
+   *
+   * @returns {number} - Float in range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Gaussian - Normally distributed random number (Box-Muller transform)
+   *
+   * @returns {number} - Sample with mean 0 and standard deviation 1
+   */
+  gaussian() {
+    let u = 0, v = 0;
+    while (u === 0) u = this.next();
+    while (v === 0) v = this.next();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+  }
+
+  /**
+   * ID - Generates a short random identifier for a bird
+   *
+   * @returns {string} - 9 character base-36 string
+   */
+  id() {
+    let id = '';
+    while (id.length < 9) {
+      id += Math.floor(this.next() * 36).toString(36);
+    }
+    return id;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * NeuroEvolution Bird - Raycast Vision
+ *
+ * An alternative to the hand-picked sensors: the bird looks at the world
+ * through N rays fanned out from its center, like a very coarse eye.
+ * Every ray reports the distance to the first thing it hits - a pipe,
+ * the ground or the ceiling - so the network has to find the gap in raw
+ * distances instead of being told where it is.
+ *
+ * Rays are spread evenly over `raySpread` degrees, centered on the
+ * flight direction (straight ahead). Each ray sees at most `rayLength`
+ * pixels; its network input is distance / rayLength, so 0 means
+ * "touching" and 1 means "nothing in range".
+ */
+
+import { GAME_HEIGHT, PIPE_WIDTH } from '../constants.js';
+
+// Bird hitbox and ground height, as used by the GameEngine's collision checks
+const BIRD_X = 50;
+const BIRD_SIZE = 24;
+const GROUND_HEIGHT = 10;
+
+// =============================================
+// INTERSECTION TESTS
+// =============================================
+
+/**
+ * Ray Rectangle Distance - Slab test of a ray against an axis-aligned rectangle
+ *
+ * @param {number} ox - Ray origin X
+ * @param {number} oy - Ray origin Y
+ * @param {number} dx - Ray direction X (unit length)
+ * @param {number} dy - Ray direction Y (unit length)
+ * @param {number} left - Rectangle left edge
+ * @param {number} top - Rectangle top edge
+ * @param {number} right - Rectangle right edge
+ * @param {number} bottom - Rectangle bottom edge
+ * @returns {number} - Distance to the first hit (0 if the origin is
+ *   inside), or Infinity if the ray misses
+ *
+ * The ray enters the rectangle when it is inside both the X slab and
+ * the Y slab, i.e. at the latest of the two entry distances, and must
+ * do so before leaving either slab.
+ */
+export const rayRectDistance = (ox, oy, dx, dy, left, top, right, bottom) => {
+  let near = -Infinity;
+  let far = Infinity;
+
+  // [origin, direction, min, max] of each axis
+  const slabs = [[ox, dx, left, right], [oy, dy, top, bottom]];
+  for (const [o, d, min, max] of slabs) {
+    if (d === 0) {
+      if (o < min || o > max) return Infinity; // Parallel and outside the slab
+    } else {
+      const t1 = (min - o) / d;
+      const t2 = (max - o) / d;
+      near = Math.max(near, Math.min(t1, t2));
+      far = Math.min(far, Math.max(t1, t2));
+    }
+  }
+
+  if (near > far || far < 0) return Infinity;
+  return Math.max(0, near);
+};
+
+/**
+ * Ray Line Distance - Distance along a ray to a horizontal line
+ *
+ * @param {number} oy - Ray origin Y
+ * @param {number} dy - Ray direction Y (unit length)
+ * @param {number} lineY - Y of the line
+ * @returns {number} - Distance to the line, or Infinity if the ray points away
+ */
+const rayLineDistance = (oy, dy, lineY) => {
+  const t = (lineY - oy) / dy;
+  return t >= 0 ? t : Infinity;
+};
+
+// =============================================
+// CASTING RAYS
+// =============================================
+
+/**
+ * Ray Angles - Directions of the rays, top to bottom
+ *
+ * @param {number} count - Number of rays
+ * @param {number} spread - Total fan angle in degrees
+ * @returns {Array<number>} - Angle of every ray in radians (0 = straight ahead,
+ *   negative = upward, since screen Y grows downward)
+ */
+export const rayAngles = (count, spread) => {
+  const radians = (spread * Math.PI) / 180;
+  if (count === 1) return [0];
+  return Array.from({ length: count }, (_, i) => -radians / 2 + (radians * i) / (count - 1));
+};
+
+/**
+ * Cast Rays - Measures what a bird sees along each ray
+ *
+ * @param {Object} bird - Bird entity
+ * @param {Array<Object>} pipes - All pipes on screen
+ * @param {Object} settings - Engine settings (rayCount, raySpread, rayLength, pipeGap)
+ * @returns {Array<Object>} - {angle, distance, hit} per ray; distance is
+ *   capped at rayLength and hit tells whether anything was in range
+ */
+export const castRays = (bird, pipes, settings) => {
+  const { rayCount, raySpread, rayLength, pipeGap } = settings;
+  const ox = BIRD_X + BIRD_SIZE / 2;
+  const oy = bird.y + BIRD_SIZE / 2;
+
+  return rayAngles(rayCount, raySpread).map(angle => {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+
+    // Ceiling and ground bound the world vertically
+    let distance = Math.min(rayLineDistance(oy, dy, 0), rayLineDistance(oy, dy, GAME_HEIGHT - GROUND_HEIGHT));
+
+    // Every pipe is a top and a bottom rectangle around its gap
+    pipes.forEach(pipe => {
+      const gapBottom = pipe.topHeight + (pipe.gapSize || pipeGap);
+      distance = Math.min(
+        distance,
+        rayRectDistance(ox, oy, dx, dy, pipe.x, 0, pipe.x + PIPE_WIDTH, pipe.topHeight),
+        rayRectDistance(ox, oy, dx, dy, pipe.x, gapBottom, pipe.x + PIPE_WIDTH, GAME_HEIGHT)
+      );
+    });
+
+    return { angle, distance: Math.min(distance, rayLength), hit: distance <= rayLength };
+  });
+};
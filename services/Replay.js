@@ -0,0 +1,216 @@
+/**
+ * NeuroEvolution Bird - Generation Replays
+ *
+ * The simulation is deterministic: given the genomes of a generation, the
+ * settings it ran with and the state of the random generator when it
+ * started, every pipe and every flap happens again exactly as before.
+ * A replay therefore stores no per-frame data at all - only what is
+ * needed to run the generation a second time:
+ * - Generation number, settings and the generator state at frame 0
+ * - Every bird's genome (in population order)
+ * - Challenge mode at frame 0 and every change during the generation
+ * - The course the pipes came from (see Course.js), if any
+ * - Outcome (frames, score, best fitness), to know where playback ends
+ *
+ * The ReplayRecorder keeps the most recent generations of an engine; the
+ * ReplayPlayer (ReplayPlayer.js) runs one of them again for playback.
+ * A replay of a 50-bird generation is a few kilobytes, however long the
+ * generation lasted, so replays can be exported and shared as files.
+ *
+ * Version history:
+ * - 1: initial format
+ */
+
+import { createSettings } from './Settings.js';
+import { isValidGenome } from './PopulationFile.js';
+import { validateCourse, normalizeCourse } from './Course.js';
+
+// =============================================
+// FILE FORMAT CONSTANTS
+// =============================================
+
+/**
+ * REPLAY_FILE_FORMAT
+ * Identifies a JSON document as a NeuroEvolution Bird replay file.
+ */
+export const REPLAY_FILE_FORMAT = 'neuroevolution-bird-replay';
+
+/**
+ * REPLAY_FILE_VERSION
+ * Incremented whenever the file layout changes incompatibly.
+ */
+export const REPLAY_FILE_VERSION = 1;
+
+/**
+ * REPLAY_LIMIT (30 generations)
+ * Number of finished generations a recorder keeps; older replays are
+ * dropped (export the interesting ones).
+ */
+export const REPLAY_LIMIT = 30;
+
+// =============================================
+// REPLAY RECORDER CLASS
+// =============================================
+
+export class ReplayRecorder {
+  /**
+   * Constructor - Creates an empty recorder
+   *
+   * @param {number} limit - Number of finished generations to keep
+   */
+  constructor(limit = REPLAY_LIMIT) {
+    this.limit = limit;
+    this.replays = []; // Finished generations, oldest first
+    this.current = null; // Replay of the running generation (not finished yet)
+    this.recorded = 0; // Finished generations ever recorded (tells listeners the list changed)
+  }
+
+  /**
+   * Start - Begins recording the generation an engine is about to run
+   *
+   * @param {GameEngine} engine - Engine at frame 0 of a generation
+   *
+   * Must be called after the population was built and before the first
+   * update, while the generator still holds the state the pipes will be
+   * drawn from. An unfinished recording is discarded.
+   */
+  start(engine) {
+    this.current = {
+      generation: engine.generation,
+      seed: engine.seed,
+      rngState: engine.rng.state,
+      settings: { ...engine.settings },
+      challenge: [{ frame: 0, enabled: engine.challengeModeEnabled, speed: engine.pipeVerticalSpeed }],
+      course: engine.course, // null: random pipes
+      genomes: engine.birds.map(b => b.net.toJSON())
+    };
+  }
+
+  /**
+   * Record Challenge - Notes a challenge mode change of the running generation
+   *
+   * @param {number} frame - Updates the generation had run when the change happened
+   * @param {boolean} enabled - Whether challenge mode is on
+   * @param {number} speed - Vertical pipe speed
+   */
+  recordChallenge(frame, enabled, speed) {
+    if (!this.current) return;
+    this.current.challenge.push({ frame, enabled, speed });
+  }
+
+  /**
+   * Finish - Completes the running recording
+   *
+   * @param {GameEngine} engine - Engine at the end of the generation
+   *   (before breeding, with lastGeneration already set)
+   */
+  finish(engine) {
+    if (!this.current) return;
+    this.replays.push({
+      ...this.current,
+      frames: engine.frameCount,
+      score: engine.score,
+      bestFitness: engine.lastGeneration.bestFitness
+    });
+    if (this.replays.length > this.limit) this.replays.shift();
+    this.current = null;
+    this.recorded++;
+  }
+
+  /**
+   * Get - Looks up the replay of a generation
+   *
+   * @param {number} generation - Generation number
+   * @returns {Object|undefined} - Replay, if that generation is still kept
+   */
+  get(generation) {
+    return this.replays.find(replay => replay.generation === generation);
+  }
+
+  /**
+   * Summary - Replays without their genomes, for the replay browser
+   *
+   * @returns {Array<Object>} - {generation, frames, score, bestFitness, population}, oldest first
+   */
+  summary() {
+    return this.replays.map(({ generation, frames, score, bestFitness, genomes }) =>
+      ({ generation, frames, score, bestFitness, population: genomes.length }));
+  }
+}
+
+// =============================================
+// EXPORT AND IMPORT
+// =============================================
+
+/**
+ * Serialize Replay - Builds a replay file
+ *
+ * @param {Object} replay - Finished replay (see ReplayRecorder.finish())
+ * @returns {Object} - JSON-serializable replay file
+ */
+export const serializeReplay = (replay) => ({
+  format: REPLAY_FILE_FORMAT,
+  version: REPLAY_FILE_VERSION,
+  createdAt: new Date().toISOString(),
+  ...replay
+});
+
+/**
+ * Parse Replay - Reads and validates a replay file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} - Validated replay (with complete settings)
+ * @throws {Error} - With a user-readable message if the file is unusable
+ *
+ * A replay brings its own settings, so it can be played whatever the
+ * current settings are; its genomes must match those settings.
+ */
+export const parseReplay = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!data || data.format !== REPLAY_FILE_FORMAT) {
+    throw new Error('The file is not a NeuroEvolution Bird replay file.');
+  }
+  if (!Number.isInteger(data.version) || data.version > REPLAY_FILE_VERSION) {
+    throw new Error(`Unsupported file version ${data.version} (this app reads up to version ${REPLAY_FILE_VERSION}).`);
+  }
+
+  let settings;
+  try {
+    settings = createSettings(data.settings);
+  } catch (err) {
+    throw new Error(`The replay settings are invalid: ${err.message}`);
+  }
+
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  if (!Number.isInteger(data.generation) || data.generation < 1 || !isCount(data.frames) ||
+      !Number.isInteger(data.rngState) || data.rngState < 0 || data.rngState > 0xFFFFFFFF) {
+    throw new Error('The replay is missing its generation, frame count or generator state.');
+  }
+
+  const isChange = (change) => change && isCount(change.frame) && typeof change.enabled === 'boolean' && Number.isFinite(change.speed);
+  if (!Array.isArray(data.challenge) || data.challenge.length === 0 || !data.challenge.every(isChange)) {
+    throw new Error('The challenge mode timeline of the replay is malformed.');
+  }
+
+  const courseErrors = data.course ? validateCourse(data.course) : [];
+  if (courseErrors.length > 0) {
+    throw new Error(`The replay course is invalid: ${courseErrors.join(' ')}`);
+  }
+
+  if (!Array.isArray(data.genomes) || data.genomes.length === 0) {
+    throw new Error('The replay contains no genomes.');
+  }
+  data.genomes.forEach((genome, i) => {
+    if (!isValidGenome(genome, settings)) {
+      throw new Error(`Genome #${i + 1} is malformed or does not match the replay settings.`);
+    }
+  });
+
+  return { ...data, settings, course: data.course ? normalizeCourse(data.course) : null };
+};
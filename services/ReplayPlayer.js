@@ -0,0 +1,142 @@
+/**
+ * NeuroEvolution Bird - Replay Player
+ *
+ * Plays a recorded generation (see Replay.js) by running it again in a
+ * private GameEngine: same genomes, same settings, same generator state,
+ * same course, same challenge mode changes at the same frames. The engine never
+ * evolves; playback ends at the frame the original generation ended.
+ *
+ * Nothing is stored per frame. Playing forward steps the engine;
+ * scrubbing backwards rebuilds the engine and fast-forwards it to the
+ * requested frame, which takes a fraction of a second even for long
+ * generations.
+ */
+
+import { GameEngine } from './GameEngine.js';
+
+/**
+ * REPLAY_SPEEDS
+ * Playback speeds offered by the user interface (frames per display frame).
+ */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// =============================================
+// REPLAY PLAYER CLASS
+// =============================================
+
+export class ReplayPlayer {
+  /**
+   * Constructor - Prepares a replay for playback at frame 0
+   *
+   * @param {Object} replay - Finished replay (recorded or parsed from a file)
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.paused = false;
+    this.speed = 1; // Frames per tick (fractions play in slow motion)
+    this.progress = 0; // Fraction of a frame carried over between ticks
+    this.rewind();
+  }
+
+  /**
+   * Rewind - Rebuilds the world of frame 0
+   *
+   * The birds are created first, because creating a bird draws its ID
+   * from the generator; the recorded generator state is restored after.
+   * The curriculum stays off: the recorded settings and challenge mode
+   * changes already hold the difficulty of the generation's stage.
+   */
+  rewind() {
+    const { replay } = this;
+    const engine = new GameEngine(replay.seed, { ...replay.settings, curriculum: 'off' });
+    engine.replays = null; // A replay is not recorded again
+    engine.autoEvolve = false;
+    engine.generation = replay.generation;
+    engine.birds = replay.genomes.map(genome => engine.createBird(engine.networkFromJSON(genome)));
+    engine.rng.state = replay.rngState;
+    engine.setCourse(replay.course ?? null);
+    engine.resetGame();
+
+    this.engine = engine;
+    this.nextChange = 0; // Index of the next challenge mode change to apply
+    this.applyChallengeChanges();
+  }
+
+  /**
+   * Frame - Frame of the generation currently shown
+   *
+   * @returns {number} - Updates run since the start of the generation
+   */
+  get frame() {
+    return this.engine.frameCount;
+  }
+
+  /**
+   * Finished - Whether playback reached the end of the generation
+   *
+   * @returns {boolean} - True at the recorded last frame
+   */
+  get finished() {
+    return this.frame >= this.replay.frames;
+  }
+
+  /**
+   * Apply Challenge Changes - Switches challenge mode when the recording did
+   *
+   * Changes are applied before the update of the frame they were recorded at.
+   */
+  applyChallengeChanges() {
+    const { challenge } = this.replay;
+    while (this.nextChange < challenge.length && challenge[this.nextChange].frame <= this.frame) {
+      const { enabled, speed } = challenge[this.nextChange++];
+      this.engine.setChallengeMode(enabled, speed);
+    }
+  }
+
+  /**
+   * Step - Advances playback by one frame
+   */
+  step() {
+    if (this.finished) return;
+    this.engine.update();
+    this.applyChallengeChanges();
+  }
+
+  /**
+   * Tick - Advances playback by one display frame
+   *
+   * Plays `speed` frames per tick; slow speeds advance a frame every few
+   * ticks. Pauses itself at the end of the generation.
+   */
+  tick() {
+    if (this.paused) return;
+    this.progress += this.speed;
+    while (this.progress >= 1) {
+      this.step();
+      this.progress--;
+    }
+    if (this.finished) this.paused = true;
+  }
+
+  /**
+   * Seek - Jumps to a frame of the generation
+   *
+   * @param {number} frame - Target frame (clamped to the recording)
+   */
+  seek(frame) {
+    const target = Math.max(0, Math.min(this.replay.frames, Math.round(frame)));
+    if (target < this.frame) this.rewind();
+    while (this.frame < target) this.step();
+    this.progress = 0;
+  }
+
+  /**
+   * Status - Playback state for render snapshots
+   *
+   * @returns {Object} - {generation, frame, frames, score, paused, speed}
+   */
+  status() {
+    const { generation, frames, score } = this.replay;
+    return { generation, frame: this.frame, frames, score, paused: this.paused, speed: this.speed };
+  }
+}
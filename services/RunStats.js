@@ -0,0 +1,148 @@
+/**
+ * NeuroEvolution Bird - Run Statistics Export
+ *
+ * Every engine keeps a summary of each finished generation (see
+ * GameEngine.nextGeneration()). This module turns the summaries of all
+ * islands of a run into one document, for analysis in a spreadsheet,
+ * notebook or plotting script:
+ * - JSON: run metadata (seed, settings, fitness formula, high score) and
+ *   one flat row per island and generation
+ * - CSV: the same rows, one line each, with the columns of STATS_COLUMNS
+ *
+ * The browser and the CLI trainer (cli/train.js) both export through this
+ * module, so statistics of both can be compared with the same tools.
+ *
+ * Version history:
+ * - 1: initial format
+ */
+
+import { describeFitness } from './Fitness.js';
+
+// =============================================
+// FILE FORMAT CONSTANTS
+// =============================================
+
+/**
+ * RUN_STATS_FORMAT
+ * Identifies a JSON document as NeuroEvolution Bird run statistics.
+ */
+export const RUN_STATS_FORMAT = 'neuroevolution-bird-run-stats';
+
+/**
+ * RUN_STATS_VERSION
+ * Incremented whenever the row layout changes incompatibly.
+ */
+export const RUN_STATS_VERSION = 1;
+
+/**
+ * STATS_SETTINGS
+ * Settings recorded with every generation. Most of them can change
+ * between generations, so each row notes the values it ran with; the
+ * complete settings of the run are in the document header.
+ */
+export const STATS_SETTINGS = ['populationSize', 'mutationRate', 'mutationAmount', 'eliteCount', 'selectionStrategy', 'crossoverRate'];
+
+/**
+ * STATS_COLUMNS
+ * Columns of a statistics row, in CSV order.
+ */
+export const STATS_COLUMNS = [
+  'island', 'generation',
+  'bestFitness', 'meanFitness', 'medianFitness', 'worstFitness',
+  'score', 'frames', 'diversity', 'weightVariance', 'clusters', 'species',
+  'deathsGround', 'deathsCeiling', 'deathsPipe', 'survivors',
+  'seed', ...STATS_SETTINGS, 'challengeMode', 'pipeVerticalSpeed', 'curriculumStage'
+];
+
+/**
+ * Pick Settings - Copies some settings
+ *
+ * @param {Object} settings - Complete settings
+ * @param {Array<string>} keys - Setting keys to copy
+ * @returns {Object} - Only the requested settings
+ */
+export const pickSettings = (settings, keys) => Object.fromEntries(keys.map(key => [key, settings[key]]));
+
+// =============================================
+// EXPORT
+// =============================================
+
+/**
+ * Stats Row - Flattens one generation summary
+ *
+ * @param {Object} entry - Entry of an engine's history
+ * @param {number} island - Island number (starting at 1)
+ * @param {number} seed - Seed of the island
+ * @returns {Object} - Row with the keys of STATS_COLUMNS (species is
+ *   null unless the run evolves NEAT genomes, curriculumStage while the
+ *   curriculum is off)
+ */
+const statsRow = (entry, island, seed) => ({
+  island,
+  generation: entry.generation,
+  bestFitness: entry.bestFitness,
+  meanFitness: entry.meanFitness,
+  medianFitness: entry.medianFitness,
+  worstFitness: entry.worstFitness,
+  score: entry.score,
+  frames: entry.frames,
+  diversity: entry.diversity,
+  weightVariance: entry.weightVariance,
+  clusters: entry.clusters,
+  species: entry.species ?? null,
+  deathsGround: entry.deaths.ground,
+  deathsCeiling: entry.deaths.ceiling,
+  deathsPipe: entry.deaths.pipe,
+  survivors: entry.deaths.survived,
+  seed,
+  ...entry.settings,
+  challengeMode: entry.challengeMode,
+  pipeVerticalSpeed: entry.pipeVerticalSpeed,
+  curriculumStage: entry.curriculumStage ?? null
+});
+
+/**
+ * Serialize Run Stats - Builds a statistics document of a run
+ *
+ * @param {IslandModel} model - Islands of the run
+ * @param {Object} extra - Additional header fields (e.g. durationMs of the CLI)
+ * @returns {Object} - JSON-serializable statistics; `generations` holds
+ *   the rows of every island, island by island, oldest generation first
+ */
+export const serializeRunStats = (model, extra = {}) => ({
+  format: RUN_STATS_FORMAT,
+  version: RUN_STATS_VERSION,
+  createdAt: new Date().toISOString(),
+  seed: model.seed,
+  settings: model.settings,
+  fitness: describeFitness(model.settings),
+  highScore: Math.max(...model.islands.map(engine => engine.highScore)),
+  islands: model.islands.map(engine => ({ seed: engine.seed, settings: engine.baseSettings })),
+  ...extra,
+  generations: model.islands.flatMap((engine, index) =>
+    engine.history.map(entry => statsRow(entry, index + 1, engine.seed)))
+});
+
+/**
+ * CSV Value - Formats one cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Empty for null, quoted (with doubled quotes) if it
+ *   contains a separator, quote or line break
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Run Stats To CSV - Converts a statistics document to CSV
+ *
+ * @param {Object} stats - Result of serializeRunStats()
+ * @returns {string} - Header line and one line per row (RFC 4180)
+ */
+export const runStatsToCSV = (stats) =>
+  [STATS_COLUMNS, ...stats.generations.map(row => STATS_COLUMNS.map(column => row[column]))]
+    .map(cells => cells.map(csvValue).join(','))
+    .join('\r\n') + '\r\n';
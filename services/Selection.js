@@ -0,0 +1,170 @@
+/**
+ * NeuroEvolution Bird - Parent Selection Strategies
+ *
+ * Selection decides which birds become parents of the next generation.
+ * Every strategy is a factory with the same interface:
+ *
+ *   strategy(sortedBirds, rng, settings, count) => pick()
+ *
+ * - sortedBirds: finished population, sorted by fitness (best first)
+ * - rng: the engine's seeded random number generator
+ * - settings: engine settings (tournamentSize, truncationRatio, ...)
+ * - count: how many parents will be picked this generation
+ *
+ * The returned pick() function yields one parent per call.
+ */
+
+// =============================================
+// HELPERS
+// =============================================
+
+/**
+ * Spin Wheel - Picks an index proportionally to the given weights
+ *
+ * @param {Array<number>} weights - Non-negative weight per bird
+ * @param {number} sum - Sum of all weights
+ * @param {number} r - Random number in [0, 1)
+ * @returns {number} - Selected index
+ */
+const spinWheel = (weights, sum, r) => {
+  let index = 0;
+  let threshold = r * sum; // Random fitness threshold
+
+  // Find bird whose cumulative weight exceeds threshold
+  while (threshold > 0 && index < weights.length) {
+    threshold -= weights[index];
+    index++;
+  }
+
+  index--; // Adjust for loop exit condition
+  return Math.max(0, index); // Safety check
+};
+
+// =============================================
+// SELECTION STRATEGIES
+// =============================================
+
+/**
+ * Roulette Wheel - Fitness-proportional selection
+ *
+ * P(select) = fitness_i / total_fitness
+ * The classic strategy (and the default). Weakness: once one bird
+ * dominates the fitness sum, it is picked almost every time.
+ */
+const roulette = (sortedBirds, rng) => {
+  const weights = sortedBirds.map(b => b.entity.fitness);
+  const sum = weights.reduce((a, b) => a + b, 0);
+  return () => sortedBirds[spinWheel(weights, sum, rng.next())];
+};
+
+/**
+ * Tournament - Best of k randomly drawn birds
+ *
+ * Selection pressure is controlled by tournamentSize (k) and does not
+ * depend on how large the fitness differences are.
+ */
+const tournament = (sortedBirds, rng, settings) => () => {
+  let best = Math.floor(rng.next() * sortedBirds.length);
+  for (let i = 1; i < settings.tournamentSize; i++) {
+    // Sorted list: a lower index means higher fitness
+    best = Math.min(best, Math.floor(rng.next() * sortedBirds.length));
+  }
+  return sortedBirds[best];
+};
+
+/**
+ * Rank-Based - Linear ranking selection
+ *
+ * The best of N birds gets weight N, the next N-1, ..., the worst 1.
+ * Only the order matters, so a single dominant bird can't take over.
+ */
+const rank = (sortedBirds, rng) => {
+  const n = sortedBirds.length;
+  const weights = sortedBirds.map((_, i) => n - i);
+  const sum = (n * (n + 1)) / 2;
+  return () => sortedBirds[spinWheel(weights, sum, rng.next())];
+};
+
+/**
+ * Truncation - Uniform choice among the top fraction
+ *
+ * Only the best truncationRatio of the population may reproduce,
+ * each of them with equal probability.
+ */
+const truncation = (sortedBirds, rng, settings) => {
+  const poolSize = Math.max(1, Math.round(sortedBirds.length * settings.truncationRatio));
+  return () => sortedBirds[Math.floor(rng.next() * poolSize)];
+};
+
+/**
+ * Stochastic Universal Sampling (SUS)
+ *
+ * Like roulette, but all `count` parents are chosen with one spin of a
+ * wheel with `count` evenly spaced pointers. Every bird gets (almost
+ * exactly) its expected number of offspring, reducing sampling noise.
+ * The picks are shuffled so crossover partners are not always neighbours.
+ */
+const sus = (sortedBirds, rng, settings, count) => {
+  const weights = sortedBirds.map(b => b.entity.fitness);
+  const sum = weights.reduce((a, b) => a + b, 0);
+  let picks = [];
+
+  // Selects a fresh batch of `count` parents
+  const sample = () => {
+    const n = Math.max(1, count);
+    const batch = [];
+    if (sum <= 0) {
+      // No fitness signal - fall back to uniform choice
+      for (let i = 0; i < n; i++) batch.push(sortedBirds[Math.floor(rng.next() * sortedBirds.length)]);
+    } else {
+      const spacing = sum / n;
+      let pointer = rng.next() * spacing;
+      let cumulative = weights[0];
+      let index = 0;
+      for (let i = 0; i < n; i++) {
+        while (cumulative < pointer && index < weights.length - 1) {
+          index++;
+          cumulative += weights[index];
+        }
+        batch.push(sortedBirds[index]);
+        pointer += spacing;
+      }
+    }
+
+    // Fisher-Yates shuffle with the seeded generator
+    for (let i = batch.length - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [batch[i], batch[j]] = [batch[j], batch[i]];
+    }
+    return batch;
+  };
+
+  return () => {
+    if (picks.length === 0) picks = sample(); // Crossover may need more than count picks
+    return picks.pop();
+  };
+};
+
+/**
+ * SELECTION_STRATEGIES
+ * All available strategies, keyed by the name used in the settings.
+ */
+export const SELECTION_STRATEGIES = { roulette, tournament, rank, truncation, sus };
+
+/**
+ * Create Selector - Prepares a parent picker for one generation
+ *
+ * @param {string} strategy - Key of SELECTION_STRATEGIES
+ * @param {Array} sortedBirds - Population sorted by fitness (best first)
+ * @param {SeededRandom} rng - Random number generator
+ * @param {Object} settings - Engine settings
+ * @param {number} count - Expected number of picks
+ * @returns {Function} - pick() returning one parent per call
+ */
+export const createSelector = (strategy, sortedBirds, rng, settings, count) => {
+  const factory = SELECTION_STRATEGIES[strategy];
+  if (!factory) {
+    throw new Error(`Unknown selection strategy "${strategy}"`);
+  }
+  return factory(sortedBirds, rng, settings, count);
+};
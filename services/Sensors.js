@@ -0,0 +1,166 @@
+/**
+ * NeuroEvolution Bird - Sensor Modules
+ *
+ * A bird perceives the world only through its network inputs. Each input
+ * is a sensor: a function that reads one raw quantity (pixels, pixels per
+ * frame, frames) from the bird and the pipes ahead, together with the
+ * range that quantity is normalized from:
+ *
+ *   input = (raw - min) / (max - min)
+ *
+ * The `sensors` setting lists the active sensors in input order, so it
+ * also determines the number of input nodes. The default set is the
+ * classic four inputs (bird Y, pipe X, gap center Y, velocity).
+ */
+
+import { GAME_WIDTH, GAME_HEIGHT, VELOCITY_LIMIT, MAX_PIPE_VERTICAL_SPEED } from '../constants.js';
+
+// Bird hitbox and ground height, as used by the GameEngine's collision checks
+const BIRD_SIZE = 24;
+const GROUND_HEIGHT = 10;
+
+// Largest possible gap (the upper bound of the Pipe Gap setting)
+const MAX_GAP = 400;
+
+// Frames after which "time since last flap" stops counting (one second at 60 FPS)
+const FLAP_MEMORY = 60;
+
+/**
+ * Gap Size - Current opening of a pipe
+ *
+ * @param {Object} pipe - Pipe object (undefined if there is none)
+ * @param {Object} view - Sensor view of the frame (see readSensors)
+ * @returns {number} - Gap size in pixels (challenge mode resizes gaps)
+ */
+const gapSize = (pipe, view) => pipe?.gapSize || view.settings.pipeGap;
+
+/**
+ * Gap Top - Upper edge of a pipe's gap
+ *
+ * @param {Object} pipe - Pipe object (undefined if there is none)
+ * @param {Object} view - Sensor view of the frame
+ * @returns {number} - Y of the gap's top edge; a missing pipe counts as
+ *   a gap centered on the screen
+ */
+const gapTop = (pipe, view) => (pipe ? pipe.topHeight : (GAME_HEIGHT - gapSize(pipe, view)) / 2);
+
+// =============================================
+// SENSOR REGISTRY
+// =============================================
+
+/**
+ * SENSOR_DEFINITIONS
+ * Every available sensor, keyed by name. `label` names it in the UI,
+ * `short` labels its input node in the network visualization, and
+ * `read(bird, view)` returns the raw value normalized from [min, max].
+ */
+export const SENSOR_DEFINITIONS = {
+  birdY: {
+    label: 'Bird Y', short: 'Bird Y',
+    description: 'bird height (0 = top, 1 = bottom)',
+    min: 0, max: GAME_HEIGHT,
+    read: (bird) => bird.y
+  },
+  pipeX: {
+    label: 'Pipe X', short: 'Pipe X',
+    description: 'horizontal position of the next pipe (0 = left, 1 = right)',
+    min: 0, max: GAME_WIDTH,
+    read: (bird, view) => (view.nextPipe ? view.nextPipe.x : GAME_WIDTH)
+  },
+  gapY: {
+    label: 'Gap Center Y', short: 'Gap Y',
+    description: 'center of the next gap (0 = top, 1 = bottom)',
+    min: 0, max: GAME_HEIGHT,
+    read: (bird, view) => gapTop(view.nextPipe, view) + gapSize(view.nextPipe, view) / 2
+  },
+  velocity: {
+    label: 'Velocity', short: 'Vel',
+    description: 'bird velocity (0 = max upward, 1 = max downward)',
+    min: -VELOCITY_LIMIT, max: VELOCITY_LIMIT,
+    read: (bird) => bird.velocity
+  },
+  gapTop: {
+    label: 'Gap Top', short: 'Gap Top',
+    description: 'upper edge of the next gap',
+    min: 0, max: GAME_HEIGHT,
+    read: (bird, view) => gapTop(view.nextPipe, view)
+  },
+  gapBottom: {
+    label: 'Gap Bottom', short: 'Gap Bot',
+    description: 'lower edge of the next gap',
+    min: 0, max: GAME_HEIGHT,
+    read: (bird, view) => gapTop(view.nextPipe, view) + gapSize(view.nextPipe, view)
+  },
+  secondPipeX: {
+    label: 'Second Pipe X', short: 'Pipe2 X',
+    description: 'horizontal position of the pipe after next',
+    min: 0, max: GAME_WIDTH,
+    read: (bird, view) => (view.secondPipe ? view.secondPipe.x : GAME_WIDTH)
+  },
+  secondGapY: {
+    label: 'Second Gap Y', short: 'Gap2 Y',
+    description: 'center of the gap after next',
+    min: 0, max: GAME_HEIGHT,
+    read: (bird, view) => gapTop(view.secondPipe, view) + gapSize(view.secondPipe, view) / 2
+  },
+  pipeVelocity: {
+    label: 'Pipe Velocity', short: 'Pipe Vel',
+    description: 'vertical speed of the next pipe in challenge mode or on a course (0.5 = static)',
+    min: -MAX_PIPE_VERTICAL_SPEED, max: MAX_PIPE_VERTICAL_SPEED,
+    read: (bird, view) => {
+      const pipe = view.nextPipe;
+      if (pipe?.scriptedVelocity !== undefined) return pipe.scriptedVelocity; // Course pipe (see Course.js)
+      return pipe?.verticalVelocity ? pipe.verticalVelocity * Math.min(view.pipeVerticalSpeed, MAX_PIPE_VERTICAL_SPEED) : 0;
+    }
+  },
+  gapSize: {
+    label: 'Gap Size', short: 'Gap Sz',
+    description: 'opening of the next gap',
+    min: 0, max: MAX_GAP,
+    read: (bird, view) => gapSize(view.nextPipe, view)
+  },
+  groundDistance: {
+    label: 'Ground Distance', short: 'Ground',
+    description: 'distance between the bird and the ground',
+    min: 0, max: GAME_HEIGHT - GROUND_HEIGHT - BIRD_SIZE,
+    read: (bird) => GAME_HEIGHT - GROUND_HEIGHT - (bird.y + BIRD_SIZE)
+  },
+  timeSinceFlap: {
+    label: 'Time Since Flap', short: 'Flap T',
+    description: `frames since the last flap (saturates after ${FLAP_MEMORY})`,
+    min: 0, max: FLAP_MEMORY,
+    read: (bird) => Math.min(bird.framesSinceFlap, FLAP_MEMORY)
+  }
+};
+
+/**
+ * SENSOR_NAMES
+ * Names of all available sensors, in registry order.
+ */
+export const SENSOR_NAMES = Object.keys(SENSOR_DEFINITIONS);
+
+// =============================================
+// READING SENSORS
+// =============================================
+
+/**
+ * Read Sensors - Computes the normalized network inputs of a bird
+ *
+ * @param {Array<string>} names - Active sensors, in input order
+ * @param {Object} bird - Bird entity
+ * @param {Object} view - What the bird can see this frame:
+ *   {nextPipe, secondPipe, settings, pipeVerticalSpeed}
+ * @returns {Array<number>} - One input per sensor
+ */
+export const readSensors = (names, bird, view) => names.map(name => {
+  const { min, max, read } = SENSOR_DEFINITIONS[name];
+  return (read(bird, view) - min) / (max - min);
+});
+
+/**
+ * Sensor Labels - Short node labels of a sensor set
+ *
+ * @param {Array<string>} names - Active sensors, in input order
+ * @returns {Array<string>} - One label per input node
+ */
+export const sensorLabels = (names) => names.map(name => SENSOR_DEFINITIONS[name].short);
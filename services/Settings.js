@@ -0,0 +1,302 @@
+/**
+ * NeuroEvolution Bird - Runtime Engine Settings
+ *
+ * The values in constants.js are the defaults. This module turns the
+ * tunable ones into a settings object that is passed into the GameEngine
+ * (and from there into every NeuralNetwork operation), so they can be
+ * changed at runtime from the settings panel or the command line.
+ *
+ * Most settings are numbers with a valid range; settings with a list of
+ * `options` are choices (shown as a dropdown). `list` settings hold an
+ * array of such values (e.g. the hidden layer sizes), written as a
+ * comma-separated list in the UI and on the command line.
+ *
+ * Settings with a `group` are shown in their own panel (the fitness
+ * term weights are edited in the Fitness Function panel, the island
+ * layout in the Islands panel).
+ *
+ * While the curriculum is on, its current stage overrides the pipe
+ * settings (see Curriculum.js).
+ *
+ * Each setting declares how it may be changed:
+ * - 'generation': takes effect when the next generation is created
+ * - 'reset': changes the network topology or the island layout, so it
+ *   requires a full reset
+ */
+
+import {
+  POPULATION_SIZE, MUTATION_RATE, MUTATION_AMOUNT, GRAVITY, LIFT,
+  PIPE_GAP, PIPE_GAP_VARIATION, PIPE_SPEED, PIPE_SPAWN_RATE, HIDDEN_LAYERS, HIDDEN_ACTIVATIONS, OUTPUT_ACTIVATION,
+  RECURRENCE, INFERENCE, FITNESS_PRESET, SENSORS, PERCEPTION, RAY_COUNT, RAY_SPREAD, RAY_LENGTH,
+  OUTPUT_NODES,
+  CROSSOVER_RATE, CROSSOVER_STRATEGY, SELECTION_STRATEGY, TOURNAMENT_SIZE, TRUNCATION_RATIO,
+  ELITE_COUNT, GENOME_TYPE, NEAT_ADD_NODE_RATE, NEAT_ADD_CONNECTION_RATE,
+  NEAT_COMPATIBILITY_THRESHOLD, NEAT_STAGNATION_LIMIT,
+  ISLAND_COUNT, MIGRATION_INTERVAL, MIGRATION_SIZE, MIGRATION_TOPOLOGY,
+  CURRICULUM, CURRICULUM_SCORE, CURRICULUM_GENERATIONS
+} from '../constants.js';
+import { CROSSOVER_STRATEGIES, ACTIVATION_NAMES } from './NeuralNetwork.js';
+import { SELECTION_STRATEGIES } from './Selection.js';
+import { FITNESS_TERMS, fitnessSettingKey, presetSettings } from './Fitness.js';
+import { SENSOR_NAMES, sensorLabels } from './Sensors.js';
+
+// =============================================
+// SETTING DEFINITIONS
+// =============================================
+
+/**
+ * SETTING_DEFINITIONS
+ * Describes every runtime setting: its key in the settings object,
+ * UI label, command-line flag, valid range and when it takes effect.
+ * The settings panel and the CLI are both generated from this list.
+ */
+export const SETTING_DEFINITIONS = [
+  { key: 'populationSize', label: 'Population Size', flag: '--population-size', integer: true, min: 2, max: 500, step: 1, applies: 'generation' },
+  { key: 'mutationRate', label: 'Mutation Rate', flag: '--mutation-rate', min: 0, max: 1, step: 0.01, applies: 'generation' },
+  { key: 'mutationAmount', label: 'Mutation Amount', flag: '--mutation-amount', min: 0, max: 5, step: 0.01, applies: 'generation' },
+  { key: 'eliteCount', label: 'Elite Count', flag: '--elite-count', integer: true, min: 0, max: 50, step: 1, applies: 'generation' },
+  { key: 'selectionStrategy', label: 'Selection', flag: '--selection', options: Object.keys(SELECTION_STRATEGIES), applies: 'generation' },
+  { key: 'tournamentSize', label: 'Tournament Size', flag: '--tournament-size', integer: true, min: 2, max: 50, step: 1, applies: 'generation' },
+  { key: 'truncationRatio', label: 'Truncation Ratio', flag: '--truncation-ratio', min: 0.01, max: 1, step: 0.01, applies: 'generation' },
+  { key: 'crossoverRate', label: 'Crossover Rate', flag: '--crossover-rate', min: 0, max: 1, step: 0.05, applies: 'generation' },
+  { key: 'crossoverStrategy', label: 'Crossover Strategy', flag: '--crossover-strategy', options: CROSSOVER_STRATEGIES, applies: 'generation' },
+  { key: 'gravity', label: 'Gravity', flag: '--gravity', min: 0.05, max: 3, step: 0.05, applies: 'generation' },
+  { key: 'lift', label: 'Lift', flag: '--lift', min: -30, max: -1, step: 0.5, applies: 'generation' },
+  { key: 'pipeGap', label: 'Pipe Gap', flag: '--pipe-gap', integer: true, min: 60, max: 400, step: 5, applies: 'generation' },
+  { key: 'pipeSpeed', label: 'Pipe Scroll Speed', flag: '--pipe-scroll-speed', min: 0.5, max: 15, step: 0.5, applies: 'generation' },
+  { key: 'pipeGapVariation', label: 'Pipe Gap Variation', flag: '--pipe-gap-variation', integer: true, min: 0, max: 100, step: 5, applies: 'generation' },
+  { key: 'pipeSpawnRate', label: 'Pipe Spawn Rate', flag: '--pipe-spawn-rate', integer: true, min: 20, max: 500, step: 5, applies: 'generation' },
+  { key: 'curriculum', label: 'Curriculum', flag: '--curriculum', options: ['off', 'on'], applies: 'generation' },
+  { key: 'curriculumScore', label: 'Curriculum Score', flag: '--curriculum-score', integer: true, min: 1, max: 1000, step: 1, applies: 'generation' },
+  { key: 'curriculumGenerations', label: 'Curriculum Generations', flag: '--curriculum-generations', integer: true, min: 1, max: 100, step: 1, applies: 'generation' },
+  { key: 'perception', label: 'Perception', flag: '--perception', options: ['sensors', 'raycast'], applies: 'reset' },
+  { key: 'sensors', label: 'Sensors', flag: '--sensors', list: true, maxLength: SENSOR_NAMES.length, options: SENSOR_NAMES, applies: 'reset' },
+  { key: 'rayCount', label: 'Ray Count', flag: '--ray-count', integer: true, min: 1, max: 32, step: 1, applies: 'reset' },
+  { key: 'raySpread', label: 'Ray Spread (deg)', flag: '--ray-spread', min: 0, max: 360, step: 5, applies: 'generation' },
+  { key: 'rayLength', label: 'Ray Length', flag: '--ray-length', integer: true, min: 20, max: 1000, step: 10, applies: 'generation' },
+  { key: 'hiddenLayers', label: 'Hidden Layers', flag: '--hidden-layers', list: true, maxLength: 4, integer: true, min: 1, max: 32, step: 1, applies: 'reset' },
+  { key: 'hiddenActivations', label: 'Hidden Activations', flag: '--hidden-activations', list: true, maxLength: 4, options: ACTIVATION_NAMES, applies: 'reset' },
+  { key: 'outputActivation', label: 'Output Activation', flag: '--output-activation', options: ACTIVATION_NAMES, applies: 'reset' },
+  { key: 'recurrence', label: 'Recurrence', flag: '--recurrence', options: ['none', 'elman'], applies: 'reset' },
+  { key: 'inference', label: 'Inference', flag: '--inference', options: ['batched', 'per-bird'], applies: 'generation' },
+  { key: 'genomeType', label: 'Genome Type', flag: '--genome-type', options: ['fixed', 'neat'], applies: 'reset' },
+  { key: 'neatAddNodeRate', label: 'NEAT Add Node Rate', flag: '--neat-add-node-rate', min: 0, max: 1, step: 0.01, applies: 'generation' },
+  { key: 'neatAddConnectionRate', label: 'NEAT Add Connection Rate', flag: '--neat-add-connection-rate', min: 0, max: 1, step: 0.01, applies: 'generation' },
+  { key: 'neatCompatibilityThreshold', label: 'NEAT Compatibility Threshold', flag: '--neat-compatibility-threshold', min: 0.1, max: 20, step: 0.1, applies: 'generation' },
+  { key: 'neatStagnationLimit', label: 'NEAT Stagnation Limit', flag: '--neat-stagnation-limit', integer: true, min: 1, max: 1000, step: 1, applies: 'generation' },
+  { key: 'islandCount', label: 'Islands', flag: '--islands', integer: true, min: 1, max: 8, step: 1, group: 'islands', applies: 'reset' },
+  { key: 'migrationInterval', label: 'Migration Interval', flag: '--migration-interval', integer: true, min: 1, max: 1000, step: 1, group: 'islands', applies: 'reset' },
+  { key: 'migrationSize', label: 'Migrants', flag: '--migrants', integer: true, min: 0, max: 50, step: 1, group: 'islands', applies: 'reset' },
+  { key: 'migrationTopology', label: 'Migration Topology', flag: '--migration-topology', options: ['ring', 'full'], group: 'islands', applies: 'reset' },
+  // One weight per fitness term, e.g. fitnessGapCenter / --fitness-gap-center
+  ...Object.entries(FITNESS_TERMS).map(([term, { label }]) => ({
+    key: fitnessSettingKey(term),
+    label: `Fitness: ${label}`,
+    flag: `--fitness-${term.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`,
+    min: -1000, max: 1000, step: 0.1, group: 'fitness', applies: 'generation'
+  }))
+];
+
+/**
+ * DEFAULT_SETTINGS
+ * The settings a new engine starts with, taken from constants.js.
+ */
+export const DEFAULT_SETTINGS = Object.freeze({
+  populationSize: POPULATION_SIZE,
+  mutationRate: MUTATION_RATE,
+  mutationAmount: MUTATION_AMOUNT,
+  eliteCount: ELITE_COUNT,
+  selectionStrategy: SELECTION_STRATEGY,
+  tournamentSize: TOURNAMENT_SIZE,
+  truncationRatio: TRUNCATION_RATIO,
+  crossoverRate: CROSSOVER_RATE,
+  crossoverStrategy: CROSSOVER_STRATEGY,
+  gravity: GRAVITY,
+  lift: LIFT,
+  pipeGap: PIPE_GAP,
+  pipeGapVariation: PIPE_GAP_VARIATION,
+  pipeSpeed: PIPE_SPEED,
+  pipeSpawnRate: PIPE_SPAWN_RATE,
+  curriculum: CURRICULUM,
+  curriculumScore: CURRICULUM_SCORE,
+  curriculumGenerations: CURRICULUM_GENERATIONS,
+  perception: PERCEPTION,
+  sensors: SENSORS,
+  rayCount: RAY_COUNT,
+  raySpread: RAY_SPREAD,
+  rayLength: RAY_LENGTH,
+  hiddenLayers: HIDDEN_LAYERS,
+  hiddenActivations: HIDDEN_ACTIVATIONS,
+  outputActivation: OUTPUT_ACTIVATION,
+  recurrence: RECURRENCE,
+  inference: INFERENCE,
+  genomeType: GENOME_TYPE,
+  neatAddNodeRate: NEAT_ADD_NODE_RATE,
+  neatAddConnectionRate: NEAT_ADD_CONNECTION_RATE,
+  neatCompatibilityThreshold: NEAT_COMPATIBILITY_THRESHOLD,
+  neatStagnationLimit: NEAT_STAGNATION_LIMIT,
+  islandCount: ISLAND_COUNT,
+  migrationInterval: MIGRATION_INTERVAL,
+  migrationSize: MIGRATION_SIZE,
+  migrationTopology: MIGRATION_TOPOLOGY,
+  ...presetSettings(FITNESS_PRESET)
+});
+
+// =============================================
+// SETTINGS HELPERS
+// =============================================
+
+/**
+ * Create Settings - Builds a complete settings object
+ *
+ * @param {Object} overrides - Settings to change from the defaults
+ * @returns {Object} - New settings object (defaults + overrides)
+ * @throws {Error} - If any resulting value is invalid
+ */
+export const createSettings = (overrides = {}) => {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  const errors = validateSettings(settings);
+  if (errors.length > 0) {
+    throw new Error(errors.join(' '));
+  }
+  return settings;
+};
+
+/**
+ * Check Value - Validates a single (non-list) value against a definition
+ *
+ * @param {Object} def - Setting definition
+ * @param {*} value - Value to check
+ * @returns {string|null} - Problem description, or null if valid
+ */
+const checkValue = (def, value) => {
+  if (def.options) {
+    return def.options.includes(value) ? null : `${def.label} must be one of: ${def.options.join(', ')}.`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${def.label} must be a number.`;
+  }
+  if (def.integer && !Number.isInteger(value)) {
+    return `${def.label} must be a whole number.`;
+  }
+  if (value < def.min || value > def.max) {
+    return `${def.label} must be between ${def.min} and ${def.max}.`;
+  }
+  return null;
+};
+
+/**
+ * Validate Settings - Checks every value against its definition
+ *
+ * @param {Object} settings - Settings to check
+ * @returns {Array<string>} - Human-readable problems (empty if valid)
+ */
+export const validateSettings = (settings) => {
+  const errors = [];
+  SETTING_DEFINITIONS.forEach(def => {
+    const value = settings[def.key];
+    if (!def.list) {
+      const error = checkValue(def, value);
+      if (error) errors.push(error);
+    } else if (!Array.isArray(value) || value.length < 1 || value.length > def.maxLength) {
+      errors.push(`${def.label} must list 1 to ${def.maxLength} values.`);
+    } else {
+      const error = value.map(item => checkValue(def, item)).find(Boolean);
+      if (error) errors.push(error);
+    }
+  });
+
+  // Rules that involve more than one setting
+  if (errors.length === 0 && settings.eliteCount >= settings.populationSize) {
+    errors.push('Elite Count must be smaller than Population Size.');
+  }
+  if (errors.length === 0 && settings.pipeGap - settings.pipeGapVariation < 60) {
+    errors.push('Pipe Gap minus Pipe Gap Variation must be at least 60.');
+  }
+  if (errors.length === 0 && settings.hiddenActivations.length !== 1 &&
+      settings.hiddenActivations.length !== settings.hiddenLayers.length) {
+    errors.push('Hidden Activations must list one activation for all hidden layers or one per hidden layer.');
+  }
+  if (errors.length === 0 && new Set(settings.sensors).size !== settings.sensors.length) {
+    errors.push('Sensors must not list a sensor twice.');
+  }
+  return errors;
+};
+
+/**
+ * Changes Requiring Reset - Lists changed settings that cannot apply mid-run
+ *
+ * @param {Object} current - Settings in effect
+ * @param {Object} next - Requested settings
+ * @returns {Array<Object>} - Definitions of changed 'reset' settings
+ */
+export const changesRequiringReset = (current, next) =>
+  SETTING_DEFINITIONS.filter(def => def.applies === 'reset' &&
+    JSON.stringify(current[def.key]) !== JSON.stringify(next[def.key]));
+
+/**
+ * Parse Setting Value - Converts text from an input field or flag
+ *
+ * @param {Object} def - Setting definition
+ * @param {string} raw - Text entered by the user
+ * @returns {*} - Number, option name, or array of them for list settings
+ *
+ * Invalid values are passed through (e.g. as NaN) so that
+ * validateSettings() reports them with its usual message.
+ */
+export const parseSettingValue = (def, raw) => {
+  const parseOne = (text) => {
+    if (def.options) return text.trim();
+    return text.trim() === '' ? NaN : Number(text);
+  };
+  if (def.list) {
+    return String(raw).split(',').map(item => item.trim()).filter(item => item !== '').map(parseOne);
+  }
+  return parseOne(String(raw));
+};
+
+/**
+ * Format Setting Value - Converts a setting value to text for display
+ *
+ * @param {Object} def - Setting definition
+ * @param {*} value - Setting value
+ * @returns {string} - Text for an input field or usage message
+ */
+export const formatSettingValue = (def, value) => (def.list ? value.join(', ') : String(value));
+
+/**
+ * Input Count - Number of network inputs the perception provides
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {number} - One input per vision ray or per active sensor
+ */
+export const inputCount = (settings) =>
+  (settings.perception === 'raycast' ? settings.rayCount : settings.sensors.length);
+
+/**
+ * Input Labels - Short names of the network inputs
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {Array<string>} - One label per input node (sensor or ray)
+ */
+export const inputLabels = (settings) =>
+  (settings.perception === 'raycast'
+    ? Array.from({ length: settings.rayCount }, (_, i) => `Ray ${i + 1}`)
+    : sensorLabels(settings.sensors));
+
+/**
+ * Network Layout - Layer sizes and activations described by the settings
+ *
+ * @param {Object} settings - Engine settings
+ * @returns {Object} - {layers, activations, recurrent} for the NeuralNetwork constructor
+ *
+ * A single hidden activation applies to every hidden layer.
+ */
+export const networkLayout = (settings) => ({
+  layers: [inputCount(settings), ...settings.hiddenLayers, OUTPUT_NODES],
+  activations: [
+    ...settings.hiddenLayers.map((_, l) => settings.hiddenActivations[settings.hiddenActivations.length === 1 ? 0 : l]),
+    settings.outputActivation
+  ],
+  recurrent: settings.recurrence === 'elman'
+});
@@ -0,0 +1,495 @@
+/**
+ * NeuroEvolution Bird - Simulation Host
+ *
+ * Runs an IslandModel (one GameEngine per island) on behalf of the user
+ * interface. In the browser it
+ * lives in a dedicated Web Worker (see SimulationWorker.js), so stepping
+ * the engine hundreds of times per frame never blocks buttons or
+ * rendering on the main thread.
+ *
+ * The host is independent of the transport: it receives plain command
+ * messages and hands replies and snapshots to a `post` callback.
+ *
+ * MESSAGE PROTOCOL (main thread → host), all {type, ...payload}:
+ * - reset {run, seed, settings, challenge, course}: new islands, paused,
+ *   speed 1, watching the first island
+ * - start / pause: run or halt the simulation loop
+ * - setSpeed {speed}: engine updates per tick
+ * - setChallengeMode {enabled, speed}
+ * - setCourse {course}: fly a parsed course (Course.js) on every island
+ *   from the next generation on, or random pipes again (course null)
+ * - setHeadless {headless}: leave birds and pipes out of snapshots
+ * - requestSnapshot: post a snapshot right away
+ * - watchIsland {island}: show another island; answers with its settings
+ * - queueSettings {settings}, loadPopulation {data}, exportPopulation,
+ *   startSoloFlight {generation}, stopSoloFlight, injectGenome {generation}
+ *   (these act on the watched island; imports load into every island)
+ * - joinHuman, flapHuman, leaveHuman: a human-controlled bird on the
+ *   watched island; startPractice / stopPractice: the human plays alone
+ * - startReplay {generation} or {data}: play a recorded generation of the
+ *   watched island (or a parsed replay file) instead of the evolution;
+ *   playReplay, pauseReplay, setReplaySpeed {speed}, seekReplay {frame},
+ *   stopReplay; exportReplay {generation} answers with a replay file
+ * - exportStats: answers with the statistics of every island (RunStats.js)
+ * - inspectAncestor {bird}: answers with an individual of the watched
+ *   island's lineage and the structure of its network
+ * - runBenchmark {generation}: starts flying a Hall of Fame champion of
+ *   the watched island through the benchmark suite (BenchmarkSuite.js),
+ *   a slice of it every tick next to the simulation; snapshots report
+ *   its progress and finally the report. stopBenchmark cancels it
+ *
+ * Messages with an `id` are requests: the host answers with
+ * {type: 'reply', id, result} or {type: 'reply', id, error}. A failed
+ * command without an id is reported with {type: 'error', command, error}.
+ *
+ * HOST → MAIN THREAD:
+ * - snapshot: everything needed to draw one frame (see snapshot())
+ * - reply: answer to a request
+ * - error: failure of a command that was not a request
+ */
+
+import { IslandModel } from './IslandModel.js';
+import { serializePopulation } from './PopulationFile.js';
+import { serializeReplay } from './Replay.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { serializeRunStats } from './RunStats.js';
+import { projectGenomes } from './Diversity.js';
+import { BenchmarkSuite } from './BenchmarkSuite.js';
+
+/**
+ * TICK_INTERVAL (ms)
+ * Time between simulation ticks; every tick runs `speed` engine updates
+ * and posts one snapshot (60 per second, like the display).
+ */
+export const TICK_INTERVAL = 1000 / 60;
+
+/**
+ * BENCHMARK_TICK_FRAMES
+ * Benchmark suite frames flown per tick, so a tick stays near one display
+ * frame of work and the worker keeps answering.
+ */
+export const BENCHMARK_TICK_FRAMES = 1000;
+
+// =============================================
+// SIMULATION CLASS
+// =============================================
+
+export class Simulation {
+  /**
+   * Constructor - Creates an idle host
+   *
+   * @param {Function} post - Receives every outgoing message (snapshots and replies)
+   *
+   * No islands exist until the first reset message arrives.
+   */
+  constructor(post) {
+    this.post = post;
+    this.model = null; // IslandModel of the current run
+    this.watched = 0; // Index of the island shown in snapshots
+    this.run = 0; // Reset counter, echoed in snapshots so stale ones can be ignored
+    this.paused = true;
+    this.speed = 1; // Engine updates per tick
+    this.headless = false; // Omit birds and pipes from snapshots
+    this.sentHallOfFame = null; // {archive, size} last included in a snapshot
+    this.sentReplays = null; // {recorder, recorded} last included in a snapshot
+    this.sentHistory = null; // {history, length} last included in a snapshot
+    this.sentPopulation = undefined; // lastPopulation of the watched island last projected (and its family tree sent)
+    this.player = null; // ReplayPlayer while a replay is shown
+    this.suite = null; // BenchmarkSuite being flown
+    this.benchmarkReport = null; // Report of the last finished suite, until a snapshot carried it
+  }
+
+  /**
+   * Engine - The watched island
+   *
+   * @returns {GameEngine|null} - Engine of the watched island (null before the first reset)
+   */
+  get engine() {
+    return this.model ? this.model.islands[this.watched] : null;
+  }
+
+  /**
+   * Receive - Handles one incoming message
+   *
+   * @param {Object} message - Command {type, id?, ...payload}
+   *
+   * Requests (messages with an id) are always answered, also when the
+   * command fails; other failing commands post an error message.
+   */
+  receive(message) {
+    let reply;
+    try {
+      reply = { result: this.handle(message) };
+    } catch (err) {
+      reply = { error: err.message };
+    }
+    if (message.id !== undefined) {
+      this.post({ type: 'reply', id: message.id, ...reply });
+    } else if (reply.error !== undefined) {
+      this.post({ type: 'error', command: message.type, error: reply.error });
+    }
+  }
+
+  /**
+   * Handle - Executes a command against the engine
+   *
+   * @param {Object} message - Command {type, ...payload}
+   * @returns {*} - Result for requests (undefined for plain commands)
+   * @throws {Error} - If the command is unknown or the engine rejects it
+   */
+  handle(message) {
+    const { type } = message;
+    if (type !== 'reset' && !this.model) {
+      throw new Error(`${type} needs a running simulation; send reset first.`);
+    }
+
+    switch (type) {
+      case 'reset':
+        this.run = message.run;
+        this.model = new IslandModel(message.seed, message.settings);
+        this.model.setChallengeMode(message.challenge.enabled, message.challenge.speed);
+        this.model.setCourse(message.course ?? null);
+        this.watched = 0;
+        this.paused = true;
+        this.speed = 1;
+        this.sentHallOfFame = null;
+        this.sentReplays = null;
+        this.sentHistory = null;
+        this.sentPopulation = undefined;
+        this.player = null;
+        this.suite = null;
+        this.benchmarkReport = null;
+        break;
+      case 'start':
+        this.paused = false;
+        return undefined;
+      case 'pause':
+        this.paused = true;
+        return undefined;
+      case 'setSpeed':
+        this.speed = message.speed;
+        return undefined;
+      case 'setHeadless':
+        this.headless = message.headless;
+        break;
+      case 'setChallengeMode':
+        this.model.setChallengeMode(message.enabled, message.speed);
+        break;
+      case 'setCourse':
+        this.model.setCourse(message.course);
+        break;
+      case 'requestSnapshot':
+        break;
+      case 'watchIsland':
+        if (!this.model.islands[message.island]) throw new Error(`There is no island ${message.island + 1}.`);
+        this.engine.stopSoloFlight(); // A solo flight belongs to the island that was watched
+        this.engine.leaveHuman(); // So does the human bird
+        this.player = null; // And its replays
+        this.watched = message.island;
+        this.postSnapshot();
+        return this.engine.baseSettings;
+      case 'queueSettings':
+        this.engine.queueSettings(message.settings);
+        return undefined;
+      case 'loadPopulation':
+        this.model.loadPopulation(message.data);
+        this.postSnapshot();
+        return { challenge: { enabled: this.engine.baseChallenge.enabled, pipeVerticalSpeed: this.engine.baseChallenge.speed } };
+      case 'exportPopulation':
+        return serializePopulation(this.engine);
+      case 'startSoloFlight':
+        this.engine.startSoloFlight(this.archivedGenome(message.generation));
+        break;
+      case 'stopSoloFlight':
+        this.engine.stopSoloFlight();
+        break;
+      case 'joinHuman':
+        this.engine.joinHuman();
+        break;
+      case 'flapHuman':
+        this.engine.flapHuman();
+        return undefined;
+      case 'leaveHuman':
+        this.engine.leaveHuman();
+        break;
+      case 'startPractice':
+        this.engine.startPractice();
+        break;
+      case 'stopPractice':
+        this.engine.stopSoloFlight();
+        break;
+      case 'startReplay':
+        this.player = new ReplayPlayer(message.data || this.recordedReplay(message.generation));
+        break;
+      case 'playReplay':
+      case 'pauseReplay':
+        if (!this.player) throw new Error('No replay is playing.');
+        if (type === 'playReplay' && this.player.finished) this.player.seek(0);
+        this.player.paused = type === 'pauseReplay';
+        break;
+      case 'setReplaySpeed':
+        if (!this.player) throw new Error('No replay is playing.');
+        this.player.speed = message.speed;
+        break;
+      case 'seekReplay':
+        if (!this.player) throw new Error('No replay is playing.');
+        this.player.seek(message.frame);
+        break;
+      case 'stopReplay':
+        this.player = null;
+        break;
+      case 'exportReplay':
+        return serializeReplay(this.recordedReplay(message.generation));
+      case 'exportStats':
+        return serializeRunStats(this.model);
+      case 'inspectAncestor':
+        return this.ancestor(message.bird);
+      case 'runBenchmark':
+        this.suite = new BenchmarkSuite(this.archivedGenome(message.generation), this.engine.baseSettings, {
+          label: `Generation ${message.generation} champion`
+        });
+        break;
+      case 'stopBenchmark':
+        this.suite = null;
+        break;
+      case 'injectGenome':
+        this.engine.injectGenome(this.archivedGenome(message.generation));
+        return undefined;
+      default:
+        throw new Error(`Unknown simulation command ${type}`);
+    }
+
+    // Commands that change what is on screen show it even while paused
+    this.postSnapshot();
+    return undefined;
+  }
+
+  /**
+   * Archived Genome - Looks up a Hall of Fame genome
+   *
+   * @param {number} generation - Generation of the archived champion
+   * @returns {Object} - Genome of that champion
+   * @throws {Error} - If the generation was never archived
+   */
+  archivedGenome(generation) {
+    const entry = this.engine.hallOfFame.get(generation);
+    if (!entry) throw new Error(`Generation ${generation} is not in the Hall of Fame.`);
+    return entry.genome;
+  }
+
+  /**
+   * Recorded Replay - Looks up a replay of the watched island
+   *
+   * @param {number} generation - Recorded generation
+   * @returns {Object} - Replay of that generation
+   * @throws {Error} - If the generation is not (or no longer) recorded
+   */
+  recordedReplay(generation) {
+    const replay = this.engine.replays.get(generation);
+    if (!replay) throw new Error(`Generation ${generation} has no replay (only the last ${this.engine.replays.limit} generations are kept).`);
+    return replay;
+  }
+
+  /**
+   * Tick - Advances the simulation by one display frame
+   *
+   * Runs `speed` updates of all islands and posts the resulting snapshot.
+   * During a solo flight only the watched island runs; the others wait.
+   * While a replay is shown, only the replay plays and evolution waits.
+   * A benchmark suite flies a slice of its flights, also while paused.
+   * Does nothing while paused and not benchmarking.
+   */
+  tick() {
+    if (!this.model) return;
+    let changed = false;
+    if (this.suite) {
+      this.suite.step(BENCHMARK_TICK_FRAMES);
+      if (this.suite.finished) {
+        this.benchmarkReport = this.suite.report();
+        this.suite = null;
+      }
+      changed = true;
+    }
+
+    if (this.player) {
+      if (!this.player.paused) {
+        this.player.tick();
+        changed = true;
+      }
+    } else if (!this.paused) {
+      const stepper = this.engine.solo ? this.engine : this.model;
+      for (let i = 0; i < this.speed; i++) {
+        stepper.update();
+      }
+      changed = true;
+    }
+    if (changed) this.postSnapshot();
+  }
+
+  /**
+   * Post Snapshot - Sends the current state to the main thread
+   */
+  postSnapshot() {
+    this.post(this.snapshot());
+  }
+
+  /**
+   * Snapshot - Lightweight copy of the state the user interface draws
+   *
+   * @returns {Object} - Render snapshot:
+   *   - run, generation, score, highScore, frame, seed, solo (of the watched island)
+   *   - replay: playback state while a replay is shown (see
+   *     ReplayPlayer.status()); score, frame, population, alive, birds,
+   *     pipes, best and brain then describe the replayed world
+   *   - island: index of the watched island; islands: summary of every
+   *     island (see IslandModel.summary()); lastMigration
+   *   - population size and alive count
+   *   - birds [{y, velocity, alive}] and pipes [{x, topHeight, gapSize}]
+   *     (empty in headless mode)
+   *   - best: the highlighted bird {y, velocity, alive, rays}
+   *   - human: the human-controlled bird {y, velocity, alive, waiting, score}
+   *     (null if nobody plays), humanResult of its last flight, practice
+   *   - brain: network structure of the highlighted bird
+   *   - pipeGap, rayLength: settings needed to draw pipes and rays
+   *   - challenge: {enabled, pipeVerticalSpeed} of the watched island (the
+   *     curriculum switches it on its own)
+   *   - curriculum: progress of the watched island's curriculum (see
+   *     Curriculum.summary()), null while the curriculum is off
+   *   - course: name of the course the world shown flies (null: random
+   *     pipes); finishX: screen position of its finish line (null if the
+   *     course loops or is not in use)
+   *   - lastGeneration: summary of the last finished generation
+   *   - history: {start, entries} generation summaries from index `start`
+   *     of the watched island's history, only when it grew or was replaced
+   *   - hallOfFame: archive summary without genomes, only when it changed
+   *   - replays: recorded generations of the watched island (see
+   *     ReplayRecorder.summary()), only when they changed
+   *   - projection: the last finished generation of the watched island
+   *     in genome space (see projection()), only when it changed
+   *   - familyTree: ancestry of that generation's champion (see
+   *     familyTree()), sent together with the projection
+   *   - benchmark: progress of the benchmark suite being flown (see
+   *     BenchmarkSuite.status()), null if none; benchmarkReport: the
+   *     report of a finished suite, sent once
+   */
+  snapshot() {
+    const { engine } = this;
+    const world = this.player ? this.player.engine : engine; // What the canvas shows
+    const best = world.getBestBird();
+
+    // The archive is only sent when it grew or was replaced (reset, import)
+    const archive = engine.hallOfFame;
+    const last = this.sentHallOfFame;
+    const hallOfFameChanged = !last || last.archive !== archive || last.size !== archive.size;
+    if (hallOfFameChanged) this.sentHallOfFame = { archive, size: archive.size };
+
+    const recorder = engine.replays;
+    const lastReplays = this.sentReplays;
+    const replaysChanged = !lastReplays || lastReplays.recorder !== recorder || lastReplays.recorded !== recorder.recorded;
+    if (replaysChanged) this.sentReplays = { recorder, recorded: recorder.recorded };
+
+    // Only generations the main thread has not seen yet are sent
+    const { history } = engine;
+    const lastHistory = this.sentHistory;
+    const historyStart = lastHistory && lastHistory.history === history ? lastHistory.length : 0;
+    const historyChanged = !lastHistory || lastHistory.history !== history || lastHistory.length !== history.length;
+    if (historyChanged) this.sentHistory = { history, length: history.length };
+
+    // Projected once per finished generation (at most once per tick)
+    const { benchmarkReport } = this;
+    this.benchmarkReport = null;
+
+    const population = engine.lastPopulation;
+    const populationChanged = population !== this.sentPopulation;
+    if (populationChanged) this.sentPopulation = population;
+
+    return {
+      type: 'snapshot',
+      run: this.run,
+      generation: engine.generation,
+      score: world.score,
+      highScore: engine.highScore,
+      frame: world.frameCount,
+      seed: engine.seed,
+      solo: engine.solo !== null,
+      island: this.watched,
+      islands: this.model.summary(),
+      lastMigration: this.model.lastMigration,
+      replay: this.player ? this.player.status() : null,
+      population: world.birds.length,
+      alive: world.birds.filter(b => b.entity.alive).length,
+      birds: this.headless ? [] : world.birds.map(({ entity }) => ({ y: entity.y, velocity: entity.velocity, alive: entity.alive })),
+      pipes: this.headless ? [] : world.pipes.map(pipe => ({ x: pipe.x, topHeight: pipe.topHeight, gapSize: pipe.gapSize })),
+      best: best ? { y: best.entity.y, velocity: best.entity.velocity, alive: best.entity.alive, rays: best.entity.rays } : null,
+      brain: best ? world.getBrainStructure(best) : null,
+      human: engine.human && !this.player
+        ? { y: engine.human.y, velocity: engine.human.velocity, alive: engine.human.alive, waiting: engine.human.waiting, score: engine.human.score }
+        : null,
+      humanResult: engine.humanResult,
+      practice: engine.practice,
+      pipeGap: world.settings.pipeGap,
+      rayLength: world.settings.rayLength,
+      challenge: { enabled: engine.challengeModeEnabled, pipeVerticalSpeed: engine.pipeVerticalSpeed },
+      curriculum: engine.settings.curriculum === 'on' ? engine.curriculum.summary(engine.settings) : null,
+      course: world.courseRun ? world.courseRun.course.name : null,
+      finishX: world.courseRun && Number.isFinite(world.courseRun.finishX()) ? world.courseRun.finishX() : null,
+      lastGeneration: engine.lastGeneration,
+      history: historyChanged ? { start: historyStart, entries: history.slice(historyStart) } : undefined,
+      hallOfFame: hallOfFameChanged
+        ? archive.entries.map(({ generation, fitness, score }) => ({ generation, fitness, score }))
+        : undefined,
+      replays: replaysChanged ? recorder.summary() : undefined,
+      projection: populationChanged ? this.projection(engine) : undefined,
+      familyTree: populationChanged ? this.familyTree(engine) : undefined,
+      benchmark: this.suite ? this.suite.status() : null,
+      benchmarkReport: benchmarkReport || undefined
+    };
+  }
+
+  /**
+   * Family Tree - Ancestry of the last finished generation's champion
+   *
+   * @param {GameEngine} engine - Island whose champion is shown
+   * @returns {Object|null} - {generation, champion, nodes} with the
+   *   champion's ID and the records of Lineage.familyTree(), or null
+   *   before the first generation ended
+   */
+  familyTree(engine) {
+    if (!engine.lastPopulation) return null;
+    const champion = engine.lastPopulation[0].id;
+    return { generation: engine.lastGeneration.generation, champion, nodes: engine.lineage.familyTree(champion) };
+  }
+
+  /**
+   * Ancestor - Looks up an individual of the watched island's lineage
+   *
+   * @param {string} id - Bird ID
+   * @returns {Object} - Its record without the network, plus `brain`:
+   *   the network structure for the network visualization
+   * @throws {Error} - If the individual is no longer tracked
+   */
+  ancestor(id) {
+    const record = this.engine.lineage.get(id);
+    if (!record) throw new Error(`Bird ${id} is no longer tracked (its line died out).`);
+    const { net, ...node } = record;
+    return { ...node, brain: net.getStructure() };
+  }
+
+  /**
+   * Projection - Genomes of the last finished generation in 2D
+   *
+   * @param {GameEngine} engine - Island whose population is projected
+   * @returns {Object|null} - {generation, explained, points: [{x, y, fitness}]}
+   *   with the points fittest first (see projectGenomes()), or null
+   *   before the first generation ended
+   */
+  projection(engine) {
+    if (!engine.lastPopulation) return null;
+    const { points, explained } = projectGenomes(engine.lastPopulation.map(p => p.net));
+    return {
+      generation: engine.lastGeneration.generation,
+      explained,
+      points: points.map(([x, y], i) => ({ x, y, fitness: engine.lastPopulation[i].fitness }))
+    };
+  }
+}
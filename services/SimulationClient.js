@@ -0,0 +1,114 @@
+/**
+ * NeuroEvolution Bird - Simulation Client
+ *
+ * Main-thread side of the simulation worker. Starts the worker, sends
+ * commands, turns request/reply message pairs into promises and hands
+ * every render snapshot to a callback. See Simulation.js for the
+ * message protocol.
+ *
+ * Failures nobody awaits (failed commands, an error in the worker) go
+ * to a second callback, so the interface can show them.
+ */
+
+export class SimulationClient {
+  /**
+   * Constructor - Starts the simulation worker
+   *
+   * @param {Function} onSnapshot - Called with every snapshot of the current run
+   * @param {Function} onError - Called with the message of every failure
+   *   that is not the answer to a request
+   */
+  constructor(onSnapshot, onError) {
+    this.onSnapshot = onSnapshot;
+    this.onError = onError;
+    this.pending = new Map(); // Request id → {resolve, reject}
+    this.nextId = 1;
+    this.run = 0; // Snapshots of older runs are dropped
+
+    this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+    this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+    this.worker.addEventListener('error', (e) => this.handleWorkerError(e.message));
+  }
+
+  /**
+   * Send - Posts a command that needs no answer
+   *
+   * @param {string} type - Command name
+   * @param {Object} payload - Command arguments
+   */
+  send(type, payload = {}) {
+    this.worker.postMessage({ type, ...payload });
+  }
+
+  /**
+   * Request - Posts a command and waits for its answer
+   *
+   * @param {string} type - Command name
+   * @param {Object} payload - Command arguments
+   * @returns {Promise<*>} - Result of the command; rejects with the worker's error
+   */
+  request(type, payload = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type, id, ...payload });
+    });
+  }
+
+  /**
+   * Reset - Starts a new run in the worker
+   *
+   * @param {number} seed - Normalized seed of the run
+   * @param {Object} settings - Engine settings
+   * @param {Object} challenge - {enabled, speed} challenge mode
+   * @param {Object|null} course - Parsed course to fly, or null for random pipes
+   *
+   * Snapshots that were already on their way from the previous run are
+   * ignored from now on.
+   */
+  reset(seed, settings, challenge, course = null) {
+    this.run++;
+    this.send('reset', { run: this.run, seed, settings, challenge, course });
+  }
+
+  /**
+   * Handle Message - Dispatches a message from the worker
+   *
+   * @param {Object} message - Snapshot, reply or error
+   */
+  handleMessage(message) {
+    if (message.type === 'snapshot') {
+      if (message.run === this.run) this.onSnapshot(message);
+      return;
+    }
+    if (message.type === 'error') {
+      this.onError(`${message.command} failed: ${message.error}`);
+      return;
+    }
+    if (message.type === 'reply') {
+      const request = this.pending.get(message.id);
+      if (!request) return;
+      this.pending.delete(message.id);
+      if (message.error !== undefined) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  }
+
+  /**
+   * Handle Worker Error - Reports an error thrown inside the worker
+   *
+   * @param {string} message - Error message of the worker
+   *
+   * The answers to pending requests may never come: they are all
+   * rejected, so nothing waits for them forever.
+   */
+  handleWorkerError(message) {
+    const error = new Error(`The simulation failed: ${message}`);
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+    this.onError(error.message);
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * NeuroEvolution Bird - Simulation Worker
+ *
+ * Entry point of the dedicated Web Worker that runs the simulation off
+ * the main thread. All logic lives in Simulation.js; this file only
+ * connects it to the worker's message port and drives the tick loop.
+ */
+
+import { Simulation, TICK_INTERVAL } from './Simulation.js';
+
+const simulation = new Simulation(message => self.postMessage(message));
+
+self.addEventListener('message', (e) => simulation.receive(e.data));
+
+setInterval(() => simulation.tick(), TICK_INTERVAL);
@@ -0,0 +1,107 @@
+/**
+ * NeuroEvolution Bird - NEAT Speciation
+ *
+ * A freshly added neuron or connection usually makes a network worse
+ * before evolution has tuned its weights. Without protection, such
+ * innovations are selected away immediately. NEAT protects them by
+ * grouping similar genomes into species that only compete internally:
+ *
+ * 1. SPECIATE: every genome joins the first species whose representative
+ *    is within the compatibility threshold, or founds a new species
+ * 2. FITNESS SHARING: a genome's adjusted fitness is its fitness divided
+ *    by its species' size, so a species' total adjusted fitness is its
+ *    mean fitness and large species can't take over the population
+ * 3. OFFSPRING: each species breeds a share of the next generation
+ *    proportional to its adjusted fitness; species that have stagnated
+ *    for too long breed nothing
+ */
+
+// =============================================
+// SPECIATION CLASS
+// =============================================
+
+export class Speciation {
+  /**
+   * Constructor - Starts without any species
+   */
+  constructor() {
+    this.species = []; // Array of {id, representative, members, bestFitness, staleness}
+    this.nextSpeciesId = 1;
+  }
+
+  /**
+   * Speciate - Divides a finished generation into species
+   *
+   * @param {Array} sortedBirds - Population sorted by fitness (best first)
+   * @param {number} threshold - Maximum compatibility distance within a species
+   * @param {Object} coefficients - Compatibility coefficients {excess, disjoint, weight}
+   *
+   * Species persist between generations: each keeps the best genome of
+   * its previous generation as representative. Members stay sorted by
+   * fitness because birds are assigned in sorted order.
+   */
+  speciate(sortedBirds, threshold, coefficients) {
+    this.species.forEach(species => { species.members = []; });
+
+    sortedBirds.forEach(bird => {
+      let species = this.species.find(s => bird.net.compatibility(s.representative, coefficients) < threshold);
+      if (!species) {
+        species = { id: this.nextSpeciesId++, representative: bird.net, members: [], bestFitness: -Infinity, staleness: 0 };
+        this.species.push(species);
+      }
+      species.members.push(bird);
+    });
+
+    // Extinct species disappear; survivors track their progress
+    this.species = this.species.filter(species => species.members.length > 0);
+    this.species.forEach(species => {
+      const best = species.members[0];
+      if (best.entity.fitness > species.bestFitness) {
+        species.bestFitness = best.entity.fitness;
+        species.staleness = 0;
+      } else {
+        species.staleness++;
+      }
+      species.representative = best.net;
+    });
+  }
+
+  /**
+   * Allocate Offspring - Splits the next generation between species
+   *
+   * @param {number} count - Number of children to breed
+   * @param {number} stagnationLimit - Generations without improvement before a species stops breeding
+   * @returns {Array<Object>} - {species, offspring} per breeding species
+   *
+   * Shares are proportional to each species' mean fitness (the sum of its
+   * shared fitness). Rounding leftovers go to the largest remainders so
+   * the total is always exactly `count`.
+   */
+  allocateOffspring(count, stagnationLimit) {
+    const champion = this.species.reduce((best, s) => (!best || s.members[0].entity.fitness > best.members[0].entity.fitness ? s : best), null);
+    const breeding = this.species.filter(s => s.staleness < stagnationLimit || s === champion);
+
+    const shares = breeding.map(s => s.members.reduce((sum, b) => sum + b.entity.fitness, 0) / s.members.length);
+    const total = shares.reduce((a, b) => a + b, 0);
+    const exact = shares.map(share => (total > 0 ? (share / total) * count : count / breeding.length));
+
+    const allocation = breeding.map((species, i) => ({ species, offspring: Math.floor(exact[i]) }));
+    let remaining = count - allocation.reduce((sum, a) => sum + a.offspring, 0);
+    const byRemainder = allocation
+      .map((a, i) => ({ a, remainder: exact[i] - a.offspring }))
+      .sort((x, y) => y.remainder - x.remainder);
+    for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length, remaining--) {
+      byRemainder[i].a.offspring++;
+    }
+    return allocation;
+  }
+
+  /**
+   * Summary - Compact description of the current species
+   *
+   * @returns {Array<Object>} - {id, size, bestFitness, staleness} per species
+   */
+  summary() {
+    return this.species.map(s => ({ id: s.id, size: s.members.length, bestFitness: s.bestFitness, staleness: s.staleness }));
+  }
+}
@@ -17,9 +17,8 @@
  * a structured way to reference the network topology.
  */
 export const NeuralNetworkConfig = {
-  inputNodes: 4,
-  hiddenNodes: 6,
-  outputNodes: 1
+  layers: [4, 6, 1], // Neuron count per layer: inputs, hidden layer(s), output
+  activations: ['tanh', 'sigmoid'] // Activation per layer after the inputs
 };
 
 // =============================================
@@ -35,10 +34,13 @@ export const NeuralNetworkConfig = {
  * - topHeight: Height of the top pipe segment (pixels)
  * - passed: Boolean indicating if bird has passed this pipe
  * - verticalVelocity: Vertical movement speed (challenge mode only)
- * - gapSize: Current vertical gap between pipes (challenge mode)
+ * - gapSize: Current vertical gap between pipes (challenge mode, or a
+ *   gap drawn for this pipe when pipeGapVariation > 0)
  * - targetGapSize: Target gap size for smooth transitions
  * - directionChangeTimer: Countdown to next direction change
  * - gapChangeTimer: Countdown to next gap size change
+ * - motion, motionStep, motionTimer, scriptedVelocity: motion script of
+ *   a course pipe (see services/Course.js)
  *
  * In challenge mode, pipes become dynamic obstacles that move vertically
  * and change their gap sizes, creating a more complex environment for
@@ -52,7 +54,11 @@ export const Pipe = {
   gapSize: undefined, // Current gap size (replaces constant PIPE_GAP)
   targetGapSize: undefined, // Target gap size for gradual transitions
   directionChangeTimer: undefined, // Frames until next direction change
-  gapChangeTimer: undefined // Frames until next gap size change
+  gapChangeTimer: undefined, // Frames until next gap size change
+  motion: undefined, // Course pipes: [{frames, velocity}] steps, repeated
+  motionStep: undefined, // Index of the current motion step
+  motionTimer: undefined, // Frames left in the current motion step
+  scriptedVelocity: undefined // Vertical speed of the current motion step (pixels per frame)
 };
 
 // =============================================
@@ -70,7 +76,12 @@ export const Pipe = {
  * - alive: Boolean indicating if bird is still in play
  * - fitness: Evolutionary fitness score (higher = better performance)
  * - score: Number of pipes successfully passed
- * - brain: Reference to the neural network structure for visualization
+ * - frames, flaps, gapCloseness: Counters the fitness function is built from
+ * - framesSinceFlap: Frames since the last flap (timeSinceFlap sensor)
+ * - rays: Vision rays of the last frame (raycast perception only)
+ * - deathCause: What the bird crashed into ('ground', 'ceiling', 'pipe'; null while alive)
+ * - parents, born, mutations: Lineage - parent IDs (none for new genomes), generation of
+ *   birth and genes changed by mutation at birth (elites keep their ID and lineage)
  *
  * The fitness score is the primary metric used by the genetic algorithm
  * to determine which birds reproduce. It accumulates over time based on
@@ -78,12 +89,178 @@ export const Pipe = {
  */
 export const Bird = {
   id: '',
+  parents: [],
+  born: 1,
+  mutations: 0,
   y: 0,
   velocity: 0,
   alive: true,
   fitness: 0,
   score: 0,
-  brain: null
+  frames: 0,
+  flaps: 0,
+  gapCloseness: 0,
+  framesSinceFlap: 0,
+  rays: null,
+  deathCause: null
+};
+
+// =============================================
+// RENDER SNAPSHOT
+// =============================================
+
+/**
+ * RenderSnapshot
+ * What the simulation worker sends to the main thread once per tick
+ * (see services/Simulation.js). GameCanvas and NetworkVis draw from it;
+ * the main thread never touches the engine directly.
+ */
+export const RenderSnapshot = {
+  type: 'snapshot',
+  run: 0, // Reset counter; snapshots of older runs are ignored
+  generation: 1,
+  score: 0,
+  highScore: 0,
+  frame: 0,
+  seed: 0,
+  solo: false, // A Hall of Fame champion is flying alone, or the human practices
+  replay: null, // ReplayStatus while a recorded generation is shown (score, frame and the world below then describe the replay)
+  island: 0, // Index of the watched island (the values above and below describe it)
+  islands: [], // IslandSummary of every island
+  lastMigration: null, // {generation, migrants} of the most recent migration
+  population: 0,
+  alive: 0,
+  birds: [], // {y, velocity, alive} (empty in headless mode)
+  pipes: [], // {x, topHeight, gapSize} (empty in headless mode)
+  best: null, // Highlighted bird {y, velocity, alive, rays}
+  brain: null, // NeuralNetworkStructure or NeatStructure of the highlighted bird
+  human: null, // Human-controlled bird {y, velocity, alive, waiting, score}, null if nobody plays
+  humanResult: null, // HumanResult of the human's last flight
+  practice: false, // The human flies alone, evolution is on hold
+  pipeGap: 0,
+  rayLength: 0,
+  challenge: { enabled: false, pipeVerticalSpeed: 1 }, // Challenge mode of the watched island
+  curriculum: null, // CurriculumSummary of the watched island, null while the curriculum is off
+  course: null, // Name of the course flown (services/Course.js), null with random pipes
+  finishX: null, // Screen x of the course's finish line, null if there is none
+  lastGeneration: null, // GenerationSummary of the last finished generation
+  history: undefined, // {start, entries: [GenerationSummary]}: new history entries from index start, only when it changed
+  hallOfFame: undefined, // [{generation, fitness, score}], only when the archive changed
+  replays: undefined, // [ReplaySummary] of the watched island, only when a generation was recorded
+  projection: undefined, // GenomeProjection of the watched island's last finished generation (null before the first), only when it changed
+  familyTree: undefined // {generation, champion, nodes: [LineageRecord]}: ancestry of that generation's champion, sent with the projection
+};
+
+/**
+ * GenerationSummary
+ * Statistics of one finished generation (GameEngine.lastGeneration and
+ * every entry of GameEngine.history), recorded before breeding.
+ */
+export const GenerationSummary = {
+  generation: 1,
+  bestFitness: 0,
+  meanFitness: 0,
+  medianFitness: 0,
+  worstFitness: 0,
+  score: 0, // Pipes passed by the best bird
+  frames: 0, // Length of the generation
+  diversity: 0, // Mean pairwise distance of the genomes (see services/Diversity.js)
+  weightVariance: 0, // Variance of every parameter across the population, averaged
+  clusters: 1, // Groups of near-identical genomes
+  species: undefined, // Number of NEAT species (NEAT only)
+  deaths: { ground: 0, ceiling: 0, pipe: 0, survived: 0 }, // What the birds died of (survived: alive when the generation was ended early)
+  settings: {}, // Settings the generation ran with (keys of STATS_SETTINGS in services/RunStats.js)
+  challengeMode: false, // Challenge mode at the end of the generation
+  pipeVerticalSpeed: 1,
+  curriculumStage: null // Curriculum stage the generation ran at (1 = easiest), null with the curriculum off
+};
+
+/**
+ * CurriculumSummary
+ * Progress of an engine's curriculum (Curriculum.summary()).
+ */
+export const CurriculumSummary = {
+  stage: 1, // Current stage (1 = easiest)
+  stages: 7, // Number of stages (see CURRICULUM_STAGES in services/Curriculum.js)
+  name: '', // Name of the current stage
+  streak: 0, // Consecutive generations that reached the score at this stage
+  score: 10, // Best score a generation must reach (curriculumScore)
+  generations: 3 // Streak that advances to the next stage (curriculumGenerations)
+};
+
+/**
+ * GenomeProjection
+ * A finished generation projected onto the two principal components of
+ * its parameter space (Simulation.projection()).
+ */
+export const GenomeProjection = {
+  generation: 1,
+  explained: [0, 0], // Fraction of the variance shown by each axis
+  points: [] // {x, y, fitness} per genome, fittest first
+};
+
+/**
+ * LineageRecord
+ * An individual tracked by services/Lineage.js (as sent to the main
+ * thread, without its network).
+ */
+export const LineageRecord = {
+  id: '',
+  parents: [], // Parent IDs: none (new, imported, injected or migrated), one (mutated copy) or two (crossover)
+  born: 1, // Generation of birth
+  mutations: 0, // Genes changed by mutation at birth
+  fitness: null, // Best fitness reached in any generation (null before the first evaluation)
+  generations: 0, // Generations it was evaluated in
+  elite: false // Survived at least one generation as an elite
+};
+
+/**
+ * ReplayStatus
+ * Playback state of the replay shown on the canvas (ReplayPlayer.status()).
+ */
+export const ReplayStatus = {
+  generation: 1, // Replayed generation
+  frame: 0, // Frame shown
+  frames: 0, // Length of the generation
+  score: 0, // Final score of the generation
+  paused: false,
+  speed: 1 // Frames per display frame
+};
+
+/**
+ * ReplaySummary
+ * One recorded generation in the replay browser (ReplayRecorder.summary()).
+ */
+export const ReplaySummary = {
+  generation: 1,
+  frames: 0,
+  score: 0,
+  bestFitness: 0,
+  population: 0 // Number of genomes in the replay
+};
+
+/**
+ * IslandSummary
+ * Statistics of one island of the IslandModel (services/IslandModel.js).
+ */
+export const IslandSummary = {
+  generation: 1,
+  alive: 0,
+  population: 0,
+  score: 0,
+  highScore: 0,
+  bestFitness: null, // Best fitness of the last finished generation
+  waiting: false // Generation finished; waiting for the other islands
+};
+
+/**
+ * HumanResult
+ * Outcome of one flight of the human-controlled bird (GameEngine.finishHuman()).
+ */
+export const HumanResult = {
+  score: 0, // Pipes the human passed
+  aiScore: null, // Pipes the best AI bird passed over the same stretch (null in practice)
+  winner: null // 'human', 'ai' or 'tie' (null in practice)
 };
 
 // =============================================
@@ -95,21 +272,34 @@ export const Bird = {
  * A snapshot of the neural network's state for visualization purposes.
  *
  * This structure captures:
+ * - The topology (neurons per layer) and each layer's activation function
  * - All weights and biases (the "genome" of the neural network)
- * - The last calculated activations at each layer
- * - Input values that were processed
+ * - The last calculated activations at each layer, inputs first
  *
  * The visualization component uses this data to render the network
  * topology and show real-time activation patterns as the bird
  * processes game state information.
  */
 export const NeuralNetworkStructure = {
-  inputWeights: [], // [inputIndex][hiddenIndex] - Weights from input to hidden layer
-  outputWeights: [], // [hiddenIndex][outputIndex] - Weights from hidden to output layer
-  inputBiases: [], // [hiddenIndex] - Bias values for hidden layer neurons
-  outputBiases: [], // [outputIndex] - Bias values for output layer neurons
-  // Last calculated activations for visualization
-  lastInputs: [], // Last input values processed by the network
-  lastHiddenOutputs: [], // Last activation values from hidden layer
-  lastOutput: [] // Last output values from the network
-};
\ No newline at end of file
+  type: 'mlp',
+  layers: [], // Neuron count per layer, e.g. [4, 6, 1]
+  activations: [], // Activation name per layer after the inputs
+  weights: [], // [layer][fromIndex][toIndex] - Weights between consecutive layers
+  biases: [], // [layer][neuronIndex] - Bias values of every non-input layer
+  recurrentWeights: [], // [hiddenLayer][fromIndex][toIndex] - Elman context weights (empty if feedforward)
+  lastLayerOutputs: [] // [layer][neuronIndex] - Last activations, inputs first
+};
+
+/**
+ * NeatStructure
+ * Visualization snapshot of a NEAT genome (genomeType 'neat').
+ *
+ * Nodes carry their depth (longest path from the inputs) so the graph
+ * can be laid out in columns; disabled connections are kept so they can
+ * be drawn faintly.
+ */
+export const NeatStructure = {
+  type: 'neat',
+  nodes: [], // {id, type: 'input'|'hidden'|'output', depth, value}
+  connections: [] // {from, to, weight, enabled}
+};